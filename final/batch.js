@@ -0,0 +1,223 @@
+// batch.js
+// Batch scoring helpers: turn a mailbox export into email records, score them with
+// caller-supplied model functions, and show / export the results.
+// - mbox (From_ separated), single .eml, and the JSON/CSV row formats the uploads accept
+// - rows with body/text/email columns become text records (raw RFC 5322 bodies are parsed);
+//   rows of numeric feature columns (spambase style) are kept as feature rows
+// - sortable results table; CSV (RFC 4180 quoting) and JSON export
+//
+// Exposes:
+//   window.parseMbox(text)                        -> [raw message strings]
+//   window.batchEmailsFromText(text)              -> email records from mbox / .eml text, or null
+//   window.batchEmailsFromRows(rows)              -> email records from JSON/CSV rows
+//   window.scoreEmailBatch(emails, scorers, opts) -> Promise<[result rows]>
+//   window.renderBatchTable(container, rows, columns)
+//   window.batchResultsToCsv(rows, columns) / window.batchResultsToJson(rows)
+//
+// Email record: { id, subject, from, text, meta, row } (row is the source row for
+// feature rows, text is "" then).
+
+(function (global) {
+  // mbox "From_" separator line: "From sender@host Tue Oct 19 10:00:00 2026"
+  const FROM_LINE = /^From \S+.*$/;
+
+  function parseMbox(text) {
+    const lines = String(text || "")
+      .replace(/\r\n/g, "\n")
+      .split("\n");
+    const messages = [];
+    let current = null;
+    lines.forEach((line, i) => {
+      const startsMessage =
+        FROM_LINE.test(line) && (i === 0 || lines[i - 1] === "");
+      if (startsMessage) {
+        if (current) messages.push(current.join("\n"));
+        current = [];
+        return;
+      }
+      // mboxrd quoting: ">From " / ">>From " lose one ">"
+      if (current) current.push(line.replace(/^>(>*From )/, "$1"));
+    });
+    if (current) messages.push(current.join("\n"));
+    return messages.map((m) => m.replace(/\n+$/, "")).filter(Boolean);
+  }
+
+  function looksLikeMbox(text) {
+    return FROM_LINE.test(String(text || "").split(/\r?\n/, 1)[0]);
+  }
+
+  function emailFromRaw(raw, id) {
+    if (global.parseEml && global.looksLikeRawEmail(raw)) {
+      const parsed = global.parseEml(raw);
+      return {
+        id,
+        subject: parsed.subject,
+        from: parsed.from,
+        text: parsed.featureText,
+        meta: Object.assign({ senderReputation: 0.5 }, parsed.meta),
+        row: null,
+      };
+    }
+    return {
+      id,
+      subject: "",
+      from: "",
+      text: raw,
+      meta: { senderReputation: 0.5 },
+      row: null,
+    };
+  }
+
+  // mbox or a single raw message; null when the text is neither
+  function batchEmailsFromText(text) {
+    if (looksLikeMbox(text))
+      return parseMbox(text).map((raw, i) => emailFromRaw(raw, i + 1));
+    if (global.looksLikeRawEmail && global.looksLikeRawEmail(text))
+      return [emailFromRaw(text, 1)];
+    return null;
+  }
+
+  function batchEmailsFromRows(rows) {
+    return (rows || []).map((row, i) => {
+      const id = row.id !== undefined && row.id !== "" ? row.id : i + 1;
+      const body = row.body || row.text || row.email || "";
+      if (!body) return { id, subject: "", from: "", text: "", meta: {}, row };
+      if (global.looksLikeRawEmail && global.looksLikeRawEmail(body))
+        return Object.assign(emailFromRaw(body, id), { row });
+      const subject = row.subject || "";
+      return {
+        id,
+        subject,
+        from: row.from || row.fromDomain || "",
+        text: subject ? `Subject: ${subject}\n\n${body}` : body,
+        meta: {
+          fromDomain: row.fromDomain || row.from || "",
+          replyToDomain: row.replyToDomain || row.replyTo || "",
+          hasAttachment: !!row.hasAttachment,
+          senderReputation: row.senderReputation
+            ? Number(row.senderReputation)
+            : 0.5,
+        },
+        row,
+      };
+    });
+  }
+
+  // scorers: { name: (email) => object of result columns }. A scorer that throws
+  // leaves an "error" column for that model instead of stopping the batch.
+  async function scoreEmailBatch(emails, scorers, opts = {}) {
+    const chunk = opts.chunkSize || 25;
+    const results = [];
+    for (let i = 0; i < emails.length; i++) {
+      const email = emails[i];
+      const out = {
+        id: email.id,
+        subject: email.subject,
+        from: email.from,
+      };
+      for (const name of Object.keys(scorers)) {
+        try {
+          Object.assign(out, scorers[name](email));
+        } catch (err) {
+          out[`${name}_error`] = String(err.message || err);
+        }
+      }
+      results.push(out);
+      if ((i + 1) % chunk === 0 || i === emails.length - 1) {
+        if (typeof opts.onProgress === "function")
+          opts.onProgress({ done: i + 1, total: emails.length });
+        // yield so the page stays responsive on large mailboxes
+        await new Promise((r) => setTimeout(r, 0));
+      }
+    }
+    return results;
+  }
+
+  function compareValues(a, b) {
+    const empty = (v) => v === null || v === undefined || v === "";
+    if (empty(a) || empty(b)) return empty(a) - empty(b);
+    const na = Number(a);
+    const nb = Number(b);
+    if (isFinite(na) && isFinite(nb)) return na - nb;
+    return String(a).localeCompare(String(b));
+  }
+
+  function formatCell(v) {
+    if (v === null || v === undefined) return "—";
+    if (typeof v === "number" && !Number.isInteger(v)) return v.toFixed(3);
+    return String(v);
+  }
+
+  // columns: [{ key, label }]. Clicking a header sorts by it; clicking again flips order.
+  function renderBatchTable(container, rows, columns) {
+    if (!container) return;
+    const state = { key: null, dir: 1 };
+
+    function draw() {
+      container.innerHTML = "";
+      const sorted = rows.slice();
+      if (state.key)
+        sorted.sort(
+          (a, b) => state.dir * compareValues(a[state.key], b[state.key])
+        );
+      const table = document.createElement("table");
+      table.className = "data-table batch-table";
+      const head = document.createElement("tr");
+      for (const col of columns) {
+        const th = document.createElement("th");
+        th.className = "sortable";
+        th.textContent =
+          col.label +
+          (state.key === col.key ? (state.dir > 0 ? " ▲" : " ▼") : "");
+        th.addEventListener("click", () => {
+          state.dir = state.key === col.key ? -state.dir : 1;
+          state.key = col.key;
+          draw();
+        });
+        head.appendChild(th);
+      }
+      table.appendChild(head);
+      for (const r of sorted) {
+        const tr = document.createElement("tr");
+        if (r.flagged) tr.className = "is-driver";
+        for (const col of columns) {
+          const td = document.createElement("td");
+          td.textContent = formatCell(r[col.key]);
+          if (col.key === "subject" || col.key === "from") {
+            td.className = "url-cell";
+            td.title = String(r[col.key] || "");
+          }
+          tr.appendChild(td);
+        }
+        table.appendChild(tr);
+      }
+      container.appendChild(table);
+    }
+
+    draw();
+  }
+
+  function csvField(v) {
+    const s = v === null || v === undefined ? "" : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function batchResultsToCsv(rows, columns) {
+    const lines = [columns.map((c) => csvField(c.key)).join(",")];
+    for (const r of rows)
+      lines.push(columns.map((c) => csvField(r[c.key])).join(","));
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  function batchResultsToJson(rows) {
+    return JSON.stringify(rows, null, 2);
+  }
+
+  global.parseMbox = parseMbox;
+  global.batchEmailsFromText = batchEmailsFromText;
+  global.batchEmailsFromRows = batchEmailsFromRows;
+  global.scoreEmailBatch = scoreEmailBatch;
+  global.renderBatchTable = renderBatchTable;
+  global.batchResultsToCsv = batchResultsToCsv;
+  global.batchResultsToJson = batchResultsToJson;
+})(window);
@@ -0,0 +1,186 @@
+// cross_validation.js
+// Stratified k-fold cross-validation and hyperparameter grid search for the in-browser
+// trainers (LinearSVM from svm_trainer.js, RandomForestTrainer from rf_trainer.js).
+// - Folds keep the class ratio of y; shuffling is seeded so reruns give the same folds
+// - Per-fold metrics come from evaluation.js (accuracy, precision, recall, F1, ROC AUC)
+// - A config is a plain options object for the trainer's constructor
+//
+// Exposes:
+//   window.stratifiedKFold(y, k, seed)                  -> [{ train: [idx], test: [idx] }]
+//   window.parameterGrid(spec)                          -> [config] (every combination of spec's lists)
+//   window.parseParameterGrid(text)                     -> spec from "C=0.1,1,10; epochs=50"
+//   window.crossValidate(adapter, X, y, config, opts)   -> Promise<{ config, folds, mean, std }>
+//   window.gridSearch(adapter, X, y, spec, opts)        -> Promise<{ results, best, metric }>
+//   window.cvAdapters                                   -> { svm, rf }: { fit, score, threshold }
+//
+// opts: { k (default 5), seed, metric (ranking key, default "f1"), featureNames, onProgress }
+// The fold shuffle uses the seeded PRNG of features.js (window.mulberry32).
+
+(function (global) {
+  const METRICS = ["accuracy", "precision", "recall", "f1", "auc"];
+
+  // Each class is shuffled and dealt round-robin over the folds
+  function stratifiedKFold(y, k = 5, seed = 42) {
+    const rand = global.mulberry32(seed);
+    const byClass = new Map();
+    y.forEach((label, i) => {
+      if (!byClass.has(label)) byClass.set(label, []);
+      byClass.get(label).push(i);
+    });
+    const folds = Array.from({ length: k }, () => []);
+    let next = 0;
+    for (const idx of byClass.values()) {
+      for (let i = idx.length - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        [idx[i], idx[j]] = [idx[j], idx[i]];
+      }
+      for (const i of idx) {
+        folds[next].push(i);
+        next = (next + 1) % k;
+      }
+    }
+    return folds.map((test, f) => ({
+      train: folds.filter((_, g) => g !== f).flat(),
+      test,
+    }));
+  }
+
+  function parameterGrid(spec) {
+    let configs = [{}];
+    for (const key of Object.keys(spec || {})) {
+      const values = Array.isArray(spec[key]) ? spec[key] : [spec[key]];
+      configs = configs.flatMap((c) =>
+        values.map((v) => Object.assign({}, c, { [key]: v }))
+      );
+    }
+    return configs;
+  }
+
+  // "C=0.1,1,10; epochs=50" -> { C: [0.1, 1, 10], epochs: [50] };
+  // "none" / "null" become null (e.g. classWeight=balanced,none)
+  function parseParameterGrid(text) {
+    const spec = {};
+    for (const part of String(text || "").split(/[;\n]/)) {
+      const m = part.match(/^\s*([A-Za-z_]\w*)\s*=\s*(.+?)\s*$/);
+      if (!m) continue;
+      spec[m[1]] = m[2]
+        .split(",")
+        .map((v) => v.trim())
+        .filter((v) => v !== "")
+        .map((v) =>
+          /^(none|null)$/i.test(v) ? null : isFinite(Number(v)) ? Number(v) : v
+        );
+    }
+    return spec;
+  }
+
+  // Adapters: fit(X, y, config, featureNames) -> Promise<model>, score(model, x) -> number,
+  // threshold: score at or above which a row is predicted 1
+  const cvAdapters = {
+    svm: {
+      threshold: 0,
+      async fit(X, y, config) {
+        const model = new global.LinearSVM(config);
+        await model.fitAsync(X, y);
+        return model;
+      },
+      score(model, x) {
+        return model.predictOne(x).score;
+      },
+    },
+    rf: {
+      threshold: 0.5,
+      async fit(X, y, config, featureNames) {
+        const trainer = new global.RandomForestTrainer(config);
+        await trainer.fitAsync(X, y, { featureNames });
+        const model = new global.BrowserRF();
+        model.loadFromObject(trainer.toModel());
+        return model;
+      },
+      score(model, x) {
+        const { probs } = model.predictOne(x, { threshold: 0.5 });
+        return probs.length > 1 ? probs[1] : 0;
+      },
+    },
+  };
+
+  function summarize(folds) {
+    const mean = {};
+    const std = {};
+    for (const name of METRICS) {
+      const values = folds.map((f) => f[name]).filter((v) => v !== null);
+      if (!values.length) {
+        mean[name] = null;
+        std[name] = null;
+        continue;
+      }
+      const mu = values.reduce((a, b) => a + b, 0) / values.length;
+      mean[name] = mu;
+      std[name] = Math.sqrt(
+        values.reduce((a, v) => a + (v - mu) ** 2, 0) / values.length
+      );
+    }
+    return { mean, std };
+  }
+
+  async function crossValidate(adapter, X, y, config, opts = {}) {
+    const k = Math.max(2, Number(opts.k) || 5);
+    const splits = stratifiedKFold(y, k, opts.seed);
+    const folds = [];
+    for (let f = 0; f < splits.length; f++) {
+      const { train, test } = splits[f];
+      const model = await adapter.fit(
+        train.map((i) => X[i]),
+        train.map((i) => y[i]),
+        config,
+        opts.featureNames
+      );
+      const yTest = test.map((i) => y[i]);
+      const scores = test.map((i) => adapter.score(model, X[i]));
+      const cm = global.confusionMatrix(yTest, scores, adapter.threshold);
+      folds.push(
+        Object.assign(global.classificationMetrics(cm), {
+          auc: global.rocCurve(yTest, scores).auc,
+        })
+      );
+      if (typeof opts.onProgress === "function")
+        opts.onProgress({ fold: f + 1, folds: splits.length });
+      await new Promise((r) => setTimeout(r, 0));
+    }
+    return Object.assign({ config, folds }, summarize(folds));
+  }
+
+  // Results sorted best-first by mean[opts.metric]
+  async function gridSearch(adapter, X, y, spec, opts = {}) {
+    const metric = METRICS.includes(opts.metric) ? opts.metric : "f1";
+    const configs = parameterGrid(spec);
+    const results = [];
+    for (let c = 0; c < configs.length; c++) {
+      const onProgress = (p) => {
+        if (typeof opts.onProgress === "function")
+          opts.onProgress(
+            Object.assign({ config: c + 1, configs: configs.length }, p)
+          );
+      };
+      results.push(
+        await crossValidate(
+          adapter,
+          X,
+          y,
+          configs[c],
+          Object.assign({}, opts, { onProgress })
+        )
+      );
+    }
+    const value = (r) => (r.mean[metric] === null ? -Infinity : r.mean[metric]);
+    results.sort((a, b) => value(b) - value(a));
+    return { results, best: results[0] || null, metric };
+  }
+
+  global.stratifiedKFold = stratifiedKFold;
+  global.parameterGrid = parameterGrid;
+  global.parseParameterGrid = parseParameterGrid;
+  global.crossValidate = crossValidate;
+  global.gridSearch = gridSearch;
+  global.cvAdapters = cvAdapters;
+})(window);
@@ -0,0 +1,414 @@
+// csv_import.js
+// CSV import for the dataset uploads (training, evaluation, cross-validation, DBSCAN, batch).
+// - Streaming RFC 4180 parser: quoted fields, "" escapes, delimiters and CR / LF / CRLF line
+//   breaks inside quotes; the file is decoded and parsed chunk by chunk
+// - Encoding detection: UTF-8 / UTF-16 byte order marks, else UTF-8 if the bytes are valid,
+//   else Windows-1252 (Excel "CSV" exports)
+// - Delimiter detection: , ; tab | — whichever splits the first records most consistently
+// - Column mapping: which columns hold body, fromDomain, replyToDomain, hasAttachment,
+//   senderReputation and label; mapped values are copied to those names (the names the
+//   feature builders read) and normalized before features are built
+//
+// Exposes:
+//   window.CSV_MAPPING_FIELDS                    -> [{ name, label }]
+//   window.createCsvParser(delimiter, onRecord)  -> { push(text), end() }; onRecord(fields)
+//                                                   returning false stops the parser
+//   window.detectCsvEncoding(bytes)              -> "utf-8" | "utf-16le" | "utf-16be" | "windows-1252"
+//   window.detectCsvDelimiter(sample)            -> "," | ";" | "\t" | "|"
+//   window.parseCsvText(text, opts)              -> { header, rows, delimiter, ragged, unterminated }
+//   window.parseCsvFile(file, opts)              -> Promise<same + { encoding }>; opts.onProgress
+//   window.previewCsvFile(file)                  -> Promise<{ header, rows (first few), delimiter, encoding }>
+//   window.guessColumnMapping(header)            -> { field: column name or "" }
+//   window.applyColumnMapping(rows, mapping)     -> rows with the mapped fields filled in
+//   window.renderColumnMapping(container, preview, mapping, onChange)
+//
+// rows are objects keyed by the header; ragged counts records whose field count differs from
+// the header (missing fields are "", extra fields are dropped).
+
+(function (global) {
+  const DELIMITERS = [",", ";", "\t", "|"];
+  const CHUNK_BYTES = 1 << 16;
+  const SAMPLE_BYTES = 1 << 16;
+  const SAMPLE_RECORDS = 20;
+  const PREVIEW_ROWS = 5;
+
+  const CSV_MAPPING_FIELDS = [
+    { name: "body", label: "Body (email text)" },
+    { name: "fromDomain", label: "From domain" },
+    { name: "replyToDomain", label: "Reply-To domain" },
+    { name: "hasAttachment", label: "Has attachment" },
+    { name: "senderReputation", label: "Sender reputation (0-1)" },
+    { name: "label", label: "Label (1 = spam / phishing)" },
+  ];
+
+  // Column names recognised for each field, compared without case and punctuation
+  const FIELD_ALIASES = {
+    body: ["body", "text", "email", "message", "content", "emailtext", "mail"],
+    fromDomain: ["fromdomain", "from", "sender", "senderdomain", "fromaddress"],
+    replyToDomain: ["replytodomain", "replyto", "replytoaddress"],
+    hasAttachment: ["hasattachment", "attachment", "attachments"],
+    senderReputation: ["senderreputation", "reputation", "senderscore"],
+    label: [
+      "label",
+      "class",
+      "category",
+      "spam",
+      "isspam",
+      "phishing",
+      "classlabel",
+    ],
+  };
+
+  const TRUE_VALUES = ["1", "true", "yes", "y", "t"];
+
+  // RFC 4180 states; a quote inside an unquoted field, or text after a closing quote, is
+  // kept as text rather than rejected
+  const FIELD_START = 0;
+  const UNQUOTED = 1;
+  const QUOTED = 2;
+  const QUOTE_IN_QUOTED = 3;
+
+  function createCsvParser(delimiter, onRecord) {
+    let state = FIELD_START;
+    let field = "";
+    let record = [];
+    let skipLF = false;
+    let stopped = false;
+
+    function endField() {
+      record.push(field);
+      field = "";
+      state = FIELD_START;
+    }
+
+    function endRecord() {
+      endField();
+      const fields = record;
+      record = [];
+      // blank lines are not records
+      if (fields.length === 1 && fields[0] === "") return;
+      if (onRecord(fields) === false) stopped = true;
+    }
+
+    function push(text) {
+      for (let i = 0; i < text.length && !stopped; i++) {
+        const ch = text[i];
+        if (skipLF) {
+          skipLF = false;
+          if (ch === "\n") continue;
+        }
+        if (state === QUOTED) {
+          if (ch === '"') state = QUOTE_IN_QUOTED;
+          else field += ch;
+          continue;
+        }
+        if (state === QUOTE_IN_QUOTED) {
+          if (ch === '"') {
+            field += '"';
+            state = QUOTED;
+            continue;
+          }
+          state = UNQUOTED;
+        } else if (state === FIELD_START && ch === '"') {
+          state = QUOTED;
+          continue;
+        }
+        if (ch === delimiter) endField();
+        else if (ch === "\n" || ch === "\r") {
+          skipLF = ch === "\r";
+          endRecord();
+        } else {
+          field += ch;
+          state = UNQUOTED;
+        }
+      }
+    }
+
+    // -> true when the input ended inside a quoted field
+    function end() {
+      const unterminated = state === QUOTED;
+      if (!stopped && (field !== "" || record.length || state !== FIELD_START))
+        endRecord();
+      return unterminated;
+    }
+
+    return { push, end };
+  }
+
+  function decodeWith(decoder, bytes, options) {
+    try {
+      return decoder.decode(bytes, options);
+    } catch (e) {
+      const err = new Error(`CSV: not valid ${decoder.encoding}`);
+      err.badEncoding = true;
+      throw err;
+    }
+  }
+
+  function detectCsvEncoding(bytes) {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf)
+      return "utf-8";
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be";
+    // UTF-16 without a byte order mark: ASCII text has every other byte zero
+    let evenZeros = 0;
+    let oddZeros = 0;
+    const n = Math.min(bytes.length, 512);
+    for (let i = 0; i < n; i++)
+      if (bytes[i] === 0) i % 2 ? oddZeros++ : evenZeros++;
+    if (oddZeros > n / 4 && evenZeros === 0) return "utf-16le";
+    if (evenZeros > n / 4 && oddZeros === 0) return "utf-16be";
+    try {
+      // stream: a character cut at the end of the sample is not an error
+      new TextDecoder("utf-8", { fatal: true }).decode(bytes, { stream: true });
+      return "utf-8";
+    } catch (e) {
+      return "windows-1252";
+    }
+  }
+
+  // sample: the start of the file; its last record may be cut off and is not counted
+  function detectCsvDelimiter(sample) {
+    let best = { delimiter: ",", score: -1, columns: 0 };
+    for (const delimiter of DELIMITERS) {
+      const counts = [];
+      const parser = createCsvParser(delimiter, (fields) => {
+        counts.push(fields.length);
+        return counts.length <= SAMPLE_RECORDS;
+      });
+      parser.push(sample);
+      if (counts.length > 1) counts.pop();
+      const columns = counts[0] || 0;
+      if (columns < 2) continue;
+      const score = counts.filter((c) => c === columns).length / counts.length;
+      if (
+        score > best.score ||
+        (score === best.score && columns > best.columns)
+      )
+        best = { delimiter, score, columns };
+    }
+    return best.delimiter;
+  }
+
+  // First record is the header; empty or repeated names get a column_N name
+  function headerFromRecord(fields) {
+    const seen = new Set();
+    return fields.map((f, i) => {
+      let name = f.trim();
+      if (!name || seen.has(name)) name = `column_${i + 1}`;
+      seen.add(name);
+      return name;
+    });
+  }
+
+  // -> { parser, result }: records become rows of result until opts.limit rows are read
+  function rowCollector(delimiter, opts = {}) {
+    const result = { header: null, rows: [], delimiter, ragged: 0 };
+    const limit = opts.limit || Infinity;
+    const parser = createCsvParser(delimiter, (fields) => {
+      if (!result.header) {
+        result.header = headerFromRecord(fields);
+        return limit > 0;
+      }
+      const { header } = result;
+      if (fields.length !== header.length) result.ragged++;
+      const row = {};
+      for (let i = 0; i < header.length; i++)
+        row[header[i]] = i < fields.length ? fields[i] : "";
+      result.rows.push(row);
+      return result.rows.length < limit;
+    });
+    return { parser, result };
+  }
+
+  function finish(parser, result) {
+    result.unterminated = parser.end();
+    if (!result.header) throw new Error("CSV: empty file");
+    return result;
+  }
+
+  // opts: { delimiter, limit }
+  function parseCsvText(text, opts = {}) {
+    text = String(text || "").replace(/^\uFEFF/, "");
+    const delimiter =
+      opts.delimiter || detectCsvDelimiter(text.slice(0, SAMPLE_BYTES));
+    const { parser, result } = rowCollector(delimiter, opts);
+    parser.push(text);
+    return finish(parser, result);
+  }
+
+  // Blob chunks in order: file.stream() where available, else slices
+  async function readChunks(file, onChunk) {
+    if (typeof file.stream === "function") {
+      const reader = file.stream().getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        if (onChunk(value) === false) {
+          reader.cancel();
+          return;
+        }
+      }
+    }
+    for (let at = 0; at < file.size; at += CHUNK_BYTES) {
+      const buf = await file.slice(at, at + CHUNK_BYTES).arrayBuffer();
+      if (onChunk(new Uint8Array(buf)) === false) return;
+    }
+  }
+
+  async function streamCsvFile(file, encoding, delimiter, opts) {
+    const decoder = new TextDecoder(encoding, { fatal: encoding === "utf-8" });
+    const { parser, result } = rowCollector(delimiter, opts);
+    const onProgress =
+      typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+    let done = 0;
+    let full = false;
+    await readChunks(file, (bytes) => {
+      parser.push(decodeWith(decoder, bytes, { stream: true }));
+      done += bytes.length;
+      onProgress({ done, total: file.size });
+      full = opts.limit && result.rows.length >= opts.limit;
+      return !full;
+    });
+    if (!full) parser.push(decodeWith(decoder));
+    return Object.assign(finish(parser, result), { encoding });
+  }
+
+  // opts: { encoding, delimiter, limit, onProgress({ done, total }) } (bytes)
+  async function parseCsvFile(file, opts = {}) {
+    const sample = new Uint8Array(
+      await file.slice(0, SAMPLE_BYTES).arrayBuffer()
+    );
+    const encoding = opts.encoding || detectCsvEncoding(sample);
+    const delimiter =
+      opts.delimiter ||
+      detectCsvDelimiter(new TextDecoder(encoding).decode(sample));
+    try {
+      return await streamCsvFile(file, encoding, delimiter, opts);
+    } catch (e) {
+      // invalid UTF-8 past the sampled start: read it again as Windows-1252
+      if (!e.badEncoding || opts.encoding) throw e;
+      return streamCsvFile(file, "windows-1252", delimiter, opts);
+    }
+  }
+
+  function previewCsvFile(file) {
+    return parseCsvFile(file, { limit: PREVIEW_ROWS });
+  }
+
+  function normalizeName(name) {
+    return String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "");
+  }
+
+  function guessColumnMapping(header) {
+    const mapping = {};
+    const taken = new Set();
+    for (const { name } of CSV_MAPPING_FIELDS) {
+      const aliases = FIELD_ALIASES[name];
+      let column = "";
+      for (const alias of aliases) {
+        column =
+          header.find((h) => !taken.has(h) && normalizeName(h) === alias) || "";
+        if (column) break;
+      }
+      if (column) taken.add(column);
+      mapping[name] = column;
+    }
+    return mapping;
+  }
+
+  // "Name <user@host>" / "user@host" -> host; plain domains are lower-cased
+  function domainValue(v) {
+    const s = String(v || "").trim();
+    const at = s.lastIndexOf("@");
+    return (at === -1 ? s : s.slice(at + 1))
+      .replace(/[>\s]+$/, "")
+      .toLowerCase();
+  }
+
+  function normalizeMapped(field, v) {
+    if (field === "fromDomain" || field === "replyToDomain")
+      return domainValue(v);
+    if (field === "hasAttachment") {
+      const s = String(v === undefined || v === null ? "" : v)
+        .trim()
+        .toLowerCase();
+      return TRUE_VALUES.includes(s) || Number(s) > 0;
+    }
+    if (field === "senderReputation") {
+      const n = parseFloat(v);
+      return isFinite(n) ? n : undefined;
+    }
+    return v;
+  }
+
+  // A mapped source column is renamed, not copied, so e.g. a numeric label column does not
+  // also end up as a feature column
+  function applyColumnMapping(rows, mapping) {
+    const fields = CSV_MAPPING_FIELDS.map((f) => f.name).filter(
+      (name) => mapping && mapping[name]
+    );
+    if (!fields.length) return rows;
+    return rows.map((row) => {
+      const out = Object.assign({}, row);
+      for (const name of fields) delete out[mapping[name]];
+      for (const name of fields)
+        out[name] = normalizeMapped(name, row[mapping[name]]);
+      return out;
+    });
+  }
+
+  function delimiterName(d) {
+    return d === "\t" ? "tab" : `"${d}"`;
+  }
+
+  // preview: previewCsvFile result. Edits mapping in place and calls onChange(mapping).
+  function renderColumnMapping(container, preview, mapping, onChange) {
+    if (!container) return;
+    container.innerHTML = "";
+    container.hidden = false;
+    const info = document.createElement("div");
+    info.className = "model-status";
+    info.textContent = `CSV: ${
+      preview.header.length
+    } columns, delimiter ${delimiterName(preview.delimiter)}, encoding ${
+      preview.encoding
+    } — sütunları seçin:`;
+    container.appendChild(info);
+    for (const { name, label } of CSV_MAPPING_FIELDS) {
+      const wrap = document.createElement("label");
+      wrap.textContent = label;
+      const select = document.createElement("select");
+      select.dataset.field = name;
+      for (const column of [""].concat(preview.header)) {
+        const opt = document.createElement("option");
+        opt.value = column;
+        const sample = preview.rows.length ? preview.rows[0][column] : "";
+        opt.textContent = column
+          ? `${column}${sample ? ` (e.g. ${String(sample).slice(0, 24)})` : ""}`
+          : "(none)";
+        select.appendChild(opt);
+      }
+      select.value = mapping[name] || "";
+      select.addEventListener("change", () => {
+        mapping[name] = select.value;
+        if (typeof onChange === "function") onChange(mapping);
+      });
+      wrap.appendChild(select);
+      container.appendChild(wrap);
+    }
+  }
+
+  global.CSV_MAPPING_FIELDS = CSV_MAPPING_FIELDS;
+  global.createCsvParser = createCsvParser;
+  global.detectCsvEncoding = detectCsvEncoding;
+  global.detectCsvDelimiter = detectCsvDelimiter;
+  global.parseCsvText = parseCsvText;
+  global.parseCsvFile = parseCsvFile;
+  global.previewCsvFile = previewCsvFile;
+  global.guessColumnMapping = guessColumnMapping;
+  global.applyColumnMapping = applyColumnMapping;
+  global.renderColumnMapping = renderColumnMapping;
+})(window);
@@ -1,15 +1,4 @@
 (function (global) {
-  // --- Euclidean distance ---
-  function euclidean(a, b) {
-    let s = 0;
-    for (let i = 0; i < Math.max(a.length, b.length); i++) {
-      const ai = Number(a[i] || 0);
-      const bi = Number(b[i] || 0);
-      const d = ai - bi;
-      s += d * d;
-    }
-    return Math.sqrt(s);
-  }
   // --- Z-score scaler ---
   function computeScaler(X) {
     if (!Array.isArray(X) || X.length === 0) return { mean: [], std: [] };
@@ -43,41 +32,134 @@
   function applyScaler(X, scaler) {
     return X.map((r) => applyScalerToRow(r, scaler));
   }
+  // --- Gower range scaler: (x - min) / (range * m), so L1 is the mean relative difference ---
+  // Same { mean, std } shape as the z-score scaler, so applyScalerToRow handles both.
+  function computeRangeScaler(X) {
+    if (!Array.isArray(X) || X.length === 0) return { mean: [], std: [] };
+    const m = X[0].length;
+    const mean = new Array(m).fill(Infinity),
+      std = new Array(m).fill(-Infinity);
+    for (const row of X)
+      for (let j = 0; j < m; j++) {
+        const v = Number(row[j] || 0);
+        if (v < mean[j]) mean[j] = v;
+        if (v > std[j]) std[j] = v;
+      }
+    for (let j = 0; j < m; j++) {
+      const range = std[j] - mean[j];
+      std[j] = (isFinite(range) && range > 1e-8 ? range : 1) * m;
+    }
+    return { mean, std };
+  }
+  // --- Distance metric (distance_metrics.js; z-scored Euclidean for a missing name) ---
+  function metricOf(name) {
+    if (name && typeof name === "object") return name;
+    return global.getDistanceMetric(name);
+  }
+  function scalerFor(Xraw, metric) {
+    if (metric.scaling === "zscore") return computeScaler(Xraw);
+    if (metric.scaling === "range") return computeRangeScaler(Xraw);
+    return null;
+  }
+  // Points as the metric compares them: { metric, scaler, X }
+  function metricSpace(Xraw, metricName) {
+    const metric = metricOf(metricName);
+    const scaler = scalerFor(Xraw, metric);
+    return { metric, scaler, X: scaler ? applyScaler(Xraw, scaler) : Xraw };
+  }
+  // Neighbor index over the prepared points (neighbor_index.js); brute force when missing
+  // or when the metric is not a norm the tree / grid bounds understand
+  function buildIndex(X, type, eps, metric = metricOf("euclidean")) {
+    const distance = metric.distance;
+    if (global.buildNeighborIndex)
+      return global.buildNeighborIndex(X, {
+        type: metric.norm ? type : "brute",
+        eps,
+        distance,
+        norm: metric.norm,
+      });
+    return {
+      type: "brute",
+      radius(point, r, exclude = -1) {
+        const out = [];
+        for (let j = 0; j < X.length; j++)
+          if (j !== exclude && distance(point, X[j]) <= r) out.push(j);
+        return out;
+      },
+      nearest(point) {
+        let best = { idx: -1, dist: Infinity };
+        for (let j = 0; j < X.length; j++) {
+          const d = distance(point, X[j]);
+          if (d < best.dist) best = { idx: j, dist: d };
+        }
+        return best;
+      },
+      knearest(point, k, exclude = -1) {
+        const hits = [];
+        for (let j = 0; j < X.length; j++)
+          if (j !== exclude) hits.push({ idx: j, dist: distance(point, X[j]) });
+        return hits
+          .sort((a, b) => a.dist - b.dist || a.idx - b.idx)
+          .slice(0, k);
+      },
+    };
+  }
   // --- DBSCAN algorithm ---
-  function dbscan(Xraw, eps = 2.0, minPts = 4) {
+  // opts.onProgress({ done, total }) is called as points get visited (every ~1%).
+  // opts.index picks the neighbor index ("auto", "kdtree", "balltree", "grid", "brute");
+  // it is built once per run and every choice yields the same labels.
+  // opts.metric names the distance (distance_metrics.js, default "euclidean"); it is
+  // recorded in the summary and in _last so assignment measures the same way.
+  // Every point is visited (and its neighborhood queried) exactly once; the core flag
+  // is recorded at that moment instead of re-querying all points afterwards.
+  function dbscan(Xraw, eps = 2.0, minPts = 4, opts = {}) {
     if (!Array.isArray(Xraw) || Xraw.length === 0)
       return { labels: [], corePoints: [], scaler: null, Xscaled: [] };
-    const scaler = computeScaler(Xraw);
-    const X = applyScaler(Xraw, scaler);
+    const { metric, scaler, X } = metricSpace(Xraw, opts.metric);
     const n = X.length;
     const labels = new Array(n).fill(undefined);
     const visited = new Array(n).fill(false);
+    const isCore = new Array(n).fill(false);
+    // expansion id that last queued each point (replaces stack.includes)
+    const queuedBy = new Int32Array(n).fill(-1);
+    const onProgress =
+      typeof opts.onProgress === "function" ? opts.onProgress : null;
+    const progressStep = Math.max(1, Math.floor(n / 100));
+    let visitedCount = 0;
     let clusterId = 0;
+    const index = buildIndex(X, opts.index, eps, metric);
     function regionQuery(i) {
-      const neighbors = [];
-      const xi = X[i];
-      for (let j = 0; j < n; j++) {
-        if (i === j) continue;
-        if (euclidean(xi, X[j]) <= eps) neighbors.push(j);
-      }
+      return index.radius(X[i], eps, i);
+    }
+    function visit(i) {
+      visited[i] = true;
+      const neighbors = regionQuery(i);
+      isCore[i] = neighbors.length + 1 >= minPts;
+      visitedCount++;
+      if (onProgress && visitedCount % progressStep === 0)
+        onProgress({ done: visitedCount, total: n });
       return neighbors;
     }
     for (let i = 0; i < n; i++) {
       if (visited[i]) continue;
-      visited[i] = true;
-      const neighbors = regionQuery(i);
-      if (neighbors.length + 1 < minPts) labels[i] = -1;
+      const neighbors = visit(i);
+      if (!isCore[i]) labels[i] = -1;
       else {
-        const stack = [...neighbors];
+        const queue = [];
+        for (const nb of neighbors) {
+          queuedBy[nb] = clusterId;
+          queue.push(nb);
+        }
         labels[i] = clusterId;
-        while (stack.length) {
-          const j = stack.shift();
+        for (let head = 0; head < queue.length; head++) {
+          const j = queue[head];
           if (!visited[j]) {
-            visited[j] = true;
-            const jNeighbors = regionQuery(j);
-            if (jNeighbors.length + 1 >= minPts) {
+            const jNeighbors = visit(j);
+            if (isCore[j]) {
               for (const nb of jNeighbors) {
-                if (!stack.includes(nb)) stack.push(nb);
+                if (queuedBy[nb] === clusterId) continue;
+                queuedBy[nb] = clusterId;
+                queue.push(nb);
               }
             }
           }
@@ -87,14 +169,18 @@
         clusterId++;
       }
     }
+    if (onProgress && visitedCount % progressStep !== 0)
+      onProgress({ done: n, total: n });
     const corePoints = [];
-    for (let i = 0; i < n; i++) {
-      const neighbors = regionQuery(i);
-      if (neighbors.length + 1 >= minPts) corePoints.push(i);
-    }
+    for (let i = 0; i < n; i++) if (isCore[i]) corePoints.push(i);
     const counts = {};
     labels.forEach((lbl) => (counts[lbl] = (counts[lbl] || 0) + 1));
-    const summary = { counts };
+    const summary = {
+      counts,
+      algorithm: "dbscan",
+      metric: metric.name,
+      index: index.type,
+    };
     global.__dbscan = global.__dbscan || {};
     global.__dbscan._last = {
       Xraw,
@@ -102,54 +188,174 @@
       labels,
       corePoints,
       scaler,
+      metric: metric.name,
       eps,
       minPts,
       summary,
+      indexType: index.type,
+      coreIndex: null, // built on the first assignment
     };
     return { labels, corePoints, scaler, Xscaled: X, summary };
   }
+  // --- k-distance graph (eps selection) ---
+  // Distance from every scaled point to its k-th nearest neighbor, the point itself counted
+  // as the first (the same count as the core test: a point is core exactly when its
+  // k-distance with k = minPts is <= eps). Sorted ascending; the knee suggests eps.
+  // opts: { index, metric, onProgress } as for dbscan()
+  function kDistanceGraph(Xraw, minPts = 4, opts = {}) {
+    if (!Array.isArray(Xraw) || Xraw.length === 0)
+      return { distances: [], k: minPts, knee: -1, eps: null, index: null };
+    const { metric, X } = metricSpace(Xraw, opts.metric);
+    const n = X.length;
+    const others = Math.max(1, Math.round(minPts) - 1);
+    const index = buildIndex(X, opts.index, undefined, metric);
+    const onProgress =
+      typeof opts.onProgress === "function" ? opts.onProgress : null;
+    const progressStep = Math.max(1, Math.floor(n / 100));
+    const distances = new Array(n);
+    for (let i = 0; i < n; i++) {
+      const hits = index.knearest(X[i], others, i);
+      // fewer than k points in total: the farthest one there is
+      distances[i] = hits.length ? hits[hits.length - 1].dist : 0;
+      if (onProgress && (i + 1) % progressStep === 0)
+        onProgress({ done: i + 1, total: n });
+    }
+    if (onProgress && n % progressStep !== 0) onProgress({ done: n, total: n });
+    distances.sort((a, b) => a - b);
+    const knee = kneeIndex(distances);
+    return {
+      distances,
+      k: others + 1,
+      knee,
+      eps: distances[knee],
+      index: index.type,
+      metric: metric.name,
+    };
+  }
+  // Knee of an ascending curve (Kneedle): with both axes scaled to [0, 1], the point
+  // farthest below the straight line from the first to the last point
+  function kneeIndex(values) {
+    const n = values.length;
+    if (n < 3) return n - 1;
+    const lo = values[0];
+    const span = values[n - 1] - lo;
+    if (!(span > 0)) return n - 1;
+    let best = n - 1;
+    let bestGap = 0;
+    for (let i = 1; i < n - 1; i++) {
+      const gap = i / (n - 1) - (values[i] - lo) / span;
+      if (gap > bestGap) {
+        bestGap = gap;
+        best = i;
+      }
+    }
+    return best;
+  }
+  // Index over the core points of the last run, shared by every assignment
+  function lastCoreIndex(last) {
+    if (!last.coreIndex) {
+      const cores = last.corePoints.map((i) => last.Xscaled[i]);
+      last.coreIndex = buildIndex(
+        cores,
+        last.indexType || "auto",
+        last.eps,
+        metricOf(last.metric)
+      );
+    }
+    return last.coreIndex;
+  }
   // --- Assign new email to nearest core cluster ---
-  function assignByNearestCore(Xraw, labels, corePoints, eps, newPoint) {
-    let scaler = global.__dbscan?._last?.scaler || computeScaler(Xraw || []);
-    const newPtScaled = applyScalerToRow(newPoint, scaler);
-    const Xscaled =
-      global.__dbscan?._last?.Xscaled || applyScaler(Xraw || [], scaler);
-    let best = { idx: -1, dist: Infinity };
-    for (const i of corePoints) {
-      const xi = Xscaled[i];
-      if (!xi) continue;
-      const d = euclidean(xi, newPtScaled);
-      if (d < best.dist) best = { idx: i, dist: d };
+  // newPoint is a feature vector, or a textShingles() set for a text metric (jaccard).
+  // The metric recorded with the last run of this Xraw wins over the metric argument.
+  // coreRadii (optional, HDBSCAN) holds one radius per corePoints entry and replaces eps.
+  function assignByNearestCore(
+    Xraw,
+    labels,
+    corePoints,
+    eps,
+    newPoint,
+    metricName,
+    coreRadii
+  ) {
+    // reuse the scaling of the run that clustered this Xraw (runs may finish out of order)
+    const last = global.__dbscan?._last;
+    const fromLast = last && last.Xraw === Xraw;
+    const metric = metricOf(fromLast && last.metric ? last.metric : metricName);
+    const scaler = fromLast ? last.scaler : scalerFor(Xraw || [], metric);
+    const newPtScaled = scaler ? applyScalerToRow(newPoint, scaler) : newPoint;
+    // best.k: position of the nearest core in corePoints
+    let best = { k: -1, dist: Infinity };
+    if (fromLast && last.Xscaled && last.corePoints === corePoints) {
+      const hit = lastCoreIndex(last).nearest(newPtScaled);
+      best = { k: hit.idx, dist: hit.dist };
+    } else {
+      const Xscaled =
+        (fromLast && last.Xscaled) ||
+        (scaler ? applyScaler(Xraw || [], scaler) : Xraw || []);
+      corePoints.forEach((i, k) => {
+        const xi = Xscaled[i];
+        if (!xi) return;
+        const d = metric.distance(xi, newPtScaled);
+        if (d < best.dist) best = { k, dist: d };
+      });
     }
-    if (best.idx === -1 || best.dist > eps)
+    const radius = best.k !== -1 && coreRadii ? coreRadii[best.k] : eps;
+    if (best.k === -1 || best.dist > radius)
       return { cluster: -1, dist: best.dist };
-    return { cluster: labels[best.idx], dist: best.dist };
+    return { cluster: labels[corePoints[best.k]], dist: best.dist };
   }
-  // --- Preprocess emails to numeric features ---
-  function preprocessEmails(emails) {
-    const domainMap = {};
-    let idx = 0;
+  // --- Preprocess emails to numeric features ("basic" feature space) ---
+  // [body length, sender domain index, attachment, reputation, 4 keyword counts].
+  // domainMap (optional) is extended in place, so later emails get the dataset's indices.
+  const BASIC_KEYWORDS = ["verify", "invoice", "payment", "meeting"];
+  function preprocessEmails(emails, domainMap = {}) {
     emails.forEach((e) => {
-      if (!domainMap[e.fromDomain]) domainMap[e.fromDomain] = idx++;
+      const domain = e.fromDomain || "";
+      if (!Object.prototype.hasOwnProperty.call(domainMap, domain))
+        domainMap[domain] = Object.keys(domainMap).length;
     });
 
-    const keywords = ["verify", "invoice", "payment", "meeting"];
     return emails.map((e) => {
+      const body = String(e.body || "");
+      const attachment = String(e.hasAttachment).toLowerCase();
       const featureArr = [
-        e.body.length,
-        domainMap[e.fromDomain],
-        e.hasAttachment ? 1 : 0,
-        e.senderReputation || 0,
+        body.length,
+        domainMap[e.fromDomain || ""],
+        attachment === "true" || attachment === "1" ? 1 : 0,
+        Number(e.senderReputation) || 0,
       ];
       // add keyword counts
-      const bodyLower = (e.body || "").toLowerCase();
-      keywords.forEach((kw) => {
+      const bodyLower = body.toLowerCase();
+      BASIC_KEYWORDS.forEach((kw) => {
         featureArr.push(bodyLower.split(kw).length - 1);
       });
       return featureArr;
     });
   }
 
+  // --- Clustering point for one email in the space a clustering was built in ---
+  // email: { text, meta, row } (batch.js record; row-only emails have text "")
+  // space: { features: "extended" | "basic", metric, domainMap }
+  function emailPoint(email, space = {}) {
+    const meta = email.meta || {};
+    if (metricOf(space.metric).input === "text")
+      return global.textShingles(email.text || "");
+    if (space.features === "basic") {
+      const source = email.text
+        ? {
+            body: email.text,
+            fromDomain: meta.fromDomain,
+            hasAttachment: meta.hasAttachment,
+            senderReputation: meta.senderReputation,
+          }
+        : email.row || {};
+      // copy: scoring an email must not add domains to the dataset's map
+      return preprocessEmails([source], Object.assign({}, space.domainMap))[0];
+    }
+    if (!email.text && email.row) return global.featuresFromRow(email.row);
+    return global.extractExtendedFeatures(email.text || "", meta);
+  }
+
   // --- Determine meaningful label for a cluster based on content ---
   function determineClusterLabel(clusterEmails) {
     if (clusterEmails.length === 0) return "Other";
@@ -189,154 +395,17 @@
     if (promoScore > phishingScore && promoScore > 0.5) return "Promo";
     return "Other";
   }
-  // --- Render clusters in UI (with meaningful labels, improved previews) ---
-  function renderDbscanClusters(emails, labels) {
-    const container = document.getElementById("dbscan-clusters");
-    container.innerHTML = "";
-
-    if (!emails || emails.length === 0 || !labels) {
-      container.textContent = "No clusters found";
-      return;
-    }
-
-    // Group emails by cluster
-    const clusters = {};
-    labels.forEach((lbl, idx) => {
-      clusters[lbl] = clusters[lbl] || [];
-      clusters[lbl].push(emails[idx]);
-    });
-
-    // Assign meaningful labels
-    const clusterLabels = {};
-    Object.keys(clusters).forEach((cid) => {
-      if (cid === "-1") clusterLabels[cid] = "Noise / Outlier";
-      else clusterLabels[cid] = determineClusterLabel(clusters[cid]);
-    });
-
-    // Build summary string
-    const summaryStr = Object.keys(clusters)
-      .map((cid) => {
-        const label = clusterLabels[cid];
-        const size = clusters[cid].length;
-        return `${label} (Cluster ${cid}): ${size}`;
-      })
-      .join(", ");
-
-    container.textContent = summaryStr || "No clusters found";
-  }
 
   global.__dbscan = global.__dbscan || {};
   global.__dbscan.dbscan = dbscan;
   global.__dbscan.assignByNearestCore = assignByNearestCore;
-  global.__dbscan.euclidean = euclidean;
+  global.__dbscan.kDistanceGraph = kDistanceGraph;
+  global.__dbscan.kneeIndex = kneeIndex;
   global.__dbscan.computeScaler = computeScaler;
   global.__dbscan.applyScaler = applyScaler;
+  global.__dbscan.metricSpace = metricSpace;
+  global.__dbscan.buildIndex = buildIndex;
   global.__dbscan.preprocessEmails = preprocessEmails;
-  global.__dbscan.renderDbscanClusters = renderDbscanClusters;
+  global.__dbscan.emailPoint = emailPoint;
+  global.__dbscan.determineClusterLabel = determineClusterLabel;
 })(window);
-// --- UI integration --- (unchanged, assuming it's fine)
-(function () {
-  const uploadInput = document.getElementById("dbscan-upload");
-  const runBtn = document.getElementById("dbscan-run");
-  const assignBtn = document.getElementById("dbscan-assign");
-  const epsInput = document.getElementById("dbscan-eps");
-  const minPtsInput = document.getElementById("dbscan-minPts");
-  const resultTitle = document.querySelector("#dbscan-result .title");
-  let emails = [];
-  function parseCSV(text) {
-    const lines = text.split(/\r?\n/);
-    if (!lines.length) return [];
-    const headers = lines[0].split(",").map((h) => h.trim()); // <-- correct
-    const rows = [];
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      const parts = line.match(/(".*?"|[^",\s]+)(?=\s*,|\s*$)/g) || [];
-      const obj = {};
-      headers.forEach((h, idx) => {
-        let val = parts[idx] || "";
-        val = val.replace(/^"|"$/g, "");
-        if (["hasAttachment"].includes(h))
-          val = val === "1" || val.toLowerCase() === "true";
-        if (["senderReputation"].includes(h)) val = parseFloat(val) || 0;
-        obj[h] = val;
-      });
-      rows.push(obj);
-    }
-    return rows;
-  }
-  uploadInput.addEventListener("change", (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = function (evt) {
-      emails = parseCSV(evt.target.result);
-    };
-    reader.readAsText(file);
-  });
-  runBtn.addEventListener("click", () => {
-    if (!emails || emails.length === 0) {
-      alert("Please upload a dataset first.");
-      return;
-    }
-    const eps = parseFloat(epsInput.value) || 2.0;
-    const minPts = parseInt(minPtsInput.value) || 4;
-    const X = window.__dbscan.preprocessEmails(emails);
-    const result = window.__dbscan.dbscan(X, eps, minPts);
-    window.__dbscan.renderDbscanClusters(emails, result.labels);
-    resultTitle.textContent = "DBSCAN Clustering Complete!";
-  });
-  assignBtn.addEventListener("click", () => {
-    if (!emails || emails.length === 0) {
-      alert("Upload dataset and run clustering first.");
-      return;
-    }
-
-    const emailObj = {
-      body: document.getElementById("sharedEmailInput").value || "",
-      fromDomain: document.getElementById("meta-fromDomain").value || "",
-      replyToDomain: document.getElementById("meta-replyDomain").value || "",
-      hasAttachment: document.getElementById("meta-hasAttachment").checked,
-      senderReputation:
-        parseFloat(document.getElementById("meta-senderRep").value) || 0,
-    };
-
-    const eps = parseFloat(document.getElementById("dbscan-eps").value) || 2.0;
-
-    const assigned = window.__dbscan.assignByNearestCore(
-      window.__dbscan._last.Xraw,
-      window.__dbscan._last.labels,
-      window.__dbscan._last.corePoints,
-      eps,
-      window.__dbscan.preprocessEmails([emailObj])[0]
-    );
-
-    const cid = assigned.cluster;
-
-    // ---- Insert new cluster label + size calculation here ----
-    let clusterLabel = "Noise";
-    let clusterSize = 0;
-    if (cid !== -1) {
-      const clusterEmails = window.__dbscan._last.Xraw.filter(
-        (_, idx) => window.__dbscan._last.labels[idx] === cid
-      );
-      clusterSize = clusterEmails.length;
-      clusterLabel = window.__dbscan.determineClusterLabel(clusterEmails);
-    }
-
-    // ---- Update UI with full info ----
-    const resultTitle = document.querySelector("#dbscan-result .title");
-    resultTitle.textContent = `Assigned: Cluster ${cid} (${clusterLabel})`;
-
-    const resultSub = document.querySelector("#dbscan-result .sub");
-    resultSub.textContent = `Distance to nearest core: ${assigned.dist.toFixed(
-      3
-    )} — Cluster size: ${clusterSize}`;
-  });
-
-  const senderRepSlider = document.getElementById("meta-senderRep");
-  const senderRepVal = document.getElementById("meta-senderRepVal");
-  senderRepSlider.addEventListener("input", () => {
-    senderRepVal.textContent = parseFloat(senderRepSlider.value).toFixed(2);
-  });
-})();
@@ -0,0 +1,162 @@
+// distance_metrics.js
+// Distance metrics for the clustering code (dbscan.js, optics_hdbscan.js). A metric says
+// how raw rows are prepared and how two prepared points are compared:
+// - scaling "zscore": per-feature z-scores (computeScaler), "range": Gower's per-feature
+//   range scaling, "none": rows as they are
+// - norm 2 / 1 / Infinity: the distance is that Lp norm of the difference, so the KD-tree,
+//   ball tree and grid indexes can prune with it; metrics without a norm use brute force
+// - input "text": points are token shingle sets of the email text instead of vectors
+//
+// Metrics:
+//   euclidean  z-scored L2 (the original DBSCAN behavior)
+//   manhattan  z-scored L1
+//   chebyshev  z-scored L-infinity
+//   cosine     1 - cos(a, b) on the raw vectors (sparse word counts)
+//   jaccard    1 - |A ∩ B| / |A ∪ B| over word shingles of the text
+//   gower      mean per-feature |a - b| / range: counts, 0/1 flags and the 0-1 reputation
+//              weigh the same (L1 after range scaling)
+//
+// Exposes:
+//   window.DISTANCE_METRICS          -> { name: { name, label, scaling, norm, input, distance(a, b) } }
+//   window.getDistanceMetric(name)   -> registry entry (euclidean for unknown names)
+//   window.textShingles(text, k)     -> sorted unique 32-bit hashes of k-word shingles (default 2)
+
+(function (global) {
+  const SHINGLE_WORDS = 2;
+
+  function euclidean(a, b) {
+    const m = Math.max(a.length, b.length);
+    let s = 0;
+    for (let i = 0; i < m; i++) {
+      const d = (a[i] || 0) - (b[i] || 0);
+      s += d * d;
+    }
+    return Math.sqrt(s);
+  }
+
+  function manhattan(a, b) {
+    const m = Math.max(a.length, b.length);
+    let s = 0;
+    for (let i = 0; i < m; i++) s += Math.abs((a[i] || 0) - (b[i] || 0));
+    return s;
+  }
+
+  function chebyshev(a, b) {
+    const m = Math.max(a.length, b.length);
+    let s = 0;
+    for (let i = 0; i < m; i++) {
+      const d = Math.abs((a[i] || 0) - (b[i] || 0));
+      if (d > s) s = d;
+    }
+    return s;
+  }
+
+  // Two all-zero rows are identical; one all-zero row is unrelated to anything else
+  function cosine(a, b) {
+    const m = Math.max(a.length, b.length);
+    let dot = 0;
+    let na = 0;
+    let nb = 0;
+    for (let i = 0; i < m; i++) {
+      const x = Number(a[i] || 0);
+      const y = Number(b[i] || 0);
+      dot += x * y;
+      na += x * x;
+      nb += y * y;
+    }
+    if (!na || !nb) return na === nb ? 0 : 1;
+    return Math.max(0, 1 - dot / Math.sqrt(na * nb));
+  }
+
+  // a, b: sorted unique integers (textShingles)
+  function jaccard(a, b) {
+    if (!a.length && !b.length) return 0;
+    let i = 0;
+    let j = 0;
+    let common = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        common++;
+        i++;
+        j++;
+      } else if (a[i] < b[j]) i++;
+      else j++;
+    }
+    return 1 - common / (a.length + b.length - common);
+  }
+
+  // FNV-1a
+  function hash32(s) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < s.length; i++) {
+      h ^= s.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // Short texts (fewer than k words) become a single shingle of all their words
+  function textShingles(text, k = SHINGLE_WORDS) {
+    const words = String(text || "")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu);
+    if (!words) return [];
+    const size = Math.max(1, Math.min(k, words.length));
+    const set = new Set();
+    for (let i = 0; i + size <= words.length; i++)
+      set.add(hash32(words.slice(i, i + size).join(" ")));
+    return Array.from(set).sort((x, y) => x - y);
+  }
+
+  const DISTANCE_METRICS = {
+    euclidean: {
+      label: "Euclidean (z-score)",
+      scaling: "zscore",
+      norm: 2,
+      distance: euclidean,
+    },
+    manhattan: {
+      label: "Manhattan (z-score)",
+      scaling: "zscore",
+      norm: 1,
+      distance: manhattan,
+    },
+    chebyshev: {
+      label: "Chebyshev (z-score)",
+      scaling: "zscore",
+      norm: Infinity,
+      distance: chebyshev,
+    },
+    cosine: {
+      label: "Cosine",
+      scaling: "none",
+      norm: null,
+      distance: cosine,
+    },
+    jaccard: {
+      label: "Jaccard (word shingles)",
+      scaling: "none",
+      norm: null,
+      input: "text",
+      distance: jaccard,
+    },
+    gower: {
+      label: "Gower (mixed features)",
+      scaling: "range",
+      norm: 1,
+      distance: manhattan,
+    },
+  };
+  for (const name of Object.keys(DISTANCE_METRICS)) {
+    DISTANCE_METRICS[name].name = name;
+    DISTANCE_METRICS[name].input = DISTANCE_METRICS[name].input || "vector";
+  }
+
+  function getDistanceMetric(name) {
+    return DISTANCE_METRICS[name] || DISTANCE_METRICS.euclidean;
+  }
+
+  global.DISTANCE_METRICS = DISTANCE_METRICS;
+  global.getDistanceMetric = getDistanceMetric;
+  global.textShingles = textShingles;
+})(window);
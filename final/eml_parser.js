@@ -0,0 +1,289 @@
+// eml_parser.js
+// Minimal RFC 5322 / MIME parser for raw messages (.eml or pasted "show original" source).
+// - Splits headers from body, unfolds folded header lines and decodes RFC 2047 encoded-words
+// - Walks multipart bodies, decoding quoted-printable and base64 parts with their charset
+// - Picks the text/plain part (falls back to the visible text of text/html) and lists attachments
+//   from Content-Disposition
+// - Parses any text/html part with html_email.js (anchors, forms, iframes, ...) into htmlDoc
+// - Takes fromDomain / replyToDomain from the From and Reply-To headers
+//
+// Exposes:
+//   window.looksLikeRawEmail(text)  -> true when text starts with a real header block
+//   window.parseEml(raw)            -> { headers, subject, from, replyTo, fromDomain, replyToDomain,
+//                                        text, html, htmlDoc, body, bodyType, attachments,
+//                                        hasAttachment, featureText, meta }
+//
+// featureText is "Subject: ...\n\n<body>", matching how emails are pasted into the textarea;
+// meta is in the shape extractExtendedFeatures expects (senderReputation is left to the user,
+// meta.html is htmlDoc).
+
+(function (global) {
+  const HEADER_LINE = /^[!-9;-~]+:/; // field-name: printable ASCII except ':'
+  const STRUCTURAL_HEADERS = [
+    "from",
+    "received",
+    "return-path",
+    "message-id",
+    "mime-version",
+    "content-type",
+    "delivered-to",
+  ];
+
+  // Split raw text at the first empty line into header block and body. A MIME part may
+  // have no headers at all (RFC 2046: boundary, empty line, body; it is then text/plain),
+  // so text that starts with an empty line is all body.
+  function splitHeaderBody(raw) {
+    const text = String(raw || "").replace(/\r\n/g, "\n");
+    const leading = text.match(/^[ \t]*\n/);
+    if (leading) return { head: "", body: text.slice(leading[0].length) };
+    const idx = text.search(/\n[ \t]*\n/);
+    if (idx === -1) return { head: text, body: "" };
+    const bodyStart = text.indexOf("\n", idx + 1) + 1;
+    return { head: text.slice(0, idx), body: text.slice(bodyStart) };
+  }
+
+  // Unfold continuation lines and collect headers as lowercased name -> [values]
+  function parseHeaders(head) {
+    const headers = {};
+    let current = null;
+    for (const line of head.split("\n")) {
+      if (/^[ \t]/.test(line) && current) {
+        current.value += " " + line.trim();
+        continue;
+      }
+      const m = line.match(/^([^:\s]+):\s*(.*)$/);
+      if (!m) continue;
+      current = { name: m[1].toLowerCase(), value: m[2] };
+      (headers[current.name] = headers[current.name] || []).push(current);
+    }
+    const out = {};
+    for (const k of Object.keys(headers))
+      out[k] = headers[k].map((h) => decodeEncodedWords(h.value.trim()));
+    return out;
+  }
+
+  function firstHeader(headers, name) {
+    const v = headers[name.toLowerCase()];
+    return v && v.length ? v[0] : "";
+  }
+
+  // Parse "type/subtype; key=value; key2="quoted"" into { value, params }
+  function parseParamHeader(value) {
+    const parts = String(value || "").split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const params = {};
+    for (const p of parts.slice(1)) {
+      const eq = p.indexOf("=");
+      if (eq === -1) continue;
+      const key = p.slice(0, eq).trim().toLowerCase().replace(/\*$/, "");
+      let val = p.slice(eq + 1).trim();
+      if (val.startsWith('"') && val.endsWith('"')) val = val.slice(1, -1);
+      // RFC 2231: charset'lang'percent-encoded
+      const ext = val.match(/^([^']*)'[^']*'(.*)$/);
+      if (ext && /%[0-9a-f]{2}/i.test(ext[2])) {
+        try {
+          val = decodeURIComponent(ext[2]);
+        } catch (e) {
+          // keep raw value
+        }
+      }
+      params[key] = val;
+    }
+    return { value: (parts[0] || "").trim().toLowerCase(), params };
+  }
+
+  // --- byte / charset helpers ---
+  function binaryStringToBytes(s) {
+    const bytes = new Uint8Array(s.length);
+    for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i) & 0xff;
+    return bytes;
+  }
+
+  function decodeBytes(bytes, charset) {
+    const label = String(charset || "utf-8").toLowerCase();
+    try {
+      return new TextDecoder(label).decode(bytes);
+    } catch (e) {
+      return new TextDecoder("utf-8").decode(bytes);
+    }
+  }
+
+  function base64ToBytes(s) {
+    const clean = String(s || "").replace(/[^A-Za-z0-9+/=]/g, "");
+    try {
+      return binaryStringToBytes(atob(clean));
+    } catch (e) {
+      return new Uint8Array(0);
+    }
+  }
+
+  function quotedPrintableToBytes(s, isHeader) {
+    let text = String(s || "").replace(/=\r?\n/g, "");
+    if (isHeader) text = text.replace(/_/g, " ");
+    const out = [];
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === "=" && /^[0-9A-Fa-f]{2}$/.test(text.substr(i + 1, 2))) {
+        out.push(parseInt(text.substr(i + 1, 2), 16));
+        i += 2;
+      } else {
+        const code = text.charCodeAt(i);
+        if (code < 0x80) out.push(code);
+        else for (const b of new TextEncoder().encode(ch)) out.push(b);
+      }
+    }
+    return new Uint8Array(out);
+  }
+
+  // RFC 2047: =?charset?B|Q?encoded?=
+  function decodeEncodedWords(value) {
+    return String(value || "")
+      .replace(/(\?=)\s+(=\?)/g, "$1$2") // whitespace between encoded-words is dropped
+      .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, enc, data) => {
+        const bytes =
+          enc.toUpperCase() === "B"
+            ? base64ToBytes(data)
+            : quotedPrintableToBytes(data, true);
+        return decodeBytes(bytes, charset.split("*")[0]);
+      });
+  }
+
+  function decodeTransfer(body, encoding, charset) {
+    const enc = String(encoding || "7bit")
+      .trim()
+      .toLowerCase();
+    if (enc === "base64") return decodeBytes(base64ToBytes(body), charset);
+    if (enc === "quoted-printable")
+      return decodeBytes(quotedPrintableToBytes(body, false), charset);
+    return body;
+  }
+
+  // Domain of the first address in an address header ("Name <user@host>" or "user@host")
+  function addressDomain(value) {
+    const v = String(value || "");
+    const angle = v.match(/<([^>]+)>/);
+    const addr = angle
+      ? angle[1]
+      : (v.match(/[^\s,;"<>]+@[^\s,;"<>]+/) || [""])[0];
+    const at = addr.lastIndexOf("@");
+    if (at === -1) return "";
+    return addr
+      .slice(at + 1)
+      .replace(/[>\s]+$/, "")
+      .toLowerCase();
+  }
+
+  // Recursively walk MIME parts, collecting leaf parts
+  function walkParts(headers, body, out, depth) {
+    const ct = parseParamHeader(
+      firstHeader(headers, "content-type") || "text/plain"
+    );
+    const disp = parseParamHeader(firstHeader(headers, "content-disposition"));
+    const encoding = firstHeader(headers, "content-transfer-encoding");
+
+    if (ct.value.startsWith("multipart/") && ct.params.boundary && depth < 10) {
+      const boundary = "--" + ct.params.boundary;
+      const lines = body.split("\n");
+      let chunk = null;
+      for (const line of lines) {
+        const trimmed = line.replace(/\s+$/, "");
+        if (trimmed === boundary || trimmed === boundary + "--") {
+          if (chunk !== null) {
+            const { head, body: partBody } = splitHeaderBody(chunk.join("\n"));
+            walkParts(parseHeaders(head), partBody, out, depth + 1);
+          }
+          chunk = trimmed === boundary ? [] : null;
+          if (trimmed !== boundary) break;
+          continue;
+        }
+        if (chunk !== null) chunk.push(line);
+      }
+      return;
+    }
+
+    if (
+      ct.value === "message/rfc822" &&
+      disp.value !== "attachment" &&
+      depth < 10
+    ) {
+      const { head, body: inner } = splitHeaderBody(body);
+      walkParts(parseHeaders(head), inner, out, depth + 1);
+      return;
+    }
+
+    const filename = disp.params.filename || ct.params.name || "";
+    const isText = ct.value === "text/plain" || ct.value === "text/html";
+    const isAttachment = disp.value === "attachment" || (!!filename && !isText);
+    if (isAttachment) {
+      const raw =
+        String(encoding).toLowerCase() === "base64"
+          ? base64ToBytes(body).length
+          : body.length;
+      out.attachments.push({
+        filename: decodeEncodedWords(filename) || "(unnamed)",
+        contentType: ct.value,
+        size: raw,
+      });
+      return;
+    }
+    if (isText) {
+      const decoded = decodeTransfer(body, encoding, ct.params.charset);
+      if (ct.value === "text/plain") out.text.push(decoded);
+      else out.html.push(decoded);
+    }
+  }
+
+  // True when the text starts with a header block that contains at least one
+  // structural header (From, Received, MIME-Version, ...). A bare "Subject:" line
+  // above a pasted body does not count.
+  function looksLikeRawEmail(text) {
+    const { head, body } = splitHeaderBody(String(text || "").trimStart());
+    if (!body && !/\n/.test(head)) return false;
+    const lines = head.split("\n").filter((l) => !/^[ \t]/.test(l));
+    if (lines.length < 2 || !lines.every((l) => HEADER_LINE.test(l)))
+      return false;
+    return lines.some((l) =>
+      STRUCTURAL_HEADERS.includes(l.split(":")[0].toLowerCase())
+    );
+  }
+
+  function parseEml(raw) {
+    const { head, body } = splitHeaderBody(String(raw || "").trimStart());
+    const headers = parseHeaders(head);
+    const collected = { text: [], html: [], attachments: [] };
+    walkParts(headers, body, collected, 0);
+
+    const subject = firstHeader(headers, "subject");
+    const from = firstHeader(headers, "from");
+    const replyTo = firstHeader(headers, "reply-to");
+    const text = collected.text.join("\n\n");
+    const html = collected.html.join("\n\n");
+    const htmlDoc =
+      html && global.parseHtmlEmail ? global.parseHtmlEmail(html) : null;
+    const bodyType = text ? "text/plain" : html ? "text/html" : "none";
+    const chosen = text || (htmlDoc ? htmlDoc.text : html);
+    const fromDomain = addressDomain(from);
+    const replyToDomain = addressDomain(replyTo);
+    const hasAttachment = collected.attachments.length > 0;
+
+    return {
+      headers,
+      subject,
+      from,
+      replyTo,
+      fromDomain,
+      replyToDomain,
+      text,
+      html,
+      htmlDoc,
+      body: chosen,
+      bodyType,
+      attachments: collected.attachments,
+      hasAttachment,
+      featureText: subject ? `Subject: ${subject}\n\n${chosen}` : chosen,
+      meta: { fromDomain, replyToDomain, hasAttachment, html: htmlDoc },
+    };
+  }
+
+  global.looksLikeRawEmail = looksLikeRawEmail;
+  global.parseEml = parseEml;
+})(window);
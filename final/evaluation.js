@@ -0,0 +1,304 @@
+// evaluation.js
+// Model evaluation against a labeled set: threshold metrics, ROC / PR curves and a
+// reliability (calibration) diagram, plus small SVG charts for the dashboard.
+// Scores are "higher = more likely class 1"; a row is predicted 1 when score >= threshold.
+//
+// Exposes:
+//   window.confusionMatrix(y, scores, threshold)   -> { tp, fp, tn, fn }
+//   window.classificationMetrics(cm)               -> { accuracy, precision, recall, f1 }
+//   window.rocCurve(y, scores)                     -> { points: [{ x: fpr, y: tpr, threshold }], auc }
+//   window.prCurve(y, scores)                      -> { points: [{ x: recall, y: precision, threshold }], auc }
+//   window.reliabilityBins(y, probs, nBins)        -> { bins: [{ lo, hi, meanPred, fracPos, count }], ece }
+//   window.pairedComparison(y, predA, predB)       -> { bothRight, onlyA, onlyB, bothWrong, disagree,
+//                                                       mcnemar: { chi2, p } }
+//   window.renderCurveChart(container, opts)       -> SVG line chart; opts.onPick(point) on click
+
+(function (global) {
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  function confusionMatrix(y, scores, threshold) {
+    const cm = { tp: 0, fp: 0, tn: 0, fn: 0 };
+    for (let i = 0; i < y.length; i++) {
+      const pred = scores[i] >= threshold ? 1 : 0;
+      if (pred === 1) y[i] === 1 ? cm.tp++ : cm.fp++;
+      else y[i] === 1 ? cm.fn++ : cm.tn++;
+    }
+    return cm;
+  }
+
+  function classificationMetrics(cm) {
+    const total = cm.tp + cm.fp + cm.tn + cm.fn;
+    const precision = cm.tp + cm.fp ? cm.tp / (cm.tp + cm.fp) : 0;
+    const recall = cm.tp + cm.fn ? cm.tp / (cm.tp + cm.fn) : 0;
+    return {
+      accuracy: total ? (cm.tp + cm.tn) / total : 0,
+      precision,
+      recall,
+      f1:
+        precision + recall
+          ? (2 * precision * recall) / (precision + recall)
+          : 0,
+    };
+  }
+
+  // Walk thresholds from the highest score down; rows with tied scores move together
+  function sweep(y, scores, visit) {
+    const order = scores.map((s, i) => i).sort((a, b) => scores[b] - scores[a]);
+    const pos = y.filter((v) => v === 1).length;
+    const neg = y.length - pos;
+    let tp = 0;
+    let fp = 0;
+    for (let k = 0; k < order.length; k++) {
+      const i = order[k];
+      if (y[i] === 1) tp++;
+      else fp++;
+      const next = order[k + 1];
+      if (next !== undefined && scores[next] === scores[i]) continue;
+      visit({ tp, fp, pos, neg, threshold: scores[i] });
+    }
+    return { pos, neg };
+  }
+
+  function trapezoid(points) {
+    let area = 0;
+    for (let i = 1; i < points.length; i++)
+      area +=
+        ((points[i].x - points[i - 1].x) * (points[i].y + points[i - 1].y)) / 2;
+    return area;
+  }
+
+  function rocCurve(y, scores) {
+    const points = [{ x: 0, y: 0, threshold: Infinity }];
+    const { pos, neg } = sweep(y, scores, (s) =>
+      points.push({
+        x: s.neg ? s.fp / s.neg : 0,
+        y: s.pos ? s.tp / s.pos : 0,
+        threshold: s.threshold,
+      })
+    );
+    return { points, auc: pos && neg ? trapezoid(points) : null };
+  }
+
+  // Area under PR is the step-wise average precision (sum of precision x recall gain)
+  function prCurve(y, scores) {
+    const points = [];
+    let ap = 0;
+    let prevRecall = 0;
+    const { pos } = sweep(y, scores, (s) => {
+      const recall = s.pos ? s.tp / s.pos : 0;
+      const precision = s.tp / (s.tp + s.fp);
+      ap += (recall - prevRecall) * precision;
+      prevRecall = recall;
+      points.push({ x: recall, y: precision, threshold: s.threshold });
+    });
+    if (points.length)
+      points.unshift({ x: 0, y: points[0].y, threshold: Infinity });
+    return { points, auc: pos ? ap : null };
+  }
+
+  // Equal-width probability bins; ECE = count-weighted |fracPos - meanPred|
+  function reliabilityBins(y, probs, nBins = 10) {
+    const bins = Array.from({ length: nBins }, (_, b) => ({
+      lo: b / nBins,
+      hi: (b + 1) / nBins,
+      sumPred: 0,
+      pos: 0,
+      count: 0,
+    }));
+    for (let i = 0; i < y.length; i++) {
+      const p = Math.min(1, Math.max(0, Number(probs[i]) || 0));
+      const bin = bins[Math.min(nBins - 1, Math.floor(p * nBins))];
+      bin.sumPred += p;
+      bin.pos += y[i] === 1 ? 1 : 0;
+      bin.count++;
+    }
+    let ece = 0;
+    const out = bins.map((b) => {
+      const meanPred = b.count ? b.sumPred / b.count : null;
+      const fracPos = b.count ? b.pos / b.count : null;
+      if (b.count) ece += (b.count / y.length) * Math.abs(fracPos - meanPred);
+      return { lo: b.lo, hi: b.hi, meanPred, fracPos, count: b.count };
+    });
+    return { bins: out, ece: y.length ? ece : null };
+  }
+
+  // Complementary error function (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+  function erfc(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const poly =
+      t *
+      (0.254829592 +
+        t *
+          (-0.284496736 +
+            t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const r = poly * Math.exp(-x * x);
+    return x >= 0 ? r : 2 - r;
+  }
+
+  // Two models' 0/1 predictions on the same rows: where they agree / differ against the
+  // labels, and McNemar's test (continuity corrected) on the rows only one gets right
+  function pairedComparison(y, predA, predB) {
+    const out = { bothRight: 0, onlyA: 0, onlyB: 0, bothWrong: 0, disagree: 0 };
+    for (let i = 0; i < y.length; i++) {
+      const a = predA[i] === y[i];
+      const b = predB[i] === y[i];
+      if (a && b) out.bothRight++;
+      else if (a) out.onlyA++;
+      else if (b) out.onlyB++;
+      else out.bothWrong++;
+      if (predA[i] !== predB[i]) out.disagree++;
+    }
+    const n = out.onlyA + out.onlyB;
+    const chi2 = n
+      ? Math.pow(Math.max(0, Math.abs(out.onlyA - out.onlyB) - 1), 2) / n
+      : 0;
+    out.mcnemar = { chi2, p: n ? erfc(Math.sqrt(chi2 / 2)) : 1 };
+    return out;
+  }
+
+  function svgEl(tag, attrs) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const k of Object.keys(attrs || {})) el.setAttribute(k, attrs[k]);
+    return el;
+  }
+
+  // opts: { title, points: [{ x, y, threshold? }], xLabel, yLabel, diagonal (bool),
+  //         bars (bool: draw points as dots without a line), marker ({ x, y }), onPick,
+  //         xMax, yMax }
+  // The axes span [0, xMax] and [0, yMax] (both default to 1).
+  function renderCurveChart(container, opts) {
+    if (!container) return;
+    const W = 260;
+    const H = 220;
+    const M = { left: 34, right: 8, top: 20, bottom: 30 };
+    const xMax = opts.xMax > 0 ? opts.xMax : 1;
+    const yMax = opts.yMax > 0 ? opts.yMax : 1;
+    const px = (x) => M.left + (x / xMax) * (W - M.left - M.right);
+    const py = (y) => H - M.bottom - (y / yMax) * (H - M.top - M.bottom);
+    const tick = (v) => String(Number(v.toPrecision(3)));
+
+    container.innerHTML = "";
+    const svg = svgEl("svg", {
+      viewBox: `0 0 ${W} ${H}`,
+      class: "curve-chart",
+      role: "img",
+      "aria-label": opts.title || "",
+    });
+    const title = svgEl("text", { x: M.left, y: 13, class: "chart-title" });
+    title.textContent = opts.title || "";
+    svg.appendChild(title);
+
+    svg.appendChild(
+      svgEl("rect", {
+        x: M.left,
+        y: M.top,
+        width: W - M.left - M.right,
+        height: H - M.top - M.bottom,
+        class: "chart-frame",
+      })
+    );
+    for (const t of [0, 0.5, 1]) {
+      const xt = svgEl("text", {
+        x: px(t * xMax),
+        y: H - M.bottom + 12,
+        class: "chart-tick",
+      });
+      xt.textContent = tick(t * xMax);
+      svg.appendChild(xt);
+      const yt = svgEl("text", {
+        x: M.left - 4,
+        y: py(t * yMax) + 3,
+        class: "chart-tick chart-tick-y",
+      });
+      yt.textContent = tick(t * yMax);
+      svg.appendChild(yt);
+    }
+    const xl = svgEl("text", {
+      x: px(0.5 * xMax),
+      y: H - 4,
+      class: "chart-label",
+    });
+    xl.textContent = opts.xLabel || "";
+    svg.appendChild(xl);
+    const yl = svgEl("text", {
+      x: 10,
+      y: py(0.5 * yMax),
+      class: "chart-label",
+      transform: `rotate(-90 10 ${py(0.5 * yMax)})`,
+    });
+    yl.textContent = opts.yLabel || "";
+    svg.appendChild(yl);
+
+    if (opts.diagonal)
+      svg.appendChild(
+        svgEl("line", {
+          x1: px(0),
+          y1: py(0),
+          x2: px(xMax),
+          y2: py(yMax),
+          class: "chart-diagonal",
+        })
+      );
+
+    const points = (opts.points || []).filter(
+      (p) => p.x !== null && p.y !== null
+    );
+    if (opts.bars) {
+      for (const p of points)
+        svg.appendChild(
+          svgEl("circle", {
+            cx: px(p.x),
+            cy: py(p.y),
+            r: 3,
+            class: "chart-dot",
+          })
+        );
+    } else if (points.length) {
+      svg.appendChild(
+        svgEl("polyline", {
+          points: points.map((p) => `${px(p.x)},${py(p.y)}`).join(" "),
+          class: "chart-line",
+        })
+      );
+    }
+    if (opts.marker)
+      svg.appendChild(
+        svgEl("circle", {
+          cx: px(opts.marker.x),
+          cy: py(opts.marker.y),
+          r: 4,
+          class: "chart-marker",
+        })
+      );
+
+    // Click: nearest curve point (in plot coordinates) becomes the picked threshold
+    if (typeof opts.onPick === "function" && points.length) {
+      svg.classList.add("pickable");
+      svg.addEventListener("click", (ev) => {
+        const rect = svg.getBoundingClientRect();
+        const sx = ((ev.clientX - rect.left) / rect.width) * W;
+        const sy = ((ev.clientY - rect.top) / rect.height) * H;
+        let best = null;
+        let bestD = Infinity;
+        for (const p of points) {
+          if (!isFinite(p.threshold)) continue;
+          const d = (px(p.x) - sx) ** 2 + (py(p.y) - sy) ** 2;
+          if (d < bestD) {
+            bestD = d;
+            best = p;
+          }
+        }
+        if (best) opts.onPick(best);
+      });
+    }
+    container.appendChild(svg);
+  }
+
+  global.confusionMatrix = confusionMatrix;
+  global.classificationMetrics = classificationMetrics;
+  global.rocCurve = rocCurve;
+  global.prCurve = prCurve;
+  global.reliabilityBins = reliabilityBins;
+  global.pairedComparison = pairedComparison;
+  global.renderCurveChart = renderCurveChart;
+})(window);
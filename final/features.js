@@ -1,5 +1,10 @@
 // features.js
 // Single, cleaned feature extractor: normalized text, URL handling, and domain_mismatch heuristics.
+// labelFromRow reads the class label of imported rows; labelColumns lists the columns it
+// looks at, so dataset builders can keep them out of the features. Together with
+// mulberry32, the seeded PRNG, they are shared by the trainers (svm_trainer.js,
+// rf_trainer.js) and cross_validation.js.
+// Requires lookalike.js to be loaded first (lookalike_distance, mixed_script_host).
 
 (function (global) {
   // Ordered feature names expected by RandomForest export and DBSCAN flows:
@@ -29,6 +34,8 @@
     "domain_mismatch",
     "has_attachment",
     "sender_reputation",
+    "lookalike_distance",
+    "mixed_script_host",
   ];
 
   const spamWords = featureNames
@@ -75,9 +82,60 @@
     return hosts;
   }
 
+  // Registrable domain (public_suffix.js, Public Suffix List aware; IDN via punycode),
+  // so bank.co.uk vs evil.co.uk differ and mail.example.com.evil.io is evil.io.
+  // Falls back to the last two labels when the PSL matcher is not loaded.
+  function siteDomain(host) {
+    const h = String(host || "")
+      .trim()
+      .toLowerCase();
+    if (global.registrableDomain)
+      return global.registrableDomain(h) || global.hostToAscii(h);
+    const parts = h.split(".");
+    return parts.length >= 2 ? parts.slice(-2).join(".") : h;
+  }
+
+  // Do two hosts belong to different registrable domains? (false if either is empty)
+  function domainsDiffer(a, b) {
+    const da = siteDomain(a);
+    const db = siteDomain(b);
+    return !!da && !!db && da !== db;
+  }
+
+  // The per-link part of the domain_mismatch check: does a URL host belong to a
+  // different domain than the sender?
+  function hostMismatchesSender(host, fromDomain) {
+    return domainsDiffer(host, fromDomain);
+  }
+
+  // HTML bodies are reduced to their visible text (html_email.js) before any counting
+  function visibleText(text) {
+    const t = String(text || "");
+    return global.looksLikeHtml && global.looksLikeHtml(t)
+      ? global.htmlToText(t)
+      : t;
+  }
+
+  // Parsed HTML structure for the email: meta.html when the caller already parsed it
+  function htmlDocFor(text, meta) {
+    if (meta && meta.html) return meta.html;
+    return global.looksLikeHtml && global.looksLikeHtml(text)
+      ? global.parseHtmlEmail(text)
+      : null;
+  }
+
+  // Absolute anchor targets that are not already visible in the text (the usual
+  // "click here" link whose URL only lives in the href)
+  function hiddenLinkUrls(doc, visible) {
+    if (!doc) return [];
+    return doc.anchors
+      .map((a) => normalizeText(a.href))
+      .filter((href) => /^https?:\/\//i.test(href) && !visible.includes(href));
+  }
+
   // Basic extractor matching spambase-like style: returns array matching featureNames[0..19]
   function extractFeaturesFromEmail(text) {
-    const t0 = normalizeText(text || "");
+    const t0 = normalizeText(visibleText(text));
     const features = [];
 
     // word counts
@@ -96,37 +154,53 @@
     return features;
   }
 
-  // Extended feature builder: includes url_count, domain_mismatch, has_attachment, sender_reputation
-  // meta is an object: { fromDomain, replyToDomain, hasAttachment (bool), senderReputation (0..1 default 0.5) }
+  // Host of a URL as written (case and Unicode kept, so look-alike checks see "paypaI")
+  function rawUrlHost(url) {
+    const m = String(url || "").match(
+      /^https?:\/\/(?:[^@/?#\s]*@)?([^/?#:\s]+)/i
+    );
+    return m ? m[1] : "";
+  }
+
+  // lookalike_distance / mixed_script_host over link hosts and sender domains (lookalike.js)
+  function lookalikeValues(urls, meta) {
+    const hosts = urls
+      .map(rawUrlHost)
+      .concat([meta.fromDomain, meta.replyToDomain || meta.replyDomain]);
+    const { distance, mixedScript } = global.lookalikeFeatures(
+      hosts.filter(Boolean).map((h) => String(h).trim())
+    );
+    return [distance, mixedScript];
+  }
+
+  // Extended feature builder: includes url_count, domain_mismatch, has_attachment, sender_reputation,
+  // lookalike_distance (edit distance of the closest homoglyph look-alike of a protected brand,
+  // window.LOOKALIKE_NONE when there is none) and mixed_script_host
+  // meta is an object: { fromDomain, replyToDomain, hasAttachment (bool), senderReputation (0..1 default 0.5),
+  //   html (optional parseHtmlEmail result; raw HTML text is parsed on the fly) }
   function extractExtendedFeatures(text, meta = {}) {
     const base = extractFeaturesFromEmail(text);
-    const t0 = normalizeText(text || "");
+    const t0 = normalizeText(visibleText(text));
 
-    // count URLs
-    const urls = t0.match(URL_REGEX) || [];
+    // count URLs (visible ones plus anchor hrefs of an HTML body)
+    const urls = (t0.match(URL_REGEX) || []).concat(
+      hiddenLinkUrls(htmlDocFor(text, meta), t0)
+    );
     const url_count = urls.length;
 
     const fromD = (meta.fromDomain || "").trim().toLowerCase();
     const replyD = (meta.replyToDomain || "").trim().toLowerCase();
 
     // domain_mismatch heuristics:
-    // - If both fromD and replyD provided and differ -> 1
-    // - Else, if fromD provided and any URL host differs from fromD -> 1
+    // - If both fromD and replyD provided and their registrable domains differ -> 1
+    // - Else, if fromD provided and any URL host's registrable domain differs -> 1
     // - Else 0
     let domain_mismatch = 0;
     if (fromD && replyD) {
-      domain_mismatch = fromD !== replyD ? 1 : 0;
+      domain_mismatch = domainsDiffer(fromD, replyD) ? 1 : 0;
     } else if (fromD && urls.length) {
-      const hosts = extractUrlHostnames(t0);
-      domain_mismatch = hosts.some((h) => {
-        // compare second-level domain when possible (strip subdomains)
-        const sld = (host) => {
-          const parts = host.split(".");
-          if (parts.length >= 2) return parts.slice(-2).join(".");
-          return host;
-        };
-        return sld(h) !== sld(fromD);
-      })
+      const hosts = extractUrlHostnames(urls.join(" "));
+      domain_mismatch = hosts.some((h) => hostMismatchesSender(h, fromD))
         ? 1
         : 0;
     } else {
@@ -139,12 +213,69 @@
         ? Number(meta.senderReputation)
         : 0.5;
 
-    return base.concat([
-      url_count,
-      domain_mismatch,
-      has_attachment,
-      sender_reputation,
-    ]);
+    return base.concat(
+      [url_count, domain_mismatch, has_attachment, sender_reputation],
+      lookalikeValues(urls, meta)
+    );
+  }
+
+  // Evidence behind the text features, as character spans over normalizeText(text):
+  //   { start, end, kind, label }
+  // kind: "spam_word" (word_* counts), "caps" / "caps_longest" (capital runs counted in
+  // capital_run_length_*), "url" and "url_mismatch" (links whose host fails the
+  // domain_mismatch check against meta.fromDomain).
+  function findEvidenceSpans(text, meta = {}) {
+    const t0 = normalizeText(visibleText(text));
+    const spans = [];
+
+    for (const m of t0.matchAll(URL_REGEX)) {
+      let host = "";
+      try {
+        host = new URL(m[0]).hostname.toLowerCase();
+      } catch (e) {
+        host = m[0]
+          .replace(/^https?:\/\//i, "")
+          .split(/[/:]/)[0]
+          .toLowerCase();
+      }
+      const mismatch = hostMismatchesSender(host, meta.fromDomain);
+      spans.push({
+        start: m.index,
+        end: m.index + m[0].length,
+        kind: mismatch ? "url_mismatch" : "url",
+        label: mismatch
+          ? `url_count, domain_mismatch: ${host} ≠ ${meta.fromDomain}`
+          : `url_count: ${host}`,
+      });
+    }
+
+    spamWords.forEach((word) => {
+      const regex = new RegExp(`\\b${escapeRegExp(word)}\\b`, "gi");
+      for (const m of t0.matchAll(regex)) {
+        spans.push({
+          start: m.index,
+          end: m.index + m[0].length,
+          kind: "spam_word",
+          label: `word_${word}`,
+        });
+      }
+    });
+
+    const caps = Array.from(t0.matchAll(/[A-Z]{2,}/g));
+    const longest = caps.reduce((max, m) => Math.max(max, m[0].length), 0);
+    for (const m of caps) {
+      const isLongest = m[0].length === longest;
+      spans.push({
+        start: m.index,
+        end: m.index + m[0].length,
+        kind: isLongest ? "caps_longest" : "caps",
+        label: isLongest
+          ? `capital_run_length_longest (${m[0].length})`
+          : `capital run (${m[0].length})`,
+      });
+    }
+
+    return { text: t0, spans };
   }
 
   // Utility to build a feature vector object from an object row (CSV/JSON import)
@@ -168,17 +299,11 @@
           row.replyToDomain ||
           ""
         ).toLowerCase();
-        if (fromD && replyD) return fromD !== replyD ? 1 : 0;
+        if (fromD && replyD) return domainsDiffer(fromD, replyD) ? 1 : 0;
         // fallback: check link host vs fromD
         if (fromD && "body" in row) {
           const hosts = extractUrlHostnames(String(row.body || ""));
-          const mismatch = hosts.some((h) => {
-            const sld = (host) => {
-              const parts = host.split(".");
-              return parts.length >= 2 ? parts.slice(-2).join(".") : host;
-            };
-            return sld(h) !== sld(fromD);
-          });
+          const mismatch = hosts.some((h) => hostMismatchesSender(h, fromD));
           return mismatch ? 1 : 0;
         }
         return 0;
@@ -189,15 +314,73 @@
       if (f === "sender_reputation") {
         return row.senderReputation ? Number(row.senderReputation) : 0.5;
       }
+      if (f === "lookalike_distance" || f === "mixed_script_host") {
+        const urls =
+          normalizeText(String(row.body || "")).match(URL_REGEX) || [];
+        const [distance, mixed] = lookalikeValues(urls, row);
+        return f === "lookalike_distance" ? distance : mixed;
+      }
       return 0;
     });
   }
 
+  // Columns labelFromRow reads, in order (exposed so feature builders skip them)
+  const labelColumns = [
+    "label",
+    "class",
+    "spam",
+    "is_spam",
+    "phishing",
+    "CLASS_LABEL",
+  ];
+
+  // Read a binary class label from a labeled row (CSV/JSON import).
+  // Accepts label/class/spam/is_spam/phishing columns holding 0/1, true/false or
+  // spam/ham/phishing/legit strings. Returns 1, 0, or null when no usable label.
+  function labelFromRow(row) {
+    if (!row || typeof row !== "object") return null;
+    for (const k of labelColumns) {
+      if (!(k in row)) continue;
+      const v = row[k];
+      if (v === "" || v === undefined || v === null) continue;
+      const s = String(v).trim().toLowerCase();
+      if (["1", "true", "spam", "phishing", "yes"].includes(s)) return 1;
+      if (
+        ["0", "false", "ham", "legit", "legitimate", "no", "genuine"].includes(
+          s
+        )
+      )
+        return 0;
+      const n = Number(s);
+      if (isFinite(n)) return n > 0 ? 1 : 0;
+    }
+    return null;
+  }
+
+  // Small seeded PRNG so repeated trainings on the same data give the same model and
+  // cross-validation reruns give the same folds
+  function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
   // Expose to global
   global.featureNames = featureNames;
   global.extractFeaturesFromEmail = extractFeaturesFromEmail;
   global.extractExtendedFeatures = extractExtendedFeatures;
   global.featuresFromRow = featuresFromRow;
+  global.labelFromRow = labelFromRow;
+  global.labelColumns = labelColumns;
+  global.mulberry32 = mulberry32;
   global.normalizeText = normalizeText;
   global.extractUrlHostnames = extractUrlHostnames;
+  global.hostMismatchesSender = hostMismatchesSender;
+  global.siteDomain = siteDomain;
+  global.findEvidenceSpans = findEvidenceSpans;
 })(window);
@@ -0,0 +1,80 @@
+// gen_public_suffix_list.js
+// Regenerates public_suffix_list.js from a downloaded public_suffix_list.dat (Node, not
+// loaded by the page):
+//   curl -o public_suffix_list.dat https://publicsuffix.org/list/public_suffix_list.dat
+//   node gen_public_suffix_list.js public_suffix_list.dat 2023-02-09
+// The second argument is the list's date, written into the header. Comments are dropped,
+// each comment-delimited block of rules is packed into lines of about 90 characters, and
+// IDN rules are converted to punycode; "!" exceptions and "*." wildcards are kept.
+
+const fs = require("fs");
+const path = require("path");
+const url = require("url");
+
+const [datPath, version] = process.argv.slice(2);
+if (!datPath || !version) {
+  console.error(
+    "usage: node gen_public_suffix_list.js public_suffix_list.dat YYYY-MM-DD"
+  );
+  process.exit(1);
+}
+const LINE_WIDTH = 90;
+
+// Rules in blocks, one block per run of lines between comments / blank lines
+const groups = [];
+let cur = [];
+for (const raw of fs.readFileSync(datPath, "utf8").split("\n")) {
+  let line = raw.trim().split(/\s/)[0] || "";
+  if (!line || line.startsWith("//")) {
+    if (cur.length) groups.push(cur);
+    cur = [];
+    continue;
+  }
+  let prefix = "";
+  if (line.startsWith("!")) {
+    prefix = "!";
+    line = line.slice(1);
+  }
+  if (line.startsWith("*.")) {
+    prefix += "*.";
+    line = line.slice(2);
+  }
+  const ascii = url.domainToASCII(line);
+  if (!ascii) throw new Error(`cannot convert rule ${line}`);
+  cur.push(prefix + ascii);
+}
+if (cur.length) groups.push(cur);
+
+const lines = [];
+for (const group of groups) {
+  let l = "";
+  for (const rule of group) {
+    if (l && l.length + rule.length > LINE_WIDTH) {
+      lines.push(l);
+      l = "";
+    }
+    l += (l ? " " : "") + rule;
+  }
+  if (l) lines.push(l);
+}
+
+const out = `// public_suffix_list.js
+// Bundled copy of the Public Suffix List (https://publicsuffix.org/list/public_suffix_list.dat,
+// version ${version}, ICANN and private sections), used offline by public_suffix.js.
+// Rules are whitespace-separated; IDN rules are stored in their punycode (xn--) form.
+// Generated by gen_public_suffix_list.js (see there to update it); do not edit by hand.
+// This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+// If a copy of the MPL was not distributed with this file, You can obtain one at
+// https://mozilla.org/MPL/2.0/.
+//
+// Exposes window.PUBLIC_SUFFIX_LIST (string).
+
+(function (global) {
+  global.PUBLIC_SUFFIX_LIST = \`
+${lines.join("\n")}
+\`;
+})(window);
+`;
+const target = path.join(__dirname, "public_suffix_list.js");
+fs.writeFileSync(target, out.replace(/\n/g, "\r\n"));
+console.log(`${target}: ${groups.length} blocks, ${lines.length} lines`);
@@ -0,0 +1,58 @@
+// highlight.js
+// Annotated preview of the pasted email: marks the text that produced the feature counts.
+// - spam words (word_* features), capital runs (capital_run_length_*), URLs (url_count)
+// - URLs whose host fails the domain_mismatch check get their own style
+//
+// Exposes window.renderAnnotatedEmail(container, text, meta).
+// Requires features.js (findEvidenceSpans).
+
+(function (global) {
+  // Spans that start earlier win over later ones they partially overlap; spans fully
+  // inside another are nested (e.g. a spam word inside a URL, a capital run inside a word).
+  function nestSpans(spans) {
+    const sorted = spans
+      .slice()
+      .sort((a, b) => a.start - b.start || b.end - a.end);
+    const roots = [];
+    const stack = [];
+    for (const s of sorted) {
+      while (stack.length && stack[stack.length - 1].end <= s.start)
+        stack.pop();
+      const parent = stack[stack.length - 1];
+      if (parent && s.end > parent.end) continue; // partial overlap: drop
+      const node = Object.assign({}, s, { children: [] });
+      (parent ? parent.children : roots).push(node);
+      stack.push(node);
+    }
+    return roots;
+  }
+
+  function appendRange(parent, text, from, to, nodes) {
+    let pos = from;
+    for (const n of nodes) {
+      if (n.start > pos)
+        parent.appendChild(document.createTextNode(text.slice(pos, n.start)));
+      const mark = document.createElement("mark");
+      mark.className = `ev-${n.kind}`;
+      mark.title = n.label;
+      appendRange(mark, text, n.start, n.end, n.children);
+      parent.appendChild(mark);
+      pos = n.end;
+    }
+    if (to > pos)
+      parent.appendChild(document.createTextNode(text.slice(pos, to)));
+  }
+
+  function renderAnnotatedEmail(container, text, meta) {
+    if (!container) return;
+    container.innerHTML = "";
+    if (!global.findEvidenceSpans || !text) {
+      container.textContent = text ? text : "(no email text)";
+      return;
+    }
+    const { text: t0, spans } = global.findEvidenceSpans(text, meta || {});
+    appendRange(container, t0, 0, t0.length, nestSpans(spans));
+  }
+
+  global.renderAnnotatedEmail = renderAnnotatedEmail;
+})(window);
@@ -0,0 +1,330 @@
+// html_email.js
+// DOM-free parser for HTML email bodies (no DOMParser, nothing is rendered or fetched).
+// - Tokenizes tags with a small regex scanner; script/style/head content and elements
+//   hidden with display:none / visibility:hidden / hidden are left out of the visible text
+// - Collects anchors, forms, iframes/frames, external resources, <base> and <title>
+// - Absolute http(s) and protocol-relative URLs get a lowercased host, relative ones ""
+//
+// Exposes:
+//   window.looksLikeHtml(text)     -> true when text contains real HTML markup
+//   window.parseHtmlEmail(html)    -> { title, text, anchors, forms, iframes, resources, base }
+//   window.htmlToText(html)        -> visible text only
+//
+// title is null when the document has no <title> element.
+
+(function (global) {
+  const VOID_TAGS = new Set([
+    "area",
+    "base",
+    "br",
+    "col",
+    "embed",
+    "hr",
+    "img",
+    "input",
+    "link",
+    "meta",
+    "param",
+    "source",
+    "track",
+    "wbr",
+  ]);
+  // content kept verbatim up to the matching close tag
+  const RAW_TEXT_TAGS = new Set(["script", "style", "title", "textarea"]);
+  const INVISIBLE_TAGS = new Set([
+    "head",
+    "script",
+    "style",
+    "template",
+    "noscript",
+  ]);
+  const BLOCK_TAGS = new Set([
+    "address",
+    "article",
+    "blockquote",
+    "br",
+    "center",
+    "div",
+    "footer",
+    "form",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "header",
+    "hr",
+    "li",
+    "ol",
+    "p",
+    "pre",
+    "section",
+    "table",
+    "tr",
+    "ul",
+  ]);
+  const NAMED_ENTITIES = {
+    amp: "&",
+    lt: "<",
+    gt: ">",
+    quot: '"',
+    apos: "'",
+    nbsp: " ",
+    copy: "©",
+    reg: "®",
+    trade: "™",
+    euro: "€",
+    pound: "£",
+    hellip: "…",
+    mdash: "—",
+    ndash: "–",
+    lsquo: "‘",
+    rsquo: "’",
+    ldquo: "“",
+    rdquo: "”",
+    bull: "•",
+    middot: "·",
+    zwnj: "\u200c",
+    zwj: "\u200d",
+  };
+
+  const TOKEN_REGEX =
+    /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  const ATTR_REGEX =
+    /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  const HTML_HINT_REGEX =
+    /<\/?(html|head|body|div|p|table|tbody|td|tr|span|font|a|br|img|form|center|b|strong|h[1-6])\b[^>]*>/gi;
+
+  function decodeEntities(s) {
+    return String(s || "").replace(
+      /&(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);?/gi,
+      (m, ent) => {
+        if (ent[0] === "#") {
+          const code =
+            ent[1] === "x" || ent[1] === "X"
+              ? parseInt(ent.slice(2), 16)
+              : parseInt(ent.slice(1), 10);
+          try {
+            return String.fromCodePoint(code);
+          } catch (e) {
+            return m;
+          }
+        }
+        const named = NAMED_ENTITIES[ent.toLowerCase()];
+        return named === undefined ? m : named;
+      }
+    );
+  }
+
+  function parseAttributes(src) {
+    const attrs = {};
+    for (const m of String(src || "").matchAll(ATTR_REGEX)) {
+      const name = m[1].toLowerCase();
+      if (name in attrs) continue; // first occurrence wins, as in browsers
+      const raw = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4];
+      attrs[name] = raw === undefined ? "" : decodeEntities(raw).trim();
+    }
+    return attrs;
+  }
+
+  // Hostname of an absolute http(s) or protocol-relative URL, else ""
+  function urlHost(url) {
+    const u = String(url || "").trim();
+    const m = u.match(/^(?:https?:)?\/\/([^/?#\s]+)/i);
+    if (!m) return "";
+    return m[1]
+      .replace(/^[^@]*@/, "")
+      .replace(/:\d*$/, "")
+      .toLowerCase();
+  }
+
+  function isHiddenElement(tag, attrs) {
+    if (INVISIBLE_TAGS.has(tag) || "hidden" in attrs) return true;
+    const style = String(attrs.style || "").toLowerCase();
+    return /display\s*:\s*none|visibility\s*:\s*hidden/.test(style);
+  }
+
+  function looksLikeHtml(text) {
+    const matches = String(text || "").match(HTML_HINT_REGEX);
+    return !!matches && matches.length >= 2;
+  }
+
+  function parseHtmlEmail(html) {
+    const src = String(html || "");
+    const doc = {
+      title: null,
+      text: "",
+      anchors: [],
+      forms: [],
+      iframes: [],
+      resources: [],
+      base: "",
+    };
+    const out = [];
+    const stack = []; // { tag, hidden }
+    let anchor = null;
+    let form = null;
+
+    const hidden = () => stack.length > 0 && stack[stack.length - 1].hidden;
+
+    function emitText(raw) {
+      if (hidden()) return;
+      const t = decodeEntities(raw).replace(/[ \t\r\n\f]+/g, " ");
+      if (!t) return;
+      out.push(t);
+      if (anchor) anchor.text += t;
+      if (form) form.text += t;
+    }
+
+    function addResource(tag, url, rel) {
+      if (!url) return;
+      doc.resources.push({ tag, url, rel: rel || "", host: urlHost(url) });
+    }
+
+    function openTag(tag, attrs) {
+      switch (tag) {
+        case "a":
+        case "area":
+          if ("href" in attrs) {
+            const rec = {
+              href: attrs.href,
+              host: urlHost(attrs.href),
+              text: "",
+              onmouseover: attrs.onmouseover || "",
+            };
+            doc.anchors.push(rec);
+            if (tag === "a") anchor = rec;
+          }
+          break;
+        case "form":
+          form = {
+            action: attrs.action || "",
+            actionHost: urlHost(attrs.action),
+            method: (attrs.method || "get").toLowerCase(),
+            text: "",
+            images: 0,
+            inputs: [],
+          };
+          doc.forms.push(form);
+          break;
+        case "input":
+          if (form) {
+            const type = (attrs.type || "text").toLowerCase();
+            form.inputs.push({ type, name: attrs.name || "" });
+            if (type === "image") form.images++;
+          }
+          if ((attrs.type || "").toLowerCase() === "image")
+            addResource(tag, attrs.src);
+          break;
+        case "img":
+          if (form) form.images++;
+          addResource(tag, attrs.src);
+          break;
+        case "iframe":
+        case "frame":
+          doc.iframes.push({
+            tag,
+            src: attrs.src || "",
+            host: urlHost(attrs.src),
+          });
+          break;
+        case "link":
+          addResource(tag, attrs.href, (attrs.rel || "").toLowerCase());
+          break;
+        case "script":
+        case "embed":
+        case "source":
+        case "video":
+        case "audio":
+          addResource(tag, attrs.src);
+          break;
+        case "object":
+          addResource(tag, attrs.data);
+          break;
+        case "base":
+          if (!doc.base) doc.base = attrs.href || "";
+          break;
+        default:
+          break;
+      }
+      if (attrs.background) addResource(tag, attrs.background);
+    }
+
+    function closeTag(tag) {
+      if (tag === "a") anchor = null;
+      if (tag === "form") form = null;
+      for (let i = stack.length - 1; i >= 0; i--) {
+        if (stack[i].tag === tag) {
+          stack.length = i;
+          return;
+        }
+      }
+      // stray close tag: ignored
+    }
+
+    let pos = 0;
+    TOKEN_REGEX.lastIndex = 0;
+    let m;
+    while ((m = TOKEN_REGEX.exec(src))) {
+      if (m.index > pos) emitText(src.slice(pos, m.index));
+      pos = TOKEN_REGEX.lastIndex;
+      if (!m[2]) continue; // comment, doctype, processing instruction
+
+      const tag = m[2].toLowerCase();
+      if (m[1]) {
+        closeTag(tag);
+        if (BLOCK_TAGS.has(tag)) out.push("\n");
+        continue;
+      }
+
+      const attrs = parseAttributes(m[3]);
+      const selfClosing = /\/\s*$/.test(m[3]);
+      openTag(tag, attrs);
+      if (BLOCK_TAGS.has(tag)) out.push("\n");
+      if (tag === "td" || tag === "th") out.push(" ");
+
+      if (RAW_TEXT_TAGS.has(tag) && !selfClosing) {
+        const closeRe = new RegExp(`</${tag}\\s*>`, "ig");
+        closeRe.lastIndex = pos;
+        const close = closeRe.exec(src);
+        const end = close ? close.index : src.length;
+        const content = src.slice(pos, end);
+        if (tag === "title" && doc.title === null)
+          doc.title = decodeEntities(content).replace(/\s+/g, " ").trim();
+        else if (
+          tag === "textarea" &&
+          !hidden() &&
+          !isHiddenElement(tag, attrs)
+        )
+          emitText(content);
+        pos = close ? closeRe.lastIndex : src.length;
+        TOKEN_REGEX.lastIndex = pos;
+        continue;
+      }
+
+      if (!VOID_TAGS.has(tag) && !selfClosing)
+        stack.push({ tag, hidden: hidden() || isHiddenElement(tag, attrs) });
+    }
+    if (pos < src.length) emitText(src.slice(pos));
+
+    doc.text = out
+      .join("")
+      .split("\n")
+      .map((line) => line.replace(/\s+/g, " ").trim())
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+    for (const a of doc.anchors) a.text = a.text.replace(/\s+/g, " ").trim();
+    for (const f of doc.forms) f.text = f.text.replace(/\s+/g, " ").trim();
+    return doc;
+  }
+
+  function htmlToText(html) {
+    return parseHtmlEmail(html).text;
+  }
+
+  global.looksLikeHtml = looksLikeHtml;
+  global.parseHtmlEmail = parseHtmlEmail;
+  global.htmlToText = htmlToText;
+})(window);
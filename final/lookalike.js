@@ -0,0 +1,325 @@
+// lookalike.js
+// Look-alike ("homoglyph") domain detector for hostnames in an email.
+// - Decodes punycode (xn--) labels back to Unicode (RFC 3492)
+// - Reduces each label to a confusables skeleton (a subset of Unicode TR39: Cyrillic / Greek
+//   letters that render like Latin ones, 0 -> o, 1 / I -> l, rn -> m, vv -> w, accents dropped)
+// - Compares skeletons against a configurable protected-brand list by edit distance
+// - Flags labels that mix letters from different scripts (Latin + Cyrillic, ...)
+//
+// Exposes:
+//   window.punycodeToUnicode(host)         -> host with xn-- labels decoded
+//   window.confusableSkeleton(str)         -> lowercased Latin skeleton
+//   window.getProtectedBrands() / window.setProtectedBrands(list)
+//   window.analyzeLookalikeHost(host)      -> { host, unicode, brand, distance, mixedScript, scripts }
+//   window.lookalikeFeatures(hosts)        -> { distance, mixedScript, matches }
+//   window.LOOKALIKE_NONE                  -> distance reported when no label resembles a brand
+
+(function (global) {
+  // Brand names from the adapter's brandWords; the generic "bank" / "billing" /
+  // "service" entries are left out since honest hosts are full of near-matches.
+  let protectedBrands = ["paypal", "amazon", "apple", "microsoft", "google"];
+  const LOOKALIKE_NONE = 3;
+
+  // Characters that render (nearly) like a Latin letter or digit, mapped to it
+  const CONFUSABLES = {
+    // Cyrillic
+    а: "a",
+    в: "b",
+    е: "e",
+    ё: "e",
+    к: "k",
+    м: "m",
+    н: "h",
+    о: "o",
+    р: "p",
+    с: "c",
+    т: "t",
+    у: "y",
+    х: "x",
+    ь: "b",
+    і: "i",
+    ї: "i",
+    ј: "j",
+    ѕ: "s",
+    һ: "h",
+    ԁ: "d",
+    ԛ: "q",
+    ԝ: "w",
+    ӏ: "l",
+    А: "a",
+    В: "b",
+    Е: "e",
+    К: "k",
+    М: "m",
+    Н: "h",
+    О: "o",
+    Р: "p",
+    С: "c",
+    Т: "t",
+    У: "y",
+    Х: "x",
+    І: "l",
+    Ј: "j",
+    Ѕ: "s",
+    Ӏ: "l",
+    // Greek
+    α: "a",
+    β: "b",
+    ε: "e",
+    ι: "i",
+    κ: "k",
+    ν: "v",
+    ο: "o",
+    ρ: "p",
+    τ: "t",
+    υ: "u",
+    χ: "x",
+    Α: "a",
+    Β: "b",
+    Ε: "e",
+    Ζ: "z",
+    Η: "h",
+    Ι: "l",
+    Κ: "k",
+    Μ: "m",
+    Ν: "n",
+    Ο: "o",
+    Ρ: "p",
+    Τ: "t",
+    Υ: "y",
+    Χ: "x",
+    // Latin variants and ASCII look-alikes
+    ı: "i",
+    ɑ: "a",
+    ɡ: "g",
+    ℓ: "l",
+    ǀ: "l",
+    I: "l",
+    "|": "l",
+    0: "o",
+    1: "l",
+  };
+
+  const SCRIPT_TESTS = [
+    ["Latin", /\p{Script=Latin}/u],
+    ["Cyrillic", /\p{Script=Cyrillic}/u],
+    ["Greek", /\p{Script=Greek}/u],
+    ["Armenian", /\p{Script=Armenian}/u],
+    ["Arabic", /\p{Script=Arabic}/u],
+    ["Hebrew", /\p{Script=Hebrew}/u],
+    // Han, kana and Hangul are legitimately mixed in CJK names
+    [
+      "CJK",
+      /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u,
+    ],
+  ];
+
+  // --- punycode (RFC 3492) decoding ---
+  const BASE = 36;
+  const T_MIN = 1;
+  const T_MAX = 26;
+  const SKEW = 38;
+  const DAMP = 700;
+
+  function adapt(delta, numPoints, firstTime) {
+    delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+    delta += Math.floor(delta / numPoints);
+    let k = 0;
+    while (delta > ((BASE - T_MIN) * T_MAX) >> 1) {
+      delta = Math.floor(delta / (BASE - T_MIN));
+      k += BASE;
+    }
+    return k + Math.floor(((BASE - T_MIN + 1) * delta) / (delta + SKEW));
+  }
+
+  function digitValue(ch) {
+    const c = ch.charCodeAt(0);
+    if (c >= 48 && c <= 57) return c - 22; // 0-9 -> 26-35
+    if (c >= 65 && c <= 90) return c - 65; // A-Z
+    if (c >= 97 && c <= 122) return c - 97; // a-z
+    return BASE;
+  }
+
+  // Decode one punycode label (without the xn-- prefix); null when malformed
+  function decodePunycodeLabel(input) {
+    const output = [];
+    const lastDash = input.lastIndexOf("-");
+    for (let j = 0; j < Math.max(lastDash, 0); j++) {
+      if (input.charCodeAt(j) >= 0x80) return null;
+      output.push(input.charCodeAt(j));
+    }
+    let n = 128;
+    let i = 0;
+    let bias = 72;
+    for (let pos = lastDash > 0 ? lastDash + 1 : 0; pos < input.length; ) {
+      const oldi = i;
+      let w = 1;
+      for (let k = BASE; ; k += BASE) {
+        if (pos >= input.length) return null;
+        const digit = digitValue(input[pos++]);
+        if (digit >= BASE) return null;
+        i += digit * w;
+        const t = k <= bias ? T_MIN : k >= bias + T_MAX ? T_MAX : k - bias;
+        if (digit < t) break;
+        w *= BASE - t;
+      }
+      bias = adapt(i - oldi, output.length + 1, oldi === 0);
+      n += Math.floor(i / (output.length + 1));
+      i %= output.length + 1;
+      output.splice(i++, 0, n);
+    }
+    try {
+      return String.fromCodePoint(...output);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function punycodeToUnicode(host) {
+    return String(host || "")
+      .split(".")
+      .map((label) => {
+        if (!/^xn--/i.test(label)) return label;
+        const decoded = decodePunycodeLabel(label.slice(4));
+        return decoded === null ? label : decoded;
+      })
+      .join(".");
+  }
+
+  function confusableSkeleton(str) {
+    const mapped = Array.from(
+      String(str || "")
+        .normalize("NFKD")
+        .replace(/\p{M}/gu, "")
+    )
+      .map((ch) => (ch in CONFUSABLES ? CONFUSABLES[ch] : ch))
+      .join("")
+      .toLowerCase();
+    return mapped.replace(/rn/g, "m").replace(/vv/g, "w");
+  }
+
+  function labelScripts(label) {
+    const scripts = new Set();
+    for (const ch of label) {
+      if (!/\p{L}/u.test(ch)) continue;
+      const hit = SCRIPT_TESTS.find(([, re]) => re.test(ch));
+      scripts.add(hit ? hit[0] : "Other");
+    }
+    return scripts;
+  }
+
+  function editDistance(a, b) {
+    if (a === b) return 0;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      for (let j = 1; j <= b.length; j++) {
+        cur[j] = Math.min(
+          prev[j] + 1,
+          cur[j - 1] + 1,
+          prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  // Edits tolerated before a label stops counting as a look-alike of a brand
+  function maxDistanceFor(brand) {
+    if (brand.length <= 4) return 0;
+    if (brand.length <= 7) return 1;
+    return 2;
+  }
+
+  function getProtectedBrands() {
+    return protectedBrands.slice();
+  }
+
+  function setProtectedBrands(list) {
+    protectedBrands = (Array.isArray(list) ? list : [])
+      .map((b) =>
+        String(b || "")
+          .trim()
+          .toLowerCase()
+      )
+      .filter(Boolean);
+  }
+
+  // Compare every label left of the public suffix (and each hyphen-separated part
+  // of it) against the protected brands. The registrable label counts at any edit
+  // distance within maxDistanceFor(); a subdomain label only when its skeleton folded
+  // a confusable character, so plain words like "apply" in apply.workday.com do not
+  // match "apple". A label spelled exactly like the brand is not a look-alike (that
+  // is EmbeddedBrandName's case).
+  function analyzeLookalikeHost(host) {
+    const raw = String(host || "").trim();
+    const unicode = punycodeToUnicode(raw);
+    const ascii = global.hostToAscii
+      ? global.hostToAscii(unicode)
+      : unicode.toLowerCase();
+    const suffix = global.publicSuffix ? global.publicSuffix(ascii) : "";
+    const suffixLabels = suffix ? suffix.split(".").length : 1;
+    const labels = unicode.split(".");
+    const candidates = labels.slice(
+      0,
+      Math.max(1, labels.length - suffixLabels)
+    );
+
+    const result = {
+      host: raw,
+      unicode,
+      brand: null,
+      distance: LOOKALIKE_NONE,
+      mixedScript: false,
+      scripts: [],
+    };
+    const allScripts = new Set();
+    candidates.forEach((label, i) => {
+      const scripts = labelScripts(label);
+      scripts.forEach((s) => allScripts.add(s));
+      if (scripts.size > 1) result.mixedScript = true;
+
+      const registrable = i === candidates.length - 1;
+      const parts = [label].concat(label.includes("-") ? label.split("-") : []);
+      for (const part of parts) {
+        if (!part) continue;
+        const skeleton = confusableSkeleton(part);
+        if (!registrable && skeleton === part.toLowerCase()) continue;
+        for (const brand of protectedBrands) {
+          if (part.toLowerCase() === brand) continue;
+          const d = editDistance(skeleton, brand);
+          if (d <= maxDistanceFor(brand) && d < result.distance) {
+            result.distance = d;
+            result.brand = brand;
+          }
+        }
+      }
+    });
+    result.scripts = Array.from(allScripts);
+    return result;
+  }
+
+  // Aggregate over every host of a message: closest look-alike and any mixed script
+  function lookalikeFeatures(hosts) {
+    const matches = [];
+    let distance = LOOKALIKE_NONE;
+    let mixedScript = 0;
+    for (const host of hosts || []) {
+      if (!host) continue;
+      const r = analyzeLookalikeHost(host);
+      if (r.mixedScript) mixedScript = 1;
+      if (r.brand || r.mixedScript) matches.push(r);
+      distance = Math.min(distance, r.distance);
+    }
+    return { distance, mixedScript, matches };
+  }
+
+  global.punycodeToUnicode = punycodeToUnicode;
+  global.confusableSkeleton = confusableSkeleton;
+  global.getProtectedBrands = getProtectedBrands;
+  global.setProtectedBrands = setProtectedBrands;
+  global.analyzeLookalikeHost = analyzeLookalikeHost;
+  global.lookalikeFeatures = lookalikeFeatures;
+  global.LOOKALIKE_NONE = LOOKALIKE_NONE;
+})(window);
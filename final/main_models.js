@@ -1,26 +1,50 @@
 // main_models.js
 // Wires the feature extractor, BrowserRF, and DBSCAN code to your UI.
 // - Listens for the 'predict' event fired by main_multi.js and runs the active model
-// - Loads rf_model.json automatically if present and updates RF UI status
-// - Handles DBSCAN dataset upload, run clustering, and assign current email to clusters
+// - Follows RF models loaded by rf_loader.js (threshold slider) and updates RF UI status
+// - Handles DBSCAN dataset upload, run clustering (DBSCAN / OPTICS / HDBSCAN), and assign current email to clusters
 // - Uses the shared extractors from features.js
+// - CSV uploads go through csv_import.js; choosing a CSV file shows its column mapping
+// - Keeps loaded / trained models in the model registry (model_registry.js): active model
+//   per tab, restored on reload, and A/B comparison on the current email or a labeled set
 //
-// Requires: features.js, rf_predictor.js, dbscan.js to be loaded beforehand.
+// Requires: features.js, rf_predictor.js, dbscan.js, optics_hdbscan.js, csv_import.js, ml_tasks.js to be loaded beforehand.
+// DBSCAN, training and batch scoring run through window.runMlTask (ml_worker.js).
 
 (function () {
   // UI elements
   const rfStatusEl = document.getElementById("rf-status");
-  const rfInfoEl = document.getElementById("rf-info");
   const rfResultEl = document.getElementById("rf-result");
   const rfFeatureImportancesEl = document.getElementById(
     "rf-featureImportances"
   );
   const rfThresholdEl = document.getElementById("rf-threshold");
   const rfThresholdVal = document.getElementById("rf-thresholdVal");
+  const rfNEstimatorsInput = document.getElementById("rf-nEstimators");
+  const rfMaxDepthInput = document.getElementById("rf-maxDepth");
+  const rfMinSamplesLeafInput = document.getElementById("rf-minSamplesLeaf");
+  const rfMaxFeaturesEl = document.getElementById("rf-maxFeatures");
+  const rfBootstrapEl = document.getElementById("rf-bootstrap");
+  const rfTrainUploadEl = document.getElementById("rf-train-upload");
+  const rfTrainBtn = document.getElementById("rf-train");
+  const rfDownloadBtn = document.getElementById("rf-download");
+  const rfProgressEl = document.getElementById("rf-progress");
+  const rfCancelBtn = document.getElementById("rf-cancel");
+  const rfVotingEl = document.getElementById("rf-voting");
+  const rfExplainEl = document.getElementById("rf-explain");
+  const rfLinkAggregateEl = document.getElementById("rf-linkAggregate");
+  const rfLinksEl = document.getElementById("rf-links");
 
   const svmResultEl = document.getElementById("svm-result");
   const svmStatusEl = document.getElementById("svm-status");
   const svmFeaturePreview = document.getElementById("svm-featurePreview");
+  const svmTrainBtn = document.getElementById("svm-train");
+  const svmUploadEl = document.getElementById("svm-upload");
+  const svmCInput = document.getElementById("svm-C");
+  const svmEpochsInput = document.getElementById("svm-epochs");
+  const svmClassWeightEl = document.getElementById("svm-classWeight");
+  const svmProgressEl = document.getElementById("svm-progress");
+  const svmCancelBtn = document.getElementById("svm-cancel");
 
   const dbscanStatusEl = document.getElementById("dbscan-status");
   const dbscanClustersEl = document.getElementById("dbscan-clusters");
@@ -30,6 +54,61 @@
   const dbscanAssignBtn = document.getElementById("dbscan-assign");
   const dbscanEpsInput = document.getElementById("dbscan-eps");
   const dbscanMinPtsInput = document.getElementById("dbscan-minPts");
+  const dbscanIndexEl = document.getElementById("dbscan-index");
+  const dbscanCancelBtn = document.getElementById("dbscan-cancel");
+  const dbscanProgressEl = document.getElementById("dbscan-progress");
+  const dbscanKdistBtn = document.getElementById("dbscan-kdist");
+  const dbscanKdistChartEl = document.getElementById("dbscan-kdist-chart");
+  const dbscanAlgorithmEl = document.getElementById("dbscan-algorithm");
+  const dbscanMetricEl = document.getElementById("dbscan-metric");
+  const dbscanFeaturesEl = document.getElementById("dbscan-features");
+  const dbscanMinClusterSizeInput = document.getElementById(
+    "dbscan-minClusterSize"
+  );
+  const dbscanReachabilityChartEl = document.getElementById(
+    "dbscan-reachability-chart"
+  );
+
+  const batchUploadEl = document.getElementById("batch-upload");
+  const batchRunBtn = document.getElementById("batch-run");
+  const batchCsvBtn = document.getElementById("batch-download-csv");
+  const batchJsonBtn = document.getElementById("batch-download-json");
+  const batchProgressEl = document.getElementById("batch-progress");
+  const batchCancelBtn = document.getElementById("batch-cancel");
+  const batchStatusEl = document.getElementById("batch-status");
+  const batchResultsEl = document.getElementById("batch-results");
+  const evalUploadEl = document.getElementById("eval-upload");
+  const evalModelEl = document.getElementById("eval-model");
+  const evalRunBtn = document.getElementById("eval-run");
+  const evalApplyBtn = document.getElementById("eval-apply-threshold");
+  const evalStatusEl = document.getElementById("eval-status");
+  const evalSummaryEl = document.getElementById("eval-summary");
+  const evalRocEl = document.getElementById("eval-roc");
+  const evalPrEl = document.getElementById("eval-pr");
+  const evalCalibrationEl = document.getElementById("eval-calibration");
+  const cvUploadEl = document.getElementById("cv-upload");
+  const cvModelEl = document.getElementById("cv-model");
+  const cvFoldsInput = document.getElementById("cv-folds");
+  const cvMetricEl = document.getElementById("cv-metric");
+  const cvGridInput = document.getElementById("cv-grid");
+  const cvRunBtn = document.getElementById("cv-run");
+  const cvCancelBtn = document.getElementById("cv-cancel");
+  const cvAdoptBtn = document.getElementById("cv-adopt");
+  const cvProgressEl = document.getElementById("cv-progress");
+  const cvStatusEl = document.getElementById("cv-status");
+  const cvResultsEl = document.getElementById("cv-results");
+  const svmActiveModelEl = document.getElementById("svm-active-model");
+  const rfActiveModelEl = document.getElementById("rf-active-model");
+  const registryListEl = document.getElementById("registry-list");
+  const registryAEl = document.getElementById("registry-a");
+  const registryBEl = document.getElementById("registry-b");
+  const registryUploadEl = document.getElementById("registry-upload");
+  const registryCompareEmailBtn = document.getElementById(
+    "registry-compare-email"
+  );
+  const registryCompareSetBtn = document.getElementById("registry-compare-set");
+  const registryStatusEl = document.getElementById("registry-status");
+  const registryCompareEl = document.getElementById("registry-compare");
 
   const sharedInput = document.getElementById("sharedEmailInput");
   const pasteSpamBtn = document.getElementById("pasteSpamExample");
@@ -39,13 +118,29 @@
   const metaReply = document.getElementById("meta-replyDomain");
   const metaHasAttach = document.getElementById("meta-hasAttachment");
   const metaSenderRep = document.getElementById("meta-senderRep");
+  const metaBrands = document.getElementById("meta-brands");
   const metaSenderRepVal = document.getElementById("meta-senderRepVal");
+  const annotatedEl = document.getElementById("email-annotated");
+  const emlUploadEl = document.getElementById("eml-upload");
+  const emlInfoEl = document.getElementById("eml-info");
 
   // Local state for DBSCAN dataset
   let dbscan_X = null;
   let dbscan_labels = null;
   let dbscan_corePoints = null;
   let dbscan_lastFileName = null;
+  // nearest-core radius of the last run (DBSCAN: its eps; OPTICS / HDBSCAN report one)
+  let dbscan_eps = null;
+  let dbscan_coreRadii = null; // HDBSCAN: per-core radius, used instead of dbscan_eps
+  let dbscan_metric = "euclidean"; // distance_metrics.js name the clustering used
+  // feature space of the clustering ("extended" | "basic") and the basic space's
+  // sender-domain indices, so assigned emails are built like the dataset rows
+  let dbscan_features = "extended";
+  let dbscan_domainMap = null;
+  let dbscan_clusterNames = {}; // cluster id -> determineClusterLabel() name
+
+  // Last forest trained in the page (export object, for download)
+  let rf_lastTrainedModel = null;
 
   // Browser RF instance
   const rf = new (window.BrowserRF ||
@@ -54,13 +149,53 @@
     })())();
   window.browserRF = rf;
 
-  // Update RF threshold UI value display
+  // Whether the RF card currently shows a model prediction (re-run on threshold/voting change)
+  let rf_hasResult = false;
+
+  // Operating threshold for the phishing decision (rf-threshold slider)
+  function rfThreshold() {
+    const v = rfThresholdEl ? Number(rfThresholdEl.value) : NaN;
+    return isFinite(v) ? v : 0.5;
+  }
+
+  // Move the slider to the threshold the loaded model file declares
+  function syncThresholdFromModel() {
+    if (!rfThresholdEl || !rf || typeof rf.threshold !== "number") return;
+    rfThresholdEl.value = String(rf.threshold);
+    if (rfThresholdVal)
+      rfThresholdVal.textContent = Number(rfThresholdEl.value).toFixed(2);
+  }
+
+  function rerunRFPrediction() {
+    if (!rf_hasResult) return;
+    document.dispatchEvent(
+      new CustomEvent("predict", { detail: { model: "rf" } })
+    );
+  }
+
+  // Update RF threshold UI value display; the slider drives the decision in predictOne
   if (rfThresholdEl && rfThresholdVal) {
     rfThresholdVal.textContent = Number(rfThresholdEl.value).toFixed(2);
     rfThresholdEl.addEventListener("input", () => {
       rfThresholdVal.textContent = Number(rfThresholdEl.value).toFixed(2);
     });
+    rfThresholdEl.addEventListener("change", rerunRFPrediction);
+  }
+
+  if (rfVotingEl) {
+    rf.voting = rfVotingEl.value || "soft";
+    rfVotingEl.addEventListener("change", () => {
+      rf.voting = rfVotingEl.value || "soft";
+      rerunRFPrediction();
+    });
+  }
+
+  // How URL features of several links are combined (rf-linkAggregate)
+  function rfLinkAggregate() {
+    return rfLinkAggregateEl ? rfLinkAggregateEl.value || "max" : "max";
   }
+  if (rfLinkAggregateEl)
+    rfLinkAggregateEl.addEventListener("change", rerunRFPrediction);
 
   // Sender reputation slider display
   if (metaSenderRep && metaSenderRepVal) {
@@ -70,6 +205,122 @@
     });
   }
 
+  // Protected brands for the look-alike domain check (comma-separated list)
+  if (metaBrands && window.getProtectedBrands) {
+    metaBrands.value = window.getProtectedBrands().join(", ");
+    metaBrands.addEventListener("change", () => {
+      window.setProtectedBrands(metaBrands.value.split(/[\s,;]+/));
+      refreshAnnotatedEmail();
+      rerunRFPrediction();
+    });
+  }
+
+  // Metadata from the meta-* inputs, in the shape extractExtendedFeatures expects
+  function gatherMeta() {
+    return {
+      fromDomain: metaFrom ? metaFrom.value : "",
+      replyToDomain: metaReply ? metaReply.value : "",
+      hasAttachment: metaHasAttach ? metaHasAttach.checked : false,
+      senderReputation: metaSenderRep ? Number(metaSenderRep.value) : 0.5,
+    };
+  }
+
+  // Header-derived meta applied last, so re-parsing the same message does not
+  // overwrite values the user has since edited by hand
+  let eml_lastAppliedMeta = null;
+
+  function applyParsedMeta(parsed) {
+    const { fromDomain, replyToDomain, hasAttachment } = parsed.meta;
+    const key = JSON.stringify([fromDomain, replyToDomain, hasAttachment]);
+    if (key === eml_lastAppliedMeta) return;
+    eml_lastAppliedMeta = key;
+    if (metaFrom) metaFrom.value = parsed.meta.fromDomain || "";
+    if (metaReply) metaReply.value = parsed.meta.replyToDomain || "";
+    if (metaHasAttach) metaHasAttach.checked = !!parsed.meta.hasAttachment;
+  }
+
+  function describeParsedEmail(parsed) {
+    const parts = [`Parsed raw message (${parsed.bodyType} part)`];
+    if (parsed.fromDomain) parts.push(`From: ${parsed.fromDomain}`);
+    if (parsed.replyToDomain) parts.push(`Reply-To: ${parsed.replyToDomain}`);
+    parts.push(
+      parsed.attachments.length
+        ? `attachments: ${parsed.attachments.map((a) => a.filename).join(", ")}`
+        : "no attachments"
+    );
+    if (parsed.htmlDoc) parts.push(describeHtmlDoc(parsed.htmlDoc));
+    return parts.join(" · ");
+  }
+
+  function describeHtmlDoc(doc) {
+    return `HTML: ${doc.anchors.length} link(s), ${doc.forms.length} form(s), ${
+      doc.iframes.length
+    } iframe(s), title ${doc.title ? `"${doc.title}"` : "missing"}`;
+  }
+
+  // Current email as the models see it: a raw RFC 5322 message is parsed into its
+  // subject + body text, and its header metadata is copied into the meta-* inputs.
+  // HTML bodies are reduced to visible text; their structure travels as meta.html.
+  function readEmailInput() {
+    const raw = sharedInput ? sharedInput.value || "" : "";
+    let parsed = null;
+    if (window.looksLikeRawEmail && window.looksLikeRawEmail(raw)) {
+      try {
+        parsed = window.parseEml(raw);
+        applyParsedMeta(parsed);
+      } catch (err) {
+        console.warn("eml parse failed, using raw text:", err);
+      }
+    }
+    let text = parsed ? parsed.featureText : raw;
+    let html = parsed ? parsed.htmlDoc : null;
+    if (!parsed && window.looksLikeHtml && window.looksLikeHtml(raw)) {
+      html = window.parseHtmlEmail(raw);
+      text = html.text;
+    }
+    if (emlInfoEl)
+      emlInfoEl.textContent = parsed
+        ? describeParsedEmail(parsed)
+        : html
+        ? `Pasted HTML body. ${describeHtmlDoc(html)}`
+        : "Plain text (no RFC 5322 headers detected).";
+    const meta = gatherMeta();
+    if (html) meta.html = html;
+    return { text, meta, parsed };
+  }
+
+  // Evidence preview: re-annotate the pasted email as text or metadata change
+  let annotateTimer = null;
+  function refreshAnnotatedEmail() {
+    clearTimeout(annotateTimer);
+    annotateTimer = setTimeout(() => {
+      const { text, meta } = readEmailInput();
+      if (annotatedEl && window.renderAnnotatedEmail)
+        window.renderAnnotatedEmail(annotatedEl, text, meta);
+    }, 150);
+  }
+  [sharedInput, metaFrom, metaReply].forEach(
+    (el) => el && el.addEventListener("input", refreshAnnotatedEmail)
+  );
+
+  // Load a .eml file into the shared input
+  if (emlUploadEl && sharedInput) {
+    emlUploadEl.addEventListener("change", async (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (!file) return;
+      try {
+        sharedInput.value = await file.text();
+        refreshAnnotatedEmail();
+      } catch (err) {
+        console.warn("eml read failed:", err);
+        emlInfoEl &&
+          (emlInfoEl.textContent = `Failed to read ${file.name}: ${String(
+            err.message || err
+          )}`);
+      }
+    });
+  }
+
   // Populate example paste buttons
   if (pasteSpamBtn) {
     pasteSpamBtn.addEventListener("click", () => {
@@ -81,6 +332,7 @@ CONGRATULATIONS! You are selected to receive FREE credit and MONEY now. To claim
 
 Best regards,
 Prize Department`;
+      refreshAnnotatedEmail();
     });
   }
   if (pasteHamBtn) {
@@ -93,6 +345,7 @@ Salam Leyla,
 
 Hörmətlə,
 Aydın`;
+      refreshAnnotatedEmail();
     });
   }
 
@@ -131,38 +384,189 @@ Aydın`;
     else if (kind === "ham") el.classList.add("is-ham");
   }
 
-  // Heuristic fallback used when SVM/RF unavailable: simple scoring
-  function heuristicPredict(features) {
-    const longestRun = features.length >= 2 ? features[features.length - 2] : 0;
-    const totalCaps = features.length >= 1 ? features[features.length - 1] : 0;
-    const wordCounts = features.slice(0, Math.max(0, features.length - 2));
-    const wordScore = wordCounts.reduce((s, v) => s + v, 0);
-    const capsScore = longestRun * 0.25 + totalCaps * 0.02;
-    const score = wordScore + capsScore;
-    return score >= 3.5 ? 1 : 0;
-  }
-
-  // Try to auto-load rf_model.json at startup (if present)
-  async function tryLoadRF() {
-    if (!window.BrowserRF) {
-      rfStatusEl && (rfStatusEl.textContent = "RandomForest loader missing");
+  // Top positive / negative feature contributions for the RF card
+  function renderRFExplanation(features) {
+    if (!rfExplainEl) return;
+    rfExplainEl.innerHTML = "";
+    if (!rf || typeof rf.explainOne !== "function") {
+      rfExplainEl.classList.add("hidden");
+      return;
+    }
+    let expl;
+    try {
+      expl = rf.explainOne(features);
+    } catch (err) {
+      console.warn("RF explanation failed:", err);
+      rfExplainEl.classList.add("hidden");
       return;
     }
+    const TOP_N = 5;
+    const items = expl.contributions
+      .map((c, j) => ({
+        name: expl.featureNames[j],
+        contribution: c,
+        value: Number(features[j] || 0),
+      }))
+      .filter((it) => Math.abs(it.contribution) > 1e-9);
+    const positive = items
+      .filter((it) => it.contribution > 0)
+      .sort((a, b) => b.contribution - a.contribution)
+      .slice(0, TOP_N);
+    const negative = items
+      .filter((it) => it.contribution < 0)
+      .sort((a, b) => a.contribution - b.contribution)
+      .slice(0, TOP_N);
+
+    function column(title, list, cls) {
+      const col = document.createElement("div");
+      col.className = "explain-col";
+      const h = document.createElement("h5");
+      h.textContent = title;
+      col.appendChild(h);
+      const ul = document.createElement("ul");
+      if (!list.length) {
+        const li = document.createElement("li");
+        li.textContent = "(none)";
+        ul.appendChild(li);
+      }
+      for (const it of list) {
+        const li = document.createElement("li");
+        li.className = cls;
+        const name = document.createElement("span");
+        name.textContent = `${it.name} = ${Number(it.value.toFixed(3))}`;
+        const val = document.createElement("span");
+        val.textContent = `${
+          it.contribution > 0 ? "+" : ""
+        }${it.contribution.toFixed(3)}`;
+        li.appendChild(name);
+        li.appendChild(val);
+        ul.appendChild(li);
+      }
+      col.appendChild(ul);
+      return col;
+    }
+
+    rfExplainEl.appendChild(
+      column("Towards phishing", positive, "contrib-pos")
+    );
+    rfExplainEl.appendChild(
+      column("Against phishing", negative, "contrib-neg")
+    );
+    const note = document.createElement("div");
+    note.className = "explain-note";
+    if (expl.method === "linear")
+      note.textContent = `Linear model: contribution = weight × value (logit), bias ${expl.baseline.toFixed(
+        3
+      )}`;
+    else if (expl.method === "saabas-margin")
+      // imported boosted / summed ensembles: raw margins, the probability comes after
+      note.textContent = `Tree path contributions (Saabas), summed over trees, margin units (${
+        rf.postTransform && rf.postTransform !== "none"
+          ? `before ${rf.postTransform}`
+          : "no post transform"
+      }); baseline raw score ${expl.baseline.toFixed(3)}`;
+    else
+      note.textContent = `Tree path contributions (Saabas), averaged over trees; baseline P(phishing) ${expl.baseline.toFixed(
+        3
+      )}`;
+    rfExplainEl.appendChild(note);
+    rfExplainEl.classList.remove("hidden");
+  }
+
+  // Per-link table: each link's main URL features and the model's score for a
+  // vector built from that link alone; the highest-scoring link is highlighted
+  function renderRFLinks(text, meta) {
+    if (!rfLinksEl) return;
+    rfLinksEl.innerHTML = "";
+    let breakdown = null;
     try {
-      rfStatusEl && (rfStatusEl.textContent = "Loading rf_model.json ...");
-      await rf.load("/rf_model.json");
-      rfStatusEl &&
-        (rfStatusEl.textContent = `RandomForest loaded (${rf.trees.length} trees)`);
-      rfInfoEl && (rfInfoEl.textContent = "Model loaded from /rf_model.json");
-    } catch (e) {
-      console.warn("RF load failed:", e);
-      rfStatusEl &&
-        (rfStatusEl.textContent =
-          "RandomForest model not found (put rf_model.json in site root)");
-      rfInfoEl &&
-        (rfInfoEl.textContent =
-          "No RF model loaded. You can still use heuristic or train/export a model and drop rf_model.json into site root.");
+      breakdown = window.rfLinkBreakdown
+        ? window.rfLinkBreakdown(rf, text, meta)
+        : null;
+    } catch (err) {
+      console.warn("RF link breakdown failed:", err);
+    }
+    if (!breakdown || !breakdown.links.length) {
+      rfLinksEl.classList.add("hidden");
+      return;
     }
+
+    const table = document.createElement("table");
+    table.className = "data-table";
+    const head = document.createElement("tr");
+    [
+      "#",
+      "URL",
+      "P(phishing)",
+      "UrlLength",
+      "NoHttps",
+      "IpAddress",
+      "NumSensitiveWords",
+    ].forEach((label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+    breakdown.links.forEach((link, i) => {
+      const tr = document.createElement("tr");
+      if (i === breakdown.worstIndex) tr.className = "is-driver";
+      const f = link.features;
+      [
+        String(i + 1),
+        link.url,
+        link.score === null ? "—" : link.score.toFixed(3),
+        f.urlLength,
+        f.noHttps,
+        f.ipAddress,
+        f.sensitiveCount,
+      ].forEach((value, col) => {
+        const td = document.createElement("td");
+        td.textContent = String(value);
+        if (col === 1) {
+          td.className = "url-cell";
+          td.title = link.url;
+        }
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+    rfLinksEl.appendChild(table);
+
+    const note = document.createElement("div");
+    note.className = "explain-note";
+    note.textContent =
+      breakdown.worstIndex === -1
+        ? "Per-link scores unavailable: the model declares no feature_names, so URL columns are not part of its input."
+        : `Highlighted: link ${
+            breakdown.worstIndex + 1
+          } has the highest P(phishing). URL columns in the prediction use "${rfLinkAggregate()}" over ${
+            breakdown.links.length
+          } link(s).`;
+    rfLinksEl.appendChild(note);
+    rfLinksEl.classList.remove("hidden");
+  }
+
+  // Heuristic fallback used when SVM/RF unavailable (shared with the batch scorers)
+  const heuristicPredict = window.heuristicPredict;
+
+  // Feature vector in the loaded model's own schema (feature_names), falling back to
+  // the 26-slot extractExtendedFeatures layout when the model declares none
+  function rfFeatureVector(text, meta) {
+    if (window.buildVectorForModel)
+      return window.buildVectorForModel(rf, text, meta, {
+        aggregate: rfLinkAggregate(),
+      });
+    return window.extractExtendedFeatures
+      ? window.extractExtendedFeatures(text, meta)
+      : [];
+  }
+
+  // Model feature names that no extractor computes (zero-filled in rfFeatureVector)
+  function rfZeroFilledFeatures() {
+    if (!rf || !Array.isArray(rf.featureNames) || !window.rfFeatureCoverage)
+      return [];
+    return window.rfFeatureCoverage(rf.featureNames).missing;
   }
 
   // Bind predict behavior triggered by main_multi.js (document 'predict' event)
@@ -174,14 +578,8 @@ Aydın`;
           window.app.getActiveModel &&
           window.app.getActiveModel();
     if (!model) return;
-    // Gather input and metadata
-    const text = sharedInput ? sharedInput.value || "" : "";
-    const meta = {
-      fromDomain: metaFrom ? metaFrom.value : "",
-      replyToDomain: metaReply ? metaReply.value : "",
-      hasAttachment: metaHasAttach ? metaHasAttach.checked : false,
-      senderReputation: metaSenderRep ? Number(metaSenderRep.value) : 0.5,
-    };
+    // Gather input and metadata (raw .eml input is parsed first)
+    const { text, meta } = readEmailInput();
 
     if (model === "svm") {
       // Try to use a pre-trained svmModel if available (window.svmModel), otherwise use heuristic
@@ -243,17 +641,22 @@ Aydın`;
         svmFeaturePreview.textContent = JSON.stringify(preview, null, 2);
       }
     } else if (model === "rf") {
-      // Build the extended features and call RF predictor if available
-      const features = window.extractExtendedFeatures
-        ? window.extractExtendedFeatures(text, meta)
-        : [];
+      // Build the vector the loaded model expects and call RF predictor if available
       if (rf && rf.loaded) {
         try {
-          const { pred, probs } = rf.predictOne(features);
+          const features = rfFeatureVector(text, meta);
+          const zeroFilled = rfZeroFilledFeatures();
+          const threshold = rfThreshold();
+          const { pred, probs } = rf.predictOne(features, { threshold });
           const conf =
             probs && probs.length > 1
               ? Number(probs[1]).toFixed(2)
               : Number(Math.max(...(probs || [0]))).toFixed(2);
+          const rule = !Array.isArray(rf.trees)
+            ? "linear"
+            : rf.aggregate === "sum"
+            ? `summed trees, ${rf.postTransform}`
+            : `${rf.voting} voting`;
           const kind = pred === 1 ? "spam" : "ham";
           const title =
             pred === 1
@@ -265,11 +668,20 @@ Aydın`;
             title,
             `Probabilities: ${JSON.stringify(
               probs.map((p) => Number(p.toFixed(3)))
-            )}`,
+            )} — threshold ${threshold.toFixed(2)}, ${rule}${
+              zeroFilled.length
+                ? ` — ${zeroFilled.length} model feature(s) zero-filled (no extractor)`
+                : ""
+            }`,
             pred === 1 ? spamIconSVG() : hamIconSVG()
           );
+          renderRFExplanation(features);
+          renderRFLinks(text, meta);
+          rf_hasResult = true;
         } catch (err) {
           console.warn("RF predict failed:", err);
+          rfExplainEl && rfExplainEl.classList.add("hidden");
+          rfLinksEl && rfLinksEl.classList.add("hidden");
           setResult(
             rfResultEl,
             "ham",
@@ -280,6 +692,8 @@ Aydın`;
         }
       } else {
         // Not loaded: show heuristic info and hint
+        rfExplainEl && rfExplainEl.classList.add("hidden");
+        rfLinksEl && rfLinksEl.classList.add("hidden");
         setResult(
           rfResultEl,
           "ham",
@@ -300,10 +714,11 @@ Aydın`;
         );
         return;
       }
-      const features = window.extractExtendedFeatures
-        ? window.extractExtendedFeatures(text, meta)
-        : [];
-      const eps = Number(dbscanEpsInput ? dbscanEpsInput.value : 2.0);
+      const point = window.__dbscan.emailPoint(
+        { text, meta, row: null },
+        dbscanSpace()
+      );
+      const eps = dbscan_eps;
       const assign =
         window.__dbscan && window.__dbscan.assignByNearestCore
           ? window.__dbscan.assignByNearestCore(
@@ -311,7 +726,9 @@ Aydın`;
               dbscan_labels,
               dbscan_corePoints,
               eps,
-              features
+              point,
+              dbscan_metric,
+              dbscan_coreRadii
             )
           : { cluster: -1, dist: null };
       if (assign.cluster === -1) {
@@ -328,7 +745,9 @@ Aydın`;
         setResult(
           dbscanResultEl,
           "ham",
-          `Assigned: Cluster ${assign.cluster}`,
+          `Assigned: Cluster ${assign.cluster} (${
+            dbscan_clusterNames[assign.cluster] || "Other"
+          })`,
           `Distance to nearest core: ${assign.dist.toFixed(
             3
           )} — Cluster size: ${
@@ -340,43 +759,80 @@ Aydın`;
     }
   });
 
-  // DBSCAN: parse uploaded file (JSON array or CSV). Build feature matrix using featuresFromRow or extractors.
-  function parseUploadedFile(file) {
-    return new Promise((resolve, reject) => {
-      if (!file) return reject(new Error("No file"));
-      const reader = new FileReader();
-      reader.onload = (ev) => {
-        const text = ev.target.result;
-        // Try JSON first
-        try {
-          const parsed = JSON.parse(text);
-          if (Array.isArray(parsed))
-            return resolve({ type: "json", data: parsed });
-        } catch (e) {
-          // not JSON
-        }
-        // Try CSV basic parse
-        try {
-          const lines = text.split(/\r?\n/).filter((l) => l.trim().length > 0);
-          if (lines.length < 2) throw new Error("CSV: Too few lines");
-          const header = lines[0].split(",").map((h) => h.trim());
-          const rows = lines.slice(1).map((ln) => {
-            const cols = ln.split(",").map((c) => c.trim());
-            const obj = {};
-            for (let i = 0; i < header.length; i++)
-              obj[header[i]] = cols[i] === undefined ? "" : cols[i];
-            return obj;
-          });
-          return resolve({ type: "csv", data: rows, header });
-        } catch (e) {
-          return reject(new Error("Unsupported file format"));
-        }
-      };
-      reader.onerror = (err) => reject(err);
-      reader.readAsText(file);
+  async function isJsonUpload(file) {
+    if (/\.json$/i.test(file.name)) return true;
+    const head = await file.slice(0, 256).text();
+    return head.trimStart().startsWith("[");
+  }
+
+  // Uploaded datasets (JSON array or CSV). CSV goes through csv_import.js: streamed RFC 4180
+  // parsing, then the column mapping (the one picked under the upload, else the guessed one)
+  // fills body / fromDomain / replyToDomain / hasAttachment / senderReputation / label.
+  async function parseUploadedFile(file, mapping) {
+    if (!file) throw new Error("No file");
+    if (await isJsonUpload(file)) {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (e) {
+        throw new Error(`${file.name}: invalid JSON (${e.message})`);
+      }
+      if (!Array.isArray(data))
+        throw new Error(`${file.name}: expected a JSON array of rows`);
+      return { type: "json", data };
+    }
+    const csv = await window.parseCsvFile(file);
+    if (!csv.rows.length) throw new Error("CSV: Too few lines");
+    if (csv.unterminated)
+      console.warn(`${file.name}: CSV ends inside a quoted field`);
+    const data = window.applyColumnMapping(
+      csv.rows,
+      mapping || window.guessColumnMapping(csv.header)
+    );
+    return { type: "csv", data, header: csv.header, csv };
+  }
+
+  // Column mapping step: choosing a CSV file shows its columns under the upload with a
+  // guessed mapping; the edited mapping is used when that file is parsed.
+  const csvImports = new Map(); // upload input -> { file, mapping }
+
+  function watchCsvUpload(input) {
+    const container = document.getElementById(`${input.id}-mapping`);
+    input.addEventListener("change", async () => {
+      const file = input.files && input.files[0];
+      csvImports.delete(input);
+      if (container) container.hidden = true;
+      if (!file || !window.previewCsvFile || /\.(mbox|eml)$/i.test(file.name))
+        return;
+      try {
+        if (await isJsonUpload(file)) return;
+        const preview = await window.previewCsvFile(file);
+        if (preview.header.length < 2) return;
+        const mapping = window.guessColumnMapping(preview.header);
+        csvImports.set(input, { file, mapping });
+        window.renderColumnMapping(container, preview, mapping);
+      } catch (e) {
+        console.warn(`CSV preview of ${file.name} failed:`, e);
+      }
     });
   }
 
+  function csvMappingFor(input, file) {
+    const entry = csvImports.get(input);
+    return entry && entry.file === file ? entry.mapping : null;
+  }
+
+  for (const input of [
+    svmUploadEl,
+    rfTrainUploadEl,
+    dbscanUploadEl,
+    batchUploadEl,
+    evalUploadEl,
+    cvUploadEl,
+    registryUploadEl,
+  ])
+    if (input) watchCsvUpload(input);
+
   // Build feature matrix X and optional texts array for UI examples
   function buildXFromDataArray(arr) {
     // arr: array of objects; prefer fields matching featureNames, otherwise try to use "body" or "text" fields
@@ -420,6 +876,1368 @@ Aydın`;
     return { X, texts };
   }
 
+  // Clustering input for the selected feature space and metric:
+  // - "extended": numeric feature columns, else the 26 extended text features
+  // - "basic": body length, sender domain index, attachment, reputation, 4 keywords
+  // - a text metric (Jaccard) compares word shingles of each row's body/text/email
+  // -> { X, texts (previews), bodies (for cluster naming), features, metric, domainMap }
+  function clusteringDataset(arr) {
+    const features =
+      dbscanFeaturesEl && dbscanFeaturesEl.value === "basic"
+        ? "basic"
+        : "extended";
+    const metric = dbscanMetricEl ? dbscanMetricEl.value : "euclidean";
+    const bodies = arr.map((row) => row.body || row.text || row.email || "");
+    const data = { bodies, features, metric, domainMap: null };
+    const textMetric =
+      window.getDistanceMetric &&
+      window.getDistanceMetric(metric).input === "text";
+    if (textMetric) {
+      if (!bodies.some(Boolean))
+        throw new Error(
+          `${
+            window.getDistanceMetric(metric).label
+          } needs a body, text or email column`
+        );
+      data.X = bodies.map((t) => window.textShingles(t));
+      data.texts = bodies;
+    } else if (features === "basic") {
+      data.domainMap = {};
+      data.X = window.__dbscan.preprocessEmails(
+        arr.map((row, i) => ({
+          body: bodies[i],
+          fromDomain: row.fromDomain || row.from || "",
+          hasAttachment: row.hasAttachment,
+          senderReputation: row.senderReputation,
+        })),
+        data.domainMap
+      );
+      data.texts = bodies;
+    } else Object.assign(data, buildXFromDataArray(arr));
+    return data;
+  }
+
+  // How the active clustering turns an email into a point (dbscan.js emailPoint)
+  function dbscanSpace() {
+    return {
+      metric: dbscan_metric,
+      features: dbscan_features,
+      domainMap: dbscan_domainMap,
+    };
+  }
+
+  // Labeled training rows: an uploaded JSON/CSV file if given, else the bundled spambase.json
+  async function loadLabeledRows(file, mapping) {
+    if (file) {
+      const parsed = await parseUploadedFile(file, mapping);
+      return parsed.data;
+    }
+    const res = await fetch("/spambase.json", { cache: "no-store" });
+    if (!res.ok) throw new Error(`Failed to load spambase.json ${res.status}`);
+    const json = await res.json();
+    if (!Array.isArray(json)) throw new Error("spambase.json is not an array");
+    return json;
+  }
+
+  // Deterministic 80/20 holdout split: every 5th row goes to the holdout set
+  function holdoutSplit(X, y) {
+    const train = { X: [], y: [] };
+    const test = { X: [], y: [] };
+    X.forEach((x, i) => {
+      const target = i % 5 === 4 ? test : train;
+      target.X.push(x);
+      target.y.push(y[i]);
+    });
+    return { train, test };
+  }
+
+  // Run an ml_tasks.js task with its panel's Cancel button enabled while it runs
+  const runningTasks = new Map(); // cancel button -> running task
+  function runTask(type, payload, cancelBtn, onProgress, opts = {}) {
+    const task = window.runMlTask(
+      type,
+      payload,
+      Object.assign({ onProgress }, opts)
+    );
+    if (cancelBtn) {
+      runningTasks.set(cancelBtn, task);
+      cancelBtn.disabled = false;
+    }
+    return task.promise.finally(() => {
+      if (!cancelBtn || runningTasks.get(cancelBtn) !== task) return;
+      runningTasks.delete(cancelBtn);
+      cancelBtn.disabled = true;
+    });
+  }
+  for (const btn of [
+    svmCancelBtn,
+    rfCancelBtn,
+    batchCancelBtn,
+    dbscanCancelBtn,
+    cvCancelBtn,
+  ])
+    if (btn)
+      btn.addEventListener("click", () => {
+        const task = runningTasks.get(btn);
+        if (task) task.cancel();
+      });
+
+  // SVM: train a linear SVM in a worker and make it the active window.svmModel
+  if (svmTrainBtn) {
+    svmTrainBtn.addEventListener("click", async () => {
+      if (!window.LinearSVM || !window.svmDatasetFromRows) {
+        svmStatusEl && (svmStatusEl.textContent = "SVM trainer missing");
+        return;
+      }
+      const f = svmUploadEl && svmUploadEl.files && svmUploadEl.files[0];
+      const source = f ? f.name : "spambase.json";
+      svmTrainBtn.disabled = true;
+      if (svmProgressEl) svmProgressEl.value = 0;
+      try {
+        svmStatusEl && (svmStatusEl.textContent = `Loading ${source} ...`);
+        const rows = await loadLabeledRows(f, csvMappingFor(svmUploadEl, f));
+        const { X, y, skipped } = window.svmDatasetFromRows(rows);
+        if (!X.length)
+          throw new Error("no labeled rows found (expected a 'label' column)");
+        const { train, test } = holdoutSplit(X, y);
+        const C = Number(svmCInput ? svmCInput.value : 1) || 1;
+        const epochs = Number(svmEpochsInput ? svmEpochsInput.value : 50) || 50;
+        const classWeight =
+          svmClassWeightEl && svmClassWeightEl.value === "none"
+            ? null
+            : "balanced";
+        const json = await runTask(
+          "trainSvm",
+          { X: train.X, y: train.y, options: { C, epochs, classWeight } },
+          svmCancelBtn,
+          (p) => {
+            if (svmProgressEl) svmProgressEl.value = p.epoch / p.epochs;
+            svmStatusEl &&
+              (svmStatusEl.textContent = `Training SVM — epoch ${p.epoch}/${
+                p.epochs
+              }, loss ${p.loss.toFixed(4)}, train acc ${(
+                p.accuracy * 100
+              ).toFixed(1)}%`);
+          }
+        );
+        const model = window.LinearSVM.fromJSON(json);
+        const pct = (v) => `${(v * 100).toFixed(1)}%`;
+        let summary = `SVM trained on ${source} (${train.X.length} rows, C=${C})`;
+        summary += ` — train acc ${pct(model.score(train.X, train.y))}`;
+        if (test.X.length)
+          summary += `, holdout acc ${pct(model.score(test.X, test.y))} (${
+            test.X.length
+          } rows)`;
+        if (skipped) summary += `; ${skipped} unlabeled rows skipped`;
+        window.svmModel = model;
+        svmStatusEl && (svmStatusEl.textContent = summary);
+        registerModel("svm", model, "linear_svm", `trained on ${source}`);
+      } catch (err) {
+        console.warn("SVM training failed:", err);
+        svmStatusEl &&
+          (svmStatusEl.textContent = err.cancelled
+            ? "SVM training cancelled."
+            : `SVM training failed: ${String(err.message || err)}`);
+      } finally {
+        svmTrainBtn.disabled = false;
+      }
+    });
+  }
+
+  // RF: grow a forest in a worker, load it into BrowserRF and offer it for download
+  if (rfTrainBtn) {
+    rfTrainBtn.addEventListener("click", async () => {
+      if (!window.RandomForestTrainer || !window.rfDatasetFromRows) {
+        rfStatusEl && (rfStatusEl.textContent = "RandomForest trainer missing");
+        return;
+      }
+      const f =
+        rfTrainUploadEl && rfTrainUploadEl.files && rfTrainUploadEl.files[0];
+      const source = f ? f.name : "spambase.json";
+      rfTrainBtn.disabled = true;
+      if (rfProgressEl) rfProgressEl.value = 0;
+      try {
+        rfStatusEl && (rfStatusEl.textContent = `Loading ${source} ...`);
+        const rows = await loadLabeledRows(
+          f,
+          csvMappingFor(rfTrainUploadEl, f)
+        );
+        const { X, y, featureNames, skipped } = window.rfDatasetFromRows(rows);
+        if (!X.length)
+          throw new Error("no labeled rows found (expected a 'label' column)");
+        const maxFeatures = rfMaxFeaturesEl ? rfMaxFeaturesEl.value : "sqrt";
+        const options = {
+          nEstimators: Number(
+            rfNEstimatorsInput ? rfNEstimatorsInput.value : 100
+          ),
+          maxDepth: Number(rfMaxDepthInput ? rfMaxDepthInput.value : 0),
+          minSamplesLeaf: Number(
+            rfMinSamplesLeafInput ? rfMinSamplesLeafInput.value : 1
+          ),
+          maxFeatures: maxFeatures === "all" ? null : maxFeatures,
+          bootstrap: rfBootstrapEl ? rfBootstrapEl.checked : true,
+        };
+        const extra = { trained_on: source, created: new Date().toISOString() };
+        const model = await runTask(
+          "trainRf",
+          { X, y, featureNames, options, extra },
+          rfCancelBtn,
+          (p) => {
+            if (rfProgressEl) rfProgressEl.value = p.tree / p.trees;
+            rfStatusEl &&
+              (rfStatusEl.textContent = `Training RandomForest — tree ${p.tree}/${p.trees}`);
+          }
+        );
+        window.rfLoadFromObject
+          ? window.rfLoadFromObject(model, `trained on ${source}`)
+          : rf.loadFromObject(model);
+        rf_lastTrainedModel = model;
+        if (rfDownloadBtn) rfDownloadBtn.disabled = false;
+
+        let summary = `RandomForest trained on ${source} (${X.length} rows, ${model.trees.length} trees, ${featureNames.length} features)`;
+        if (model.oob_score !== null)
+          summary += ` — OOB acc ${(model.oob_score * 100).toFixed(1)}%`;
+        if (skipped) summary += `; ${skipped} unlabeled rows skipped`;
+        rfStatusEl && (rfStatusEl.textContent = summary);
+      } catch (err) {
+        console.warn("RF training failed:", err);
+        rfStatusEl &&
+          (rfStatusEl.textContent = err.cancelled
+            ? "RF training cancelled."
+            : `RF training failed: ${String(err.message || err)}`);
+      } finally {
+        rfTrainBtn.disabled = false;
+      }
+    });
+  }
+
+  // Save generated content as a file download
+  function downloadText(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Download the last trained forest as rf_model.json
+  if (rfDownloadBtn) {
+    rfDownloadBtn.addEventListener("click", () => {
+      if (!rf_lastTrainedModel) return;
+      downloadText(
+        JSON.stringify(rf_lastTrainedModel),
+        "rf_model.json",
+        "application/json"
+      );
+    });
+  }
+
+  // --- Batch scoring: every email of an uploaded mailbox through SVM, RF and DBSCAN ---
+  const BATCH_COLUMNS = [
+    { key: "id", label: "#" },
+    { key: "subject", label: "Subject" },
+    { key: "from", label: "From" },
+    { key: "svm_verdict", label: "SVM" },
+    { key: "svm_score", label: "SVM score" },
+    { key: "rf_verdict", label: "RF" },
+    { key: "rf_prob", label: "P(phishing)" },
+    { key: "dbscan_cluster", label: "DBSCAN cluster" },
+    { key: "dbscan_label", label: "Cluster label" },
+    { key: "dbscan_dist", label: "Core dist." },
+  ];
+  let batch_results = null;
+
+  // Models the batch / evaluation scorers use (see makeBatchScorers in ml_tasks.js)
+  function batchModels() {
+    return {
+      svm: window.svmModel || null,
+      rf,
+      rfThreshold: rfThreshold(),
+      rfAggregate: rfLinkAggregate(),
+      dbscan: dbscan_X
+        ? {
+            X: dbscan_X,
+            labels: dbscan_labels,
+            corePoints: dbscan_corePoints,
+            eps: dbscan_eps,
+            coreRadii: dbscan_coreRadii,
+            metric: dbscan_metric,
+            features: dbscan_features,
+            domainMap: dbscan_domainMap,
+            clusterNames: dbscan_clusterNames,
+          }
+        : null,
+    };
+  }
+
+  async function batchEmailsFromFile(file) {
+    const text = await file.text();
+    const fromText = window.batchEmailsFromText(text);
+    if (fromText) return fromText;
+    const parsed = await parseUploadedFile(
+      file,
+      csvMappingFor(batchUploadEl, file)
+    );
+    return window.batchEmailsFromRows(parsed.data);
+  }
+
+  if (batchRunBtn) {
+    batchRunBtn.addEventListener("click", async () => {
+      const f = batchUploadEl && batchUploadEl.files && batchUploadEl.files[0];
+      if (!f) {
+        batchStatusEl &&
+          (batchStatusEl.textContent =
+            "Choose a .mbox, .eml, .json or .csv file first.");
+        return;
+      }
+      if (!window.scoreEmailBatch) {
+        batchStatusEl && (batchStatusEl.textContent = "batch.js missing");
+        return;
+      }
+      batchRunBtn.disabled = true;
+      if (batchProgressEl) batchProgressEl.value = 0;
+      try {
+        batchStatusEl && (batchStatusEl.textContent = `Parsing ${f.name} ...`);
+        const emails = await batchEmailsFromFile(f);
+        if (!emails.length) throw new Error("no emails found in file");
+        // Models that cannot be sent to the worker are scored in the page
+        const models = batchModels();
+        const snapshot = window.serializeBatchModels(models);
+        const results = await runTask(
+          "batch",
+          { emails, models: snapshot || models },
+          batchCancelBtn,
+          ({ done, total }) => {
+            if (batchProgressEl) batchProgressEl.value = done / total;
+            batchStatusEl &&
+              (batchStatusEl.textContent = `Scoring ${done}/${total} ...`);
+          },
+          { inline: !snapshot }
+        );
+        for (const r of results)
+          r.flagged = r.rf_verdict === "phishing" || r.svm_verdict === "spam";
+        batch_results = results;
+        window.renderBatchTable(batchResultsEl, results, BATCH_COLUMNS);
+
+        const count = (key, value) =>
+          results.filter((r) => r[key] === value).length;
+        const notes = [];
+        if (!window.svmModel) notes.push("SVM: heuristic (*)");
+        if (!rf || !rf.loaded) notes.push("RF: no model loaded");
+        if (!dbscan_X) notes.push("DBSCAN: run clustering first");
+        batchStatusEl &&
+          (batchStatusEl.textContent = `Scored ${results.length} emails from ${
+            f.name
+          } — SVM spam: ${count("svm_verdict", "spam")}, RF phishing: ${count(
+            "rf_verdict",
+            "phishing"
+          )}, DBSCAN noise: ${count("dbscan_cluster", "noise")}${
+            notes.length ? ` (${notes.join("; ")})` : ""
+          }`);
+        if (batchCsvBtn) batchCsvBtn.disabled = false;
+        if (batchJsonBtn) batchJsonBtn.disabled = false;
+      } catch (err) {
+        console.warn("Batch scoring failed:", err);
+        batchStatusEl &&
+          (batchStatusEl.textContent = err.cancelled
+            ? "Batch scoring cancelled."
+            : `Batch scoring failed: ${String(err.message || err)}`);
+      } finally {
+        batchRunBtn.disabled = false;
+      }
+    });
+  }
+
+  if (batchCsvBtn)
+    batchCsvBtn.addEventListener("click", () => {
+      if (!batch_results) return;
+      downloadText(
+        window.batchResultsToCsv(batch_results, BATCH_COLUMNS),
+        "batch_scores.csv",
+        "text/csv"
+      );
+    });
+  if (batchJsonBtn)
+    batchJsonBtn.addEventListener("click", () => {
+      if (!batch_results) return;
+      downloadText(
+        window.batchResultsToJson(batch_results),
+        "batch_scores.json",
+        "application/json"
+      );
+    });
+
+  // --- Evaluation dashboard ---
+  // { model, y, scores, threshold (operating point), picked (curve point or null) }
+  let eval_state = null;
+
+  // Labeled rows -> y and scores of the chosen model; rows without a label or a
+  // score are skipped
+  function evaluationScores(rows, model) {
+    const emails = window.batchEmailsFromRows(rows);
+    const scorers = window.makeBatchScorers(batchModels());
+    const y = [];
+    const scores = [];
+    emails.forEach((email, i) => {
+      const label = window.labelFromRow(rows[i]);
+      if (label === null) return;
+      const out = model === "rf" ? scorers.rf(email) : scorers.svm(email);
+      const score = model === "rf" ? out.rf_prob : out.svm_score;
+      if (typeof score !== "number" || !isFinite(score)) return;
+      y.push(label);
+      scores.push(score);
+    });
+    return { y, scores };
+  }
+
+  function renderConfusionMatrix(cm) {
+    const table = document.createElement("table");
+    table.className = "data-table";
+    const rows = [
+      ["", "Pred 1", "Pred 0"],
+      ["Actual 1", cm.tp, cm.fn],
+      ["Actual 0", cm.fp, cm.tn],
+    ];
+    rows.forEach((cells, r) => {
+      const tr = document.createElement("tr");
+      cells.forEach((c, j) => {
+        const cell = document.createElement(r === 0 || j === 0 ? "th" : "td");
+        cell.textContent = String(c);
+        tr.appendChild(cell);
+      });
+      table.appendChild(tr);
+    });
+    return table;
+  }
+
+  function renderEvaluation() {
+    if (!eval_state) return;
+    const { model, y, scores, threshold, picked } = eval_state;
+    const roc = window.rocCurve(y, scores);
+    const pr = window.prCurve(y, scores);
+    const cm = window.confusionMatrix(y, scores, threshold);
+    const m = window.classificationMetrics(cm);
+    const fmt = (v) => (v === null ? "—" : v.toFixed(3));
+
+    if (evalSummaryEl) {
+      evalSummaryEl.innerHTML = "";
+      evalSummaryEl.appendChild(renderConfusionMatrix(cm));
+      const list = document.createElement("div");
+      list.className = "model-info";
+      list.textContent =
+        `threshold ${threshold.toFixed(3)} · accuracy ${fmt(m.accuracy)} · ` +
+        `precision ${fmt(m.precision)} · recall ${fmt(m.recall)} · ` +
+        `F1 ${fmt(m.f1)} · ROC AUC ${fmt(roc.auc)} · PR AUC ${fmt(pr.auc)}`;
+      evalSummaryEl.appendChild(list);
+    }
+
+    // Operating point on each curve: the point for the current threshold
+    const rocMarker = {
+      x: cm.fp + cm.tn ? cm.fp / (cm.fp + cm.tn) : 0,
+      y: m.recall,
+    };
+    const prMarker = { x: m.recall, y: m.precision };
+    const onPick = (point) => {
+      eval_state.threshold = point.threshold;
+      eval_state.picked = point;
+      renderEvaluation();
+    };
+    window.renderCurveChart(evalRocEl, {
+      title: `ROC (AUC ${fmt(roc.auc)})`,
+      points: roc.points,
+      xLabel: "False positive rate",
+      yLabel: "True positive rate",
+      diagonal: true,
+      marker: rocMarker,
+      onPick,
+    });
+    window.renderCurveChart(evalPrEl, {
+      title: `Precision-Recall (AUC ${fmt(pr.auc)})`,
+      points: pr.points,
+      xLabel: "Recall",
+      yLabel: "Precision",
+      marker: prMarker,
+      onPick,
+    });
+
+    // Reliability diagram only makes sense for probabilities, not SVM margins
+    if (model === "rf") {
+      const rel = window.reliabilityBins(y, scores, 10);
+      window.renderCurveChart(evalCalibrationEl, {
+        title: `Reliability (ECE ${fmt(rel.ece)})`,
+        points: rel.bins
+          .filter((b) => b.count)
+          .map((b) => ({ x: b.meanPred, y: b.fracPos })),
+        xLabel: "Mean predicted P(phishing)",
+        yLabel: "Observed fraction phishing",
+        diagonal: true,
+        bars: true,
+      });
+    } else if (evalCalibrationEl) {
+      evalCalibrationEl.textContent =
+        "Reliability diagram: SVM decision score is not a probability.";
+    }
+
+    if (evalApplyBtn) evalApplyBtn.disabled = model !== "rf" || !picked;
+  }
+
+  if (evalRunBtn) {
+    evalRunBtn.addEventListener("click", async () => {
+      const model = evalModelEl ? evalModelEl.value : "rf";
+      if (model === "rf" && (!rf || !rf.loaded)) {
+        evalStatusEl &&
+          (evalStatusEl.textContent =
+            "Load a RandomForest / linear model first (rf-upload).");
+        return;
+      }
+      if (
+        model === "svm" &&
+        !(window.svmModel && typeof window.svmModel.predictOne === "function")
+      ) {
+        evalStatusEl &&
+          (evalStatusEl.textContent =
+            "Train an SVM first — evaluation needs its decision score.");
+        return;
+      }
+      const f = evalUploadEl && evalUploadEl.files && evalUploadEl.files[0];
+      evalRunBtn.disabled = true;
+      try {
+        evalStatusEl &&
+          (evalStatusEl.textContent = `Loading ${
+            f ? f.name : "spambase.json"
+          } ...`);
+        const rows = await loadLabeledRows(f, csvMappingFor(evalUploadEl, f));
+        const { y, scores } = evaluationScores(rows, model);
+        if (!y.length) throw new Error("no labeled rows with a model score");
+        const pos = y.filter((v) => v === 1).length;
+        eval_state = {
+          model,
+          y,
+          scores,
+          threshold: model === "rf" ? rfThreshold() : 0,
+          picked: null,
+        };
+        renderEvaluation();
+        saveActiveRegistryMetrics(
+          model,
+          registryMetrics(
+            y,
+            scores,
+            eval_state.threshold,
+            f ? f.name : "spambase.json"
+          )
+        );
+        evalStatusEl &&
+          (evalStatusEl.textContent = `Evaluated ${
+            y.length
+          } rows (${pos} positive, ${y.length - pos} negative), skipped ${
+            rows.length - y.length
+          }.`);
+      } catch (err) {
+        console.warn("Evaluation failed:", err);
+        evalStatusEl &&
+          (evalStatusEl.textContent = `Evaluation failed: ${String(
+            err.message || err
+          )}`);
+      } finally {
+        evalRunBtn.disabled = false;
+      }
+    });
+  }
+
+  // Push the threshold picked on the ROC / PR curve into the rf-threshold slider
+  if (evalApplyBtn)
+    evalApplyBtn.addEventListener("click", () => {
+      if (!eval_state || !eval_state.picked || !rfThresholdEl) return;
+      const t = Math.min(1, Math.max(0, eval_state.threshold));
+      rfThresholdEl.value = String(t);
+      if (rfThresholdVal)
+        rfThresholdVal.textContent = Number(rfThresholdEl.value).toFixed(2);
+      evalStatusEl &&
+        (evalStatusEl.textContent = `rf-threshold set to ${t.toFixed(3)}.`);
+      rerunRFPrediction();
+    });
+
+  // --- Cross-validation / grid search over the in-page trainers ---
+  const CV_DEFAULT_GRIDS = {
+    svm: "C=0.1,1,10; epochs=50",
+    rf: "nEstimators=25,50; maxDepth=4,8,0",
+  };
+  const CV_COLUMNS = [
+    { key: "rank", label: "#" },
+    { key: "params", label: "Config" },
+    { key: "f1", label: "F1" },
+    { key: "f1_std", label: "± F1" },
+    { key: "accuracy", label: "Accuracy" },
+    { key: "accuracy_std", label: "± Acc" },
+    { key: "auc", label: "ROC AUC" },
+    { key: "auc_std", label: "± AUC" },
+    { key: "precision", label: "Precision" },
+    { key: "recall", label: "Recall" },
+  ];
+  // { model, source, rows, search } of the last grid search
+  let cv_last = null;
+
+  function cvDataset(model, rows) {
+    return model === "rf"
+      ? window.rfDatasetFromRows(rows)
+      : window.svmDatasetFromRows(rows);
+  }
+
+  function cvResultRows(search) {
+    return search.results.map((r, i) => ({
+      rank: i + 1,
+      params: Object.keys(r.config)
+        .map((k) => `${k}=${r.config[k]}`)
+        .join(", "),
+      f1: r.mean.f1,
+      f1_std: r.std.f1,
+      accuracy: r.mean.accuracy,
+      accuracy_std: r.std.accuracy,
+      auc: r.mean.auc,
+      auc_std: r.std.auc,
+      precision: r.mean.precision,
+      recall: r.mean.recall,
+      flagged: i === 0,
+    }));
+  }
+
+  if (cvModelEl && cvGridInput)
+    cvModelEl.addEventListener("change", () => {
+      cvGridInput.value = CV_DEFAULT_GRIDS[cvModelEl.value] || "";
+    });
+
+  if (cvRunBtn) {
+    cvRunBtn.addEventListener("click", async () => {
+      if (!window.gridSearch || !window.cvAdapters) {
+        cvStatusEl && (cvStatusEl.textContent = "cross_validation.js missing");
+        return;
+      }
+      const model = cvModelEl ? cvModelEl.value : "svm";
+      const spec = window.parseParameterGrid(
+        cvGridInput ? cvGridInput.value : CV_DEFAULT_GRIDS[model]
+      );
+      const k = Number(cvFoldsInput ? cvFoldsInput.value : 5) || 5;
+      const metric = cvMetricEl ? cvMetricEl.value : "f1";
+      const f = cvUploadEl && cvUploadEl.files && cvUploadEl.files[0];
+      const source = f ? f.name : "spambase.json";
+      cvRunBtn.disabled = true;
+      if (cvAdoptBtn) cvAdoptBtn.disabled = true;
+      if (cvProgressEl) cvProgressEl.value = 0;
+      try {
+        cvStatusEl && (cvStatusEl.textContent = `Loading ${source} ...`);
+        const rows = await loadLabeledRows(f, csvMappingFor(cvUploadEl, f));
+        const { X, y, featureNames } = cvDataset(model, rows);
+        if (!X.length)
+          throw new Error("no labeled rows found (expected a 'label' column)");
+        const nConfigs = window.parameterGrid(spec).length;
+        const search = await runTask(
+          "gridSearch",
+          { model, X, y, spec, k, metric, featureNames },
+          cvCancelBtn,
+          (p) => {
+            const done = (p.config - 1) * p.folds + p.fold;
+            if (cvProgressEl) cvProgressEl.value = done / (nConfigs * p.folds);
+            cvStatusEl &&
+              (cvStatusEl.textContent = `Config ${p.config}/${p.configs}, fold ${p.fold}/${p.folds} ...`);
+          }
+        );
+        cv_last = { model, source, rows, search };
+        window.renderBatchTable(cvResultsEl, cvResultRows(search), CV_COLUMNS);
+        const best = search.best;
+        cvStatusEl &&
+          (cvStatusEl.textContent = `${k}-fold CV on ${source} (${
+            X.length
+          } rows, ${nConfigs} configs) — best ${metric} ${best.mean[
+            metric
+          ].toFixed(3)} ± ${best.std[metric].toFixed(3)}: ${
+            cvResultRows(search)[0].params
+          }`);
+        if (cvAdoptBtn) cvAdoptBtn.disabled = false;
+      } catch (err) {
+        console.warn("Cross-validation failed:", err);
+        cvStatusEl &&
+          (cvStatusEl.textContent = err.cancelled
+            ? "Cross-validation cancelled."
+            : `Cross-validation failed: ${String(err.message || err)}`);
+      } finally {
+        cvRunBtn.disabled = false;
+      }
+    });
+  }
+
+  // Retrain the best config on the whole dataset and make it the active model
+  if (cvAdoptBtn)
+    cvAdoptBtn.addEventListener("click", async () => {
+      if (!cv_last || !cv_last.search.best) return;
+      const { model, source, rows, search } = cv_last;
+      const config = search.best.config;
+      const { X, y, featureNames } = cvDataset(model, rows);
+      const cv = {
+        k: search.best.folds.length,
+        metric: search.metric,
+        mean: search.best.mean,
+        std: search.best.std,
+      };
+      cvAdoptBtn.disabled = true;
+      try {
+        cvStatusEl &&
+          (cvStatusEl.textContent = `Retraining best config on all ${X.length} rows ...`);
+        if (model === "rf") {
+          const obj = await runTask("trainRf", {
+            X,
+            y,
+            featureNames,
+            options: config,
+            extra: {
+              trained_on: source,
+              created: new Date().toISOString(),
+              cv,
+            },
+          });
+          window.rfLoadFromObject
+            ? window.rfLoadFromObject(obj, `CV best on ${source}`)
+            : rf.loadFromObject(obj);
+          rf_lastTrainedModel = obj;
+          if (rfDownloadBtn) rfDownloadBtn.disabled = false;
+        } else {
+          const svm = window.LinearSVM.fromJSON(
+            await runTask("trainSvm", { X, y, options: config })
+          );
+          svm.cv = cv;
+          window.svmModel = svm;
+          svmStatusEl &&
+            (svmStatusEl.textContent = `SVM from CV grid search on ${source} (C=${svm.C}, epochs=${svm.epochs})`);
+          registerModel("svm", svm, "linear_svm", `CV best on ${source}`);
+        }
+        cvStatusEl &&
+          (cvStatusEl.textContent = `Adopted best ${
+            model === "rf" ? "RandomForest" : "SVM"
+          } (${cvResultRows(search)[0].params}) as the active model.`);
+      } catch (err) {
+        console.warn("Adopting CV model failed:", err);
+        cvStatusEl &&
+          (cvStatusEl.textContent = `Adopting model failed: ${String(
+            err.message || err
+          )}`);
+      } finally {
+        cvAdoptBtn.disabled = false;
+      }
+    });
+
+  // --- Model registry: uploaded / trained models persisted in IndexedDB (model_registry.js) ---
+  const registryReady = window.openModelRegistry
+    ? window.openModelRegistry().catch((err) => {
+        console.warn("Model registry unavailable:", err);
+        return null;
+      })
+    : Promise.resolve(null);
+  // set while a registry entry is loaded into the page, so it is not registered again
+  let registry_activating = false;
+  // entry id -> model instance used for A/B comparisons (the page's own models stay untouched)
+  const registry_instances = new Map();
+
+  // Registry name of an RF model: the name in the model file, else the file / URL base name
+  function rfRegistryName(model, source) {
+    if (
+      model.source &&
+      typeof model.source.name === "string" &&
+      model.source.name
+    )
+      return model.source.name;
+    const base = String(source || "")
+      .replace(/^local file /, "")
+      .split(/[\\/]/)
+      .pop();
+    return base.replace(/\.[^.]+$/, "") || "rf_model";
+  }
+
+  // Stores a freshly loaded / trained model and makes it this tab's active model of its kind
+  async function registerModel(kind, model, name, source) {
+    const registry = await registryReady;
+    if (!registry) return null;
+    try {
+      const entry = await registry.register({ kind, model, name, source });
+      window.setActiveRegistryId(kind, entry.id);
+      await refreshRegistry();
+      return entry;
+    } catch (err) {
+      console.warn("Registering model failed:", err);
+      registryStatusEl &&
+        (registryStatusEl.textContent = `Model not saved to the registry: ${String(
+          err.message || err
+        )}`);
+      return null;
+    }
+  }
+
+  // Loads a registry entry as the page's SVM / RF model
+  async function activateRegistryEntry(kind, id) {
+    const registry = await registryReady;
+    const entry = registry && (await registry.get(id));
+    if (!entry || entry.kind !== kind)
+      throw new Error(`model ${id} is not in the registry`);
+    const label = window.describeRegistryEntry(entry);
+    if (kind === "rf") {
+      registry_activating = true;
+      try {
+        window.rfLoadFromObject
+          ? window.rfLoadFromObject(entry.model, `registry: ${label}`)
+          : rf.loadFromObject(entry.model);
+      } finally {
+        registry_activating = false;
+      }
+    } else {
+      window.svmModel = window.instantiateRegistryModel(entry);
+      svmStatusEl &&
+        (svmStatusEl.textContent = `SVM from the registry: ${label}${
+          entry.source ? ` (${entry.source})` : ""
+        }`);
+    }
+    window.setActiveRegistryId(kind, entry.id);
+    return entry;
+  }
+
+  async function removeRegistryEntry(entry) {
+    const registry = await registryReady;
+    if (!registry) return;
+    await registry.remove(entry.id);
+    registry_instances.delete(entry.id);
+    if (window.activeRegistryId(entry.kind) === entry.id)
+      window.setActiveRegistryId(entry.kind, null);
+    registryStatusEl &&
+      (registryStatusEl.textContent = `Removed ${window.describeRegistryEntry(
+        entry
+      )} from the registry.`);
+    await refreshRegistry();
+  }
+
+  // rows[0] is the header row; the first cell of every row is a header cell
+  function registryTable(rows) {
+    const table = document.createElement("table");
+    table.className = "data-table";
+    rows.forEach((cells, r) => {
+      const tr = document.createElement("tr");
+      cells.forEach((c, j) => {
+        const cell = document.createElement(r === 0 || j === 0 ? "th" : "td");
+        cell.textContent = String(c);
+        tr.appendChild(cell);
+      });
+      table.appendChild(tr);
+    });
+    return table;
+  }
+
+  function formatRegistryMetrics(m) {
+    if (!m) return "—";
+    const fmt = (v) => (typeof v === "number" ? v.toFixed(3) : "—");
+    return `F1 ${fmt(m.f1)} · acc ${fmt(m.accuracy)} · AUC ${fmt(m.auc)} (${
+      m.rows
+    } rows, ${m.dataset})`;
+  }
+
+  function renderRegistryList(entries) {
+    if (!registryListEl) return;
+    registryListEl.innerHTML = "";
+    if (!entries.length) {
+      registryListEl.textContent =
+        "Registr boşdur: model yükləyin və ya öyrədin.";
+      return;
+    }
+    const table = document.createElement("table");
+    table.className = "data-table";
+    const head = document.createElement("tr");
+    [
+      "Name",
+      "Version",
+      "Type",
+      "Source",
+      "Created",
+      "Features",
+      "Metrics",
+      "",
+    ].forEach((label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+    entries.forEach((entry) => {
+      const tr = document.createElement("tr");
+      const active = window.activeRegistryId(entry.kind) === entry.id;
+      if (active) tr.className = "is-driver";
+      const schema = entry.featureSchema || {};
+      [
+        `${active ? "● " : ""}${entry.name}`,
+        `v${entry.version}`,
+        entry.kind === "rf" ? "RandomForest" : "SVM",
+        entry.source || "—",
+        entry.created.slice(0, 16).replace("T", " "),
+        Array.isArray(schema.names)
+          ? `${schema.names.length} feature_names`
+          : `${schema.count} slots`,
+        formatRegistryMetrics(entry.metrics),
+      ].forEach((value) => {
+        const td = document.createElement("td");
+        td.textContent = String(value);
+        tr.appendChild(td);
+      });
+      const actions = document.createElement("td");
+      const del = document.createElement("button");
+      del.type = "button";
+      del.textContent = "Delete";
+      del.addEventListener("click", () =>
+        removeRegistryEntry(entry).catch((err) =>
+          console.warn("Removing registry entry failed:", err)
+        )
+      );
+      actions.appendChild(del);
+      tr.appendChild(actions);
+      table.appendChild(tr);
+    });
+    registryListEl.appendChild(table);
+  }
+
+  function fillRegistrySelect(select, entries, selected, emptyLabel) {
+    if (!select) return;
+    select.innerHTML = "";
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = emptyLabel;
+    select.appendChild(none);
+    entries.forEach((entry) => {
+      const opt = document.createElement("option");
+      opt.value = String(entry.id);
+      opt.textContent = `${window.describeRegistryEntry(entry)}${
+        entry.source ? ` — ${entry.source}` : ""
+      }`;
+      select.appendChild(opt);
+    });
+    const keep = entries.some((e) => e.id === selected);
+    select.value = keep ? String(selected) : "";
+  }
+
+  // Re-reads the registry into the list, the per-tab active selects and the A/B selects
+  async function refreshRegistry() {
+    const registry = await registryReady;
+    if (!registry) return;
+    const entries = await registry.list();
+    renderRegistryList(entries);
+    for (const [kind, select] of [
+      ["svm", svmActiveModelEl],
+      ["rf", rfActiveModelEl],
+    ]) {
+      const own = entries.filter((e) => e.kind === kind);
+      fillRegistrySelect(
+        select,
+        own,
+        window.activeRegistryId(kind),
+        own.length ? "(heç biri)" : "(registrdə model yoxdur)"
+      );
+    }
+    const pickA = registryAEl && Number(registryAEl.value);
+    const pickB = registryBEl && Number(registryBEl.value);
+    fillRegistrySelect(
+      registryAEl,
+      entries,
+      pickA || (entries[0] && entries[0].id),
+      "Model A"
+    );
+    fillRegistrySelect(
+      registryBEl,
+      entries,
+      pickB || (entries[1] && entries[1].id),
+      "Model B"
+    );
+  }
+
+  // Both A/B entries, or an error explaining what to pick
+  async function registryPair() {
+    const registry = await registryReady;
+    if (!registry) throw new Error("model registry unavailable");
+    const ids = [registryAEl, registryBEl].map((el) => Number(el && el.value));
+    if (!ids[0] || !ids[1]) throw new Error("pick model A and model B");
+    if (ids[0] === ids[1]) throw new Error("pick two different models");
+    const entries = await Promise.all(ids.map((id) => registry.get(id)));
+    if (entries.some((e) => !e))
+      throw new Error("a picked model is no longer in the registry");
+    return entries;
+  }
+
+  // Scores of one registered model on email records (null where it has none) and its
+  // operating threshold: the rf-threshold slider for this tab's active RF entry, the
+  // model's own threshold for any other RF entry, the SVM decision boundary 0
+  function registryScores(entry, emails) {
+    if (!registry_instances.has(entry.id))
+      registry_instances.set(entry.id, window.instantiateRegistryModel(entry));
+    const model = registry_instances.get(entry.id);
+    const scorers = window.makeBatchScorers({
+      svm: entry.kind === "svm" ? model : null,
+      rf: entry.kind === "rf" ? model : null,
+      rfAggregate: rfLinkAggregate(),
+    });
+    const scores = emails.map((email) => {
+      const out = scorers[entry.kind](email);
+      const score = entry.kind === "rf" ? out.rf_prob : out.svm_score;
+      return typeof score === "number" && isFinite(score) ? score : null;
+    });
+    if (entry.kind !== "rf") return { scores, threshold: 0 };
+    const active = window.activeRegistryId("rf") === entry.id;
+    return { scores, threshold: active ? rfThreshold() : model.threshold };
+  }
+
+  // Metrics stored on a registry entry
+  function registryMetrics(y, scores, threshold, dataset) {
+    const m = window.classificationMetrics(
+      window.confusionMatrix(y, scores, threshold)
+    );
+    return {
+      accuracy: m.accuracy,
+      precision: m.precision,
+      recall: m.recall,
+      f1: m.f1,
+      auc: window.rocCurve(y, scores).auc,
+      threshold,
+      rows: y.length,
+      dataset,
+    };
+  }
+
+  // Evaluation runs update the metrics of this tab's active registry entry
+  async function saveActiveRegistryMetrics(kind, metrics) {
+    const registry = await registryReady;
+    const id = window.activeRegistryId ? window.activeRegistryId(kind) : null;
+    if (!registry || id === null) return;
+    try {
+      await registry.setMetrics(id, metrics);
+      await refreshRegistry();
+    } catch (err) {
+      console.warn("Saving registry metrics failed:", err);
+    }
+  }
+
+  for (const [kind, select] of [
+    ["svm", svmActiveModelEl],
+    ["rf", rfActiveModelEl],
+  ]) {
+    if (!select) continue;
+    select.addEventListener("change", async () => {
+      try {
+        if (select.value) {
+          const entry = await activateRegistryEntry(kind, Number(select.value));
+          registryStatusEl &&
+            (registryStatusEl.textContent = `Active ${
+              kind === "rf" ? "RandomForest" : "SVM"
+            } in this tab: ${window.describeRegistryEntry(entry)}.`);
+        } else {
+          window.setActiveRegistryId(kind, null);
+        }
+      } catch (err) {
+        console.warn("Activating registry model failed:", err);
+        registryStatusEl &&
+          (registryStatusEl.textContent = `Activating model failed: ${String(
+            err.message || err
+          )}`);
+      }
+      await refreshRegistry();
+    });
+  }
+
+  if (registryCompareEmailBtn)
+    registryCompareEmailBtn.addEventListener("click", async () => {
+      try {
+        const entries = await registryPair();
+        const { text, meta } = readEmailInput();
+        if (!text.trim()) throw new Error("paste an email first");
+        const email = { id: 1, subject: "", from: "", text, meta };
+        const verdicts = entries.map((entry) => {
+          const { scores, threshold } = registryScores(entry, [email]);
+          const score = scores[0];
+          const positive = score !== null && score >= threshold;
+          const label =
+            entry.kind === "rf" ? ["legit", "phishing"] : ["ham", "spam"];
+          return {
+            entry,
+            verdict: score === null ? "—" : label[positive ? 1 : 0],
+            positive: score === null ? null : positive,
+            score: score === null ? "—" : score.toFixed(3),
+            threshold: threshold.toFixed(3),
+          };
+        });
+        if (registryCompareEl) {
+          registryCompareEl.innerHTML = "";
+          registryCompareEl.appendChild(
+            registryTable([
+              ["Model", "Verdict", "Score", "Threshold"],
+              ...verdicts.map((v) => [
+                window.describeRegistryEntry(v.entry),
+                v.verdict,
+                v.score,
+                v.threshold,
+              ]),
+            ])
+          );
+        }
+        const agree = verdicts[0].positive === verdicts[1].positive;
+        registryStatusEl &&
+          (registryStatusEl.textContent = `Current email: the models ${
+            agree ? "agree" : "disagree"
+          }.`);
+      } catch (err) {
+        console.warn("Registry comparison failed:", err);
+        registryStatusEl &&
+          (registryStatusEl.textContent = `Comparison failed: ${String(
+            err.message || err
+          )}`);
+      }
+    });
+
+  if (registryCompareSetBtn)
+    registryCompareSetBtn.addEventListener("click", async () => {
+      const f =
+        registryUploadEl && registryUploadEl.files && registryUploadEl.files[0];
+      const dataset = f ? f.name : "spambase.json";
+      registryCompareSetBtn.disabled = true;
+      try {
+        const entries = await registryPair();
+        registryStatusEl &&
+          (registryStatusEl.textContent = `Loading ${dataset} ...`);
+        const rows = await loadLabeledRows(
+          f,
+          csvMappingFor(registryUploadEl, f)
+        );
+        const emails = window.batchEmailsFromRows(rows);
+        const labels = rows.map((row) => window.labelFromRow(row));
+        const runs = entries.map((entry) => registryScores(entry, emails));
+        // only rows both models can score, so the pair is judged on the same emails
+        const keep = [];
+        labels.forEach((label, i) => {
+          if (label !== null && runs.every((r) => r.scores[i] !== null))
+            keep.push(i);
+        });
+        if (!keep.length)
+          throw new Error("no labeled rows that both models can score");
+        const y = keep.map((i) => labels[i]);
+        const results = runs.map((run) => {
+          const scores = keep.map((i) => run.scores[i]);
+          return {
+            metrics: registryMetrics(y, scores, run.threshold, dataset),
+            preds: scores.map((s) => (s >= run.threshold ? 1 : 0)),
+          };
+        });
+        const paired = window.pairedComparison(
+          y,
+          results[0].preds,
+          results[1].preds
+        );
+        if (registryCompareEl) {
+          const fmt = (v) => (typeof v === "number" ? v.toFixed(3) : "—");
+          const row = (label, key) => [
+            label,
+            ...results.map((r) => fmt(r.metrics[key])),
+          ];
+          registryCompareEl.innerHTML = "";
+          registryCompareEl.appendChild(
+            registryTable([
+              ["", ...entries.map((e) => window.describeRegistryEntry(e))],
+              row("Accuracy", "accuracy"),
+              row("Precision", "precision"),
+              row("Recall", "recall"),
+              row("F1", "f1"),
+              row("ROC AUC", "auc"),
+              row("Threshold", "threshold"),
+            ])
+          );
+          const info = document.createElement("div");
+          info.className = "model-info";
+          info.textContent =
+            `${paired.disagree} of ${y.length} rows predicted differently · ` +
+            `only A right ${paired.onlyA} · only B right ${paired.onlyB} · ` +
+            `both wrong ${paired.bothWrong} · McNemar p = ${fmt(
+              paired.mcnemar.p
+            )}`;
+          registryCompareEl.appendChild(info);
+        }
+        const registry = await registryReady;
+        await Promise.all(
+          entries.map((entry, k) =>
+            registry.setMetrics(entry.id, results[k].metrics)
+          )
+        );
+        await refreshRegistry();
+        registryStatusEl &&
+          (registryStatusEl.textContent = `Compared on ${
+            y.length
+          } labeled rows of ${dataset} (skipped ${
+            rows.length - y.length
+          }); metrics saved to both entries.`);
+      } catch (err) {
+        console.warn("Registry comparison failed:", err);
+        registryStatusEl &&
+          (registryStatusEl.textContent = `Comparison failed: ${String(
+            err.message || err
+          )}`);
+      } finally {
+        registryCompareSetBtn.disabled = false;
+      }
+    });
+
+  // Startup: restore this tab's active models, then show the registry
+  registryReady.then(async (registry) => {
+    if (!registry) {
+      registryStatusEl &&
+        (registryStatusEl.textContent =
+          "Registry unavailable in this browser.");
+      return;
+    }
+    registryStatusEl &&
+      (registryStatusEl.textContent = registry.persistent
+        ? "Registry: models are kept in this browser (IndexedDB)."
+        : "Registry: IndexedDB unavailable — models are kept until the page is closed.");
+    for (const kind of ["svm", "rf"]) {
+      const id = window.activeRegistryId(kind);
+      if (id === null) continue;
+      try {
+        await activateRegistryEntry(kind, id);
+      } catch (err) {
+        console.warn(`Restoring active ${kind} model failed:`, err);
+        window.setActiveRegistryId(kind, null);
+        // rf_loader.js skipped its auto-load for the stored model
+        if (kind === "rf" && window.rfLoadFrom)
+          window.rfLoadFrom("/rf_model.json").catch(() => {});
+      }
+    }
+    await refreshRegistry();
+  });
+
+  const DBSCAN_ALGORITHMS = {
+    dbscan: "DBSCAN",
+    optics: "OPTICS",
+    hdbscan: "HDBSCAN",
+  };
+
+  // Make a clustering result the active one (assignment, batch scoring) and list it
+  function showClustering(data, out, fileName) {
+    const { X, texts } = data;
+    const algorithm = out.summary.algorithm || "dbscan";
+    // assignByNearestCore scales new points with the last run's scaler
+    window.__dbscan._last = {
+      Xraw: X,
+      Xscaled: out.Xscaled,
+      labels: out.labels,
+      corePoints: out.corePoints,
+      scaler: out.scaler,
+      metric: out.summary.metric,
+      eps: out.eps,
+      coreRadii: out.coreRadii || null,
+      minPts: out.minPts,
+      summary: out.summary,
+      indexType: out.summary.index,
+    };
+    dbscan_X = X;
+    dbscan_labels = out.labels;
+    dbscan_corePoints = out.corePoints;
+    dbscan_eps = out.eps;
+    dbscan_coreRadii = out.coreRadii || null;
+    dbscan_metric = out.summary.metric || "euclidean";
+    dbscan_features = data.features;
+    dbscan_domainMap = data.domainMap;
+    dbscan_lastFileName = fileName;
+
+    // Name each cluster from its members' text (Phishing / Promo / Other)
+    const members = {};
+    dbscan_labels.forEach((lbl, idx) => {
+      (members[lbl] = members[lbl] || []).push({ body: data.bodies[idx] });
+    });
+    dbscan_clusterNames = {};
+    for (const k of Object.keys(members))
+      dbscan_clusterNames[k] =
+        k === "-1"
+          ? "Noise / Outlier"
+          : window.__dbscan.determineClusterLabel(members[k]);
+
+    // Build summary
+    const counts = {};
+    for (const lbl of dbscan_labels) counts[lbl] = (counts[lbl] || 0) + 1;
+    const clusterSummary = Object.keys(counts)
+      .sort((a, b) => Number(a) - Number(b))
+      .map((k) => `${k} (${dbscan_clusterNames[k]}): ${counts[k]} items`)
+      .join("\n");
+
+    // show small representative examples per cluster (up to 2)
+    const clusterExamples = {};
+    dbscan_labels.forEach((lbl, idx) => {
+      clusterExamples[lbl] = clusterExamples[lbl] || [];
+      if (clusterExamples[lbl].length < 2)
+        clusterExamples[lbl].push(texts[idx] || "(no text)");
+    });
+    let examplesText = "";
+    for (const k of Object.keys(clusterExamples)) {
+      examplesText += `Cluster ${k} — ${dbscan_clusterNames[k]} (${counts[k]}):\n`;
+      clusterExamples[k].forEach((ex, i) => {
+        examplesText += ` - ${ex.slice(0, 140).replace(/\n/g, " ")}\n`;
+      });
+      examplesText += "\n";
+    }
+
+    dbscanClustersEl.textContent = `File: ${fileName}\nAlgorithm: ${DBSCAN_ALGORITHMS[algorithm]}, metric: ${dbscan_metric}, features: ${dbscan_features}\nClusters summary:\n${clusterSummary}\n\nExamples:\n${examplesText}`;
+    dbscanStatusEl &&
+      (dbscanStatusEl.textContent = `${
+        DBSCAN_ALGORITHMS[algorithm]
+      } finished — ${
+        Object.keys(counts).length
+      } distinct labels (including -1 noise), ${dbscan_metric} distance, ${
+        out.summary.index
+      } index, assignment radius ${Number(out.eps).toFixed(3)}.`);
+  }
+
+  // OPTICS reachability plot in cluster order; valleys are clusters. A click cuts the
+  // ordering at that reachability (new eps) without rerunning OPTICS.
+  function renderReachabilityPlot(data, run, fileName) {
+    if (!dbscanReachabilityChartEl || !window.renderCurveChart) return;
+    const reach = run.ordering.map((p) => run.reachability[p]);
+    const finite = reach.filter(isFinite);
+    const top = (finite.length ? Math.max(...finite) : 0) * 1.05 || 1;
+    // the highest point of each bucket keeps the cluster boundaries visible
+    const step = Math.max(1, Math.ceil(reach.length / KDIST_MAX_POINTS));
+    const points = [];
+    for (let i = 0; i < reach.length; i += step) {
+      let k = i;
+      for (let j = i; j < Math.min(reach.length, i + step); j++)
+        if (reach[j] > reach[k]) k = j;
+      points.push({
+        x: k + 1,
+        y: Math.min(reach[k], top),
+        threshold: reach[k],
+      });
+    }
+    window.renderCurveChart(dbscanReachabilityChartEl, {
+      title: `OPTICS reachability (cut eps ${run.eps.toFixed(3)})`,
+      points,
+      xLabel: "Cluster order",
+      yLabel: "Reachability distance",
+      xMax: reach.length,
+      yMax: top,
+      onPick: (point) => {
+        const eps = point.threshold;
+        if (dbscanEpsInput) dbscanEpsInput.value = eps.toFixed(3);
+        const cut = window.__dbscan.extractOpticsClusters(run, eps);
+        const counts = {};
+        for (const lbl of cut.labels) counts[lbl] = (counts[lbl] || 0) + 1;
+        const out = Object.assign({}, run, cut, {
+          eps,
+          summary: Object.assign({}, run.summary, { counts, eps }),
+        });
+        showClustering(data, out, fileName);
+        renderReachabilityPlot(data, out, fileName);
+      },
+    });
+  }
+
   // Hook DBSCAN upload button
   if (dbscanRunBtn && dbscanUploadEl) {
     dbscanRunBtn.addEventListener("click", async () => {
@@ -431,55 +2249,144 @@ Aydın`;
       }
       dbscanStatusEl && (dbscanStatusEl.textContent = `Parsing ${f.name} ...`);
       try {
-        const parsed = await parseUploadedFile(f);
+        const parsed = await parseUploadedFile(
+          f,
+          csvMappingFor(dbscanUploadEl, f)
+        );
         const arr = parsed.data;
-        const { X, texts } = buildXFromDataArray(arr);
-        // Run DBSCAN
+        const data = clusteringDataset(arr);
+        const { X, metric } = data;
+        // Run DBSCAN / OPTICS (eps is the cluster cut) / HDBSCAN (minPts is minSamples)
+        const algorithm =
+          dbscanAlgorithmEl && DBSCAN_ALGORITHMS[dbscanAlgorithmEl.value]
+            ? dbscanAlgorithmEl.value
+            : "dbscan";
+        const name = DBSCAN_ALGORITHMS[algorithm];
         const eps = Number(dbscanEpsInput ? dbscanEpsInput.value : 2.0);
         const minPts = Number(dbscanMinPtsInput ? dbscanMinPtsInput.value : 4);
+        const minClusterSize = Number(
+          dbscanMinClusterSizeInput ? dbscanMinClusterSizeInput.value : 5
+        );
+        const index = dbscanIndexEl ? dbscanIndexEl.value : "auto";
         dbscanStatusEl &&
-          (dbscanStatusEl.textContent = `Running DBSCAN (eps=${eps}, minPts=${minPts}) on ${X.length} rows...`);
-        const out = window.__dbscan.dbscan(X, eps, minPts);
-        dbscan_X = X;
-        dbscan_labels = out.labels;
-        dbscan_corePoints = out.corePoints;
-        dbscan_lastFileName = f.name;
-
-        // Build summary
-        const counts = {};
-        for (const lbl of dbscan_labels) counts[lbl] = (counts[lbl] || 0) + 1;
-        const clusterSummary = Object.keys(counts)
-          .sort((a, b) => Number(a) - Number(b))
-          .map((k) => `${k}: ${counts[k]} items`)
-          .join("\n");
-
-        // show small representative examples per cluster (up to 2)
-        const clusterExamples = {};
-        dbscan_labels.forEach((lbl, idx) => {
-          clusterExamples[lbl] = clusterExamples[lbl] || [];
-          if (clusterExamples[lbl].length < 2)
-            clusterExamples[lbl].push(texts[idx] || "(no text)");
-        });
-        let examplesText = "";
-        for (const k of Object.keys(clusterExamples)) {
-          examplesText += `Cluster ${k} (${counts[k]}):\n`;
-          clusterExamples[k].forEach((ex, i) => {
-            examplesText += ` - ${ex.slice(0, 140).replace(/\n/g, " ")}\n`;
-          });
-          examplesText += "\n";
-        }
+          (dbscanStatusEl.textContent =
+            algorithm === "hdbscan"
+              ? `Running HDBSCAN (minClusterSize=${minClusterSize}, minSamples=${minPts}) on ${X.length} rows...`
+              : `Running ${name} (eps=${eps}, minPts=${minPts}) on ${X.length} rows...`);
+        if (dbscanProgressEl) dbscanProgressEl.value = 0;
+        dbscanRunBtn.disabled = true;
+        const out = await runTask(
+          algorithm,
+          { X, eps, minPts, minClusterSize, index, metric },
+          dbscanCancelBtn,
+          ({ done, total, phase }) => {
+            if (dbscanProgressEl) dbscanProgressEl.value = done / total;
+            dbscanStatusEl &&
+              (dbscanStatusEl.textContent = `Running ${name}${
+                phase ? ` (${phase})` : ""
+              } — ${done}/${total} points (${Math.round(
+                (done / total) * 100
+              )}%)`);
+          }
+        );
+        if (out.eps === undefined) out.eps = eps;
+        out.minPts = minPts;
+        showClustering(data, out, f.name);
+        if (algorithm === "optics") renderReachabilityPlot(data, out, f.name);
+        else if (dbscanReachabilityChartEl)
+          dbscanReachabilityChartEl.innerHTML = "";
+      } catch (err) {
+        console.warn("DBSCAN upload/run failed:", err);
+        dbscanStatusEl &&
+          (dbscanStatusEl.textContent = err.cancelled
+            ? "Clustering cancelled."
+            : `Failed to parse or cluster: ${String(err.message || err)}`);
+      } finally {
+        dbscanRunBtn.disabled = false;
+      }
+    });
+  }
 
-        dbscanClustersEl.textContent = `File: ${f.name}\nClusters summary:\n${clusterSummary}\n\nExamples:\n${examplesText}`;
+  // k-distance graph of the uploaded dataset: the knee fills dbscan-eps, a click on
+  // the plot picks another eps
+  const KDIST_MAX_POINTS = 400; // plotted points; the knee is always among them
+  function renderKDistanceGraph(graph, picked) {
+    if (!dbscanKdistChartEl || !window.renderCurveChart) return;
+    const n = graph.distances.length;
+    const step = Math.max(1, Math.ceil(n / KDIST_MAX_POINTS));
+    const points = [];
+    graph.distances.forEach((d, i) => {
+      if (i % step === 0 || i === n - 1 || i === graph.knee)
+        points.push({ x: i + 1, y: d, threshold: d });
+    });
+    const marker = picked || points.find((p) => p.x === graph.knee + 1);
+    window.renderCurveChart(dbscanKdistChartEl, {
+      title: `${graph.k}-distance graph (knee eps ${graph.eps.toFixed(3)})`,
+      points,
+      xLabel: "Points sorted by k-distance",
+      yLabel: `${graph.k}-NN distance (scaled)`,
+      xMax: n,
+      yMax: graph.distances[n - 1] || 1,
+      marker,
+      onPick: (point) => {
+        if (dbscanEpsInput) dbscanEpsInput.value = point.threshold.toFixed(3);
         dbscanStatusEl &&
-          (dbscanStatusEl.textContent = `DBSCAN finished — ${
-            Object.keys(counts).length
-          } distinct labels (including -1 noise).`);
+          (dbscanStatusEl.textContent = `eps = ${point.threshold.toFixed(
+            3
+          )} picked from the k-distance graph (point ${point.x}/${n}).`);
+        renderKDistanceGraph(graph, point);
+      },
+    });
+  }
+
+  if (dbscanKdistBtn && dbscanUploadEl) {
+    dbscanKdistBtn.addEventListener("click", async () => {
+      const f = dbscanUploadEl.files && dbscanUploadEl.files[0];
+      if (!f) {
+        dbscanStatusEl &&
+          (dbscanStatusEl.textContent = "Choose a .json or .csv file first.");
+        return;
+      }
+      dbscanStatusEl && (dbscanStatusEl.textContent = `Parsing ${f.name} ...`);
+      dbscanKdistBtn.disabled = true;
+      try {
+        const parsed = await parseUploadedFile(
+          f,
+          csvMappingFor(dbscanUploadEl, f)
+        );
+        const { X, metric } = clusteringDataset(parsed.data);
+        if (X.length < 2) throw new Error("need at least 2 rows");
+        const minPts = Number(dbscanMinPtsInput ? dbscanMinPtsInput.value : 4);
+        const index = dbscanIndexEl ? dbscanIndexEl.value : "auto";
+        if (dbscanProgressEl) dbscanProgressEl.value = 0;
+        const graph = await runTask(
+          "kDistance",
+          { X, minPts, index, metric },
+          dbscanCancelBtn,
+          ({ done, total }) => {
+            if (dbscanProgressEl) dbscanProgressEl.value = done / total;
+            dbscanStatusEl &&
+              (dbscanStatusEl.textContent = `k-distance graph — ${done}/${total} points (${Math.round(
+                (done / total) * 100
+              )}%)`);
+          }
+        );
+        if (dbscanEpsInput) dbscanEpsInput.value = graph.eps.toFixed(3);
+        renderKDistanceGraph(graph);
+        dbscanStatusEl &&
+          (dbscanStatusEl.textContent = `Suggested eps = ${graph.eps.toFixed(
+            3
+          )} (knee of the ${graph.k}-distance graph, point ${graph.knee + 1}/${
+            X.length
+          }). Click the plot to pick another eps.`);
       } catch (err) {
-        console.warn("DBSCAN upload/run failed:", err);
+        console.warn("k-distance graph failed:", err);
         dbscanStatusEl &&
-          (dbscanStatusEl.textContent = `Failed to parse or cluster: ${String(
-            err.message || err
-          )}`);
+          (dbscanStatusEl.textContent = err.cancelled
+            ? "k-distance graph cancelled."
+            : `k-distance graph failed: ${String(err.message || err)}`);
+      } finally {
+        dbscanKdistBtn.disabled = false;
       }
     });
   }
@@ -493,31 +2400,27 @@ Aydın`;
     });
   }
 
-  // Try to load RF automatically at startup
-  tryLoadRF();
-
-  // Expose small helper to manually (re)load RF model from a provided path
-  window.rfLoadFrom = async function (path) {
-    if (!window.BrowserRF) throw new Error("BrowserRF not available");
-    try {
-      rfStatusEl && (rfStatusEl.textContent = `Loading ${path} ...`);
-      await rf.load(path);
-      rfStatusEl &&
-        (rfStatusEl.textContent = `RandomForest loaded from ${path}`);
-      rfInfoEl && (rfInfoEl.textContent = `Model loaded from ${path}`);
-    } catch (e) {
-      rfStatusEl && (rfStatusEl.textContent = `RF load failed: ${e.message}`);
-      throw e;
-    }
-  };
+  // rf_loader.js loads models (auto-load, file input, rfLoadFrom / rfLoadFromObject); move the
+  // threshold slider to whatever threshold the new model declares and keep the model in the
+  // registry (unless it was just loaded from there)
+  document.addEventListener("rf-model-loaded", (ev) => {
+    syncThresholdFromModel();
+    const { rf: loaded, source } = ev.detail || {};
+    if (!registry_activating && loaded)
+      registerModel("rf", loaded, rfRegistryName(loaded, source), source);
+  });
 
   // Expose a small API to run RF predict manually
   window.rfPredict = function (text, meta) {
+    if (rf && rf.loaded)
+      return rf.predictOne(rfFeatureVector(text, meta || {}), {
+        threshold: rfThreshold(),
+      });
     const features = window.extractExtendedFeatures
       ? window.extractExtendedFeatures(text, meta)
       : [];
-    if (rf && rf.loaded) return rf.predictOne(features);
-    return { pred: heuristicPredict(features), probs: [1, 0] };
+    // heuristic reads the 20 text features (word counts + capital runs)
+    return { pred: heuristicPredict(features.slice(0, 20)), probs: [1, 0] };
   };
 
   // Initial cosmetic setup for result cards
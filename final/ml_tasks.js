@@ -0,0 +1,344 @@
+// ml_tasks.js
+// Long-running work (DBSCAN, batch scoring, SVM / RF training, CV grid search) as
+// message-passing tasks.
+// Each task runs in its own Web Worker (ml_worker.js); cancelling terminates that worker.
+// Where workers are unavailable (file:// pages, worker script failing to load) the same
+// handlers run in the page, and cancellation is checked between progress steps.
+// - page -> worker: { type, payload }
+// - worker -> page: { event: "progress", progress } | { event: "result", result }
+//                   | { event: "error", error }
+//
+// Exposes:
+//   window.ML_TASKS                        -> { dbscan, optics, hdbscan, kDistance, trainSvm, trainRf,
+//                                               gridSearch, batch }:
+//                                             (payload, ctx) handlers
+//   window.runMlTask(type, payload, opts)  -> { promise, cancel(), inWorker }; opts.onProgress(progress)
+//   window.makeBatchScorers(models)        -> { svm, rf, dbscan } scorers for scoreEmailBatch
+//   window.serializeBatchModels(models)    -> cloneable snapshot for the worker, or null
+//   window.heuristicPredict(features)      -> 0/1 keyword/caps rule used when no SVM is trained
+//
+// models: { svm, rf (BrowserRF), rfThreshold, rfAggregate,
+//           dbscan: { X, labels, corePoints, eps, coreRadii, metric, features, domainMap, clusterNames } | null }
+// A cancelled task rejects with an Error whose .cancelled is true.
+
+(function (global) {
+  const WORKER_URL = "ml_worker.js";
+
+  function cancelledError() {
+    const err = new Error("Task cancelled");
+    err.cancelled = true;
+    return err;
+  }
+
+  function heuristicPredict(features) {
+    const longestRun = features.length >= 2 ? features[features.length - 2] : 0;
+    const totalCaps = features.length >= 1 ? features[features.length - 1] : 0;
+    const wordCounts = features.slice(0, Math.max(0, features.length - 2));
+    const wordScore = wordCounts.reduce((s, v) => s + v, 0);
+    const capsScore = longestRun * 0.25 + totalCaps * 0.02;
+    const score = wordScore + capsScore;
+    return score >= 3.5 ? 1 : 0;
+  }
+
+  // Feature-row emails (no text) use the row's own columns
+  function rowVectorForRF(rf, row) {
+    if (Array.isArray(rf.featureNames) && rf.featureNames.length)
+      return rf.featureNames.map((n) => Number(row[n]) || 0);
+    return global.featuresFromRow(row);
+  }
+
+  function rfVectorForEmail(models, email) {
+    if (!email.text) return rowVectorForRF(models.rf, email.row);
+    if (global.buildVectorForModel)
+      return global.buildVectorForModel(models.rf, email.text, email.meta, {
+        aggregate: models.rfAggregate,
+      });
+    return global.extractExtendedFeatures(email.text, email.meta);
+  }
+
+  function makeBatchScorers(models) {
+    return {
+      svm(email) {
+        const features = email.text
+          ? global.extractFeaturesFromEmail(email.text)
+          : global.featuresFromRow(email.row).slice(0, 20);
+        const model = models.svm;
+        if (model && typeof model.predictOne === "function") {
+          const { pred, score } = model.predictOne(features);
+          return { svm_verdict: pred === 1 ? "spam" : "ham", svm_score: score };
+        }
+        if (model && typeof model.predict === "function") {
+          const out = model.predict([features]);
+          const pred = Array.isArray(out) ? Number(out[0]) : Number(out);
+          return { svm_verdict: pred === 1 ? "spam" : "ham", svm_score: null };
+        }
+        return {
+          svm_verdict: heuristicPredict(features) === 1 ? "spam*" : "ham*",
+          svm_score: null,
+        };
+      },
+      rf(email) {
+        const rf = models.rf;
+        if (!rf || !rf.loaded) return { rf_verdict: null, rf_prob: null };
+        const { pred, probs } = rf.predictOne(rfVectorForEmail(models, email), {
+          threshold: models.rfThreshold,
+        });
+        return {
+          rf_verdict: pred === 1 ? "phishing" : "legit",
+          rf_prob: probs.length > 1 ? probs[1] : null,
+        };
+      },
+      dbscan(email) {
+        const d = models.dbscan;
+        if (!d || !d.X || !d.labels || !global.__dbscan)
+          return {
+            dbscan_cluster: null,
+            dbscan_label: null,
+            dbscan_dist: null,
+          };
+        const assign = global.__dbscan.assignByNearestCore(
+          d.X,
+          d.labels,
+          d.corePoints,
+          d.eps,
+          global.__dbscan.emailPoint(email, d),
+          d.metric,
+          d.coreRadii
+        );
+        return {
+          dbscan_cluster: assign.cluster === -1 ? "noise" : assign.cluster,
+          dbscan_label:
+            assign.cluster === -1
+              ? "Noise / Outlier"
+              : (d.clusterNames && d.clusterNames[assign.cluster]) || null,
+          dbscan_dist: assign.dist,
+        };
+      },
+    };
+  }
+
+  // Models as plain data: LinearSVM JSON and the BrowserRF source object. null when a
+  // model cannot be rebuilt in the worker (e.g. an ml-svm library model).
+  function serializeBatchModels(models) {
+    const snapshot = {
+      serialized: true,
+      svm: null,
+      rf: null,
+      rfThreshold: models.rfThreshold,
+      rfAggregate: models.rfAggregate,
+      dbscan: models.dbscan,
+    };
+    if (models.svm) {
+      if (!global.LinearSVM || !(models.svm instanceof global.LinearSVM))
+        return null;
+      snapshot.svm = models.svm.toJSON();
+    }
+    if (models.rf && models.rf.loaded) {
+      if (!models.rf.source) return null;
+      snapshot.rf = { source: models.rf.source, voting: models.rf.voting };
+    }
+    return snapshot;
+  }
+
+  function deserializeBatchModels(snapshot) {
+    const models = Object.assign({}, snapshot, { svm: null, rf: null });
+    if (snapshot.svm) models.svm = global.LinearSVM.fromJSON(snapshot.svm);
+    if (snapshot.rf) {
+      models.rf = new global.BrowserRF();
+      models.rf.loadFromObject(snapshot.rf.source);
+      models.rf.voting = snapshot.rf.voting || "soft";
+    }
+    // assignByNearestCore reads the scaler and metric of the last clustering run
+    const d = snapshot.dbscan;
+    if (d && d.X && global.__dbscan && !global.__dbscan._last) {
+      const space = global.__dbscan.metricSpace(d.X, d.metric);
+      global.__dbscan._last = {
+        Xraw: d.X,
+        Xscaled: space.X,
+        labels: d.labels,
+        corePoints: d.corePoints,
+        scaler: space.scaler,
+        metric: space.metric.name,
+        eps: d.eps,
+        coreRadii: d.coreRadii,
+      };
+    }
+    return models;
+  }
+
+  // onProgress for the handlers: once an in-page run is cancelled, the next progress
+  // step throws (a worker run is simply terminated)
+  function progressUnlessCancelled(ctx) {
+    return (p) => {
+      if (ctx.cancelled()) throw cancelledError();
+      ctx.progress(p);
+    };
+  }
+
+  // Handlers: ctx = { progress(obj), cancelled() -> bool }
+  const ML_TASKS = {
+    // { X, eps, minPts, index, metric } -> { labels, corePoints, scaler, Xscaled, summary }
+    dbscan(payload, ctx) {
+      const { X, eps, minPts, index, metric } = payload;
+      const out = global.__dbscan.dbscan(X, eps, minPts, {
+        index,
+        metric,
+        onProgress: progressUnlessCancelled(ctx),
+      });
+      return {
+        labels: out.labels,
+        corePoints: out.corePoints,
+        scaler: out.scaler,
+        Xscaled: out.Xscaled,
+        summary: out.summary,
+      };
+    },
+    // { X, eps (cluster cut), minPts, index, metric } -> dbscan fields + { eps, ordering,
+    //   reachability, coreDistances }
+    optics(payload, ctx) {
+      const { X, eps, minPts, index, metric } = payload;
+      return global.__dbscan.optics(X, minPts, {
+        eps,
+        index,
+        metric,
+        onProgress: progressUnlessCancelled(ctx),
+      });
+    },
+    // { X, minClusterSize, minPts (minSamples), index, metric } -> dbscan fields + { eps, probabilities }
+    hdbscan(payload, ctx) {
+      const { X, minClusterSize, minPts, index, metric } = payload;
+      return global.__dbscan.hdbscan(X, minClusterSize, {
+        minSamples: minPts,
+        index,
+        metric,
+        onProgress: progressUnlessCancelled(ctx),
+      });
+    },
+    // { X, minPts, index, metric } -> { distances, k, knee, eps, index, metric } (k-distance graph)
+    kDistance(payload, ctx) {
+      const { X, minPts, index, metric } = payload;
+      return global.__dbscan.kDistanceGraph(X, minPts, {
+        index,
+        metric,
+        onProgress: progressUnlessCancelled(ctx),
+      });
+    },
+    // { X, y, options } -> LinearSVM JSON
+    async trainSvm(payload, ctx) {
+      const model = new global.LinearSVM(payload.options);
+      await model.fitAsync(payload.X, payload.y, {
+        onProgress: progressUnlessCancelled(ctx),
+      });
+      return model.toJSON();
+    },
+    // { X, y, featureNames, options, extra } -> rf_model.json object
+    async trainRf(payload, ctx) {
+      const trainer = new global.RandomForestTrainer(payload.options);
+      await trainer.fitAsync(payload.X, payload.y, {
+        featureNames: payload.featureNames,
+        onProgress: progressUnlessCancelled(ctx),
+      });
+      return trainer.toModel(payload.extra);
+    },
+    // { model: "svm" | "rf", X, y, spec, k, metric, featureNames } -> gridSearch result
+    // (cross_validation.js)
+    gridSearch(payload, ctx) {
+      const { model, X, y, spec, k, metric, featureNames } = payload;
+      return global.gridSearch(global.cvAdapters[model], X, y, spec, {
+        k,
+        metric,
+        featureNames,
+        onProgress: progressUnlessCancelled(ctx),
+      });
+    },
+    // { emails, models (snapshot, or live models in the page) } -> result rows
+    async batch(payload, ctx) {
+      const models = payload.models.serialized
+        ? deserializeBatchModels(payload.models)
+        : payload.models;
+      return global.scoreEmailBatch(payload.emails, makeBatchScorers(models), {
+        onProgress: progressUnlessCancelled(ctx),
+      });
+    },
+  };
+
+  // opts.inline forces the in-page path (for models that cannot be sent to a worker)
+  function runMlTask(type, payload, opts = {}) {
+    const onProgress =
+      typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+    let worker = null;
+    if (!opts.inline && typeof Worker === "function") {
+      try {
+        worker = new Worker(WORKER_URL);
+      } catch (e) {
+        console.warn("ml_tasks: worker unavailable, running in page:", e);
+      }
+    }
+    let cancelled = false;
+    let rejectTask = null;
+
+    function runInline(resolve, reject) {
+      const ctx = { progress: onProgress, cancelled: () => cancelled };
+      Promise.resolve()
+        .then(() => ML_TASKS[type](payload, ctx))
+        .then((result) =>
+          cancelled ? reject(cancelledError()) : resolve(result)
+        )
+        .catch(reject);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      rejectTask = reject;
+      if (!ML_TASKS[type]) {
+        reject(new Error(`Unknown task: ${type}`));
+        return;
+      }
+      if (!worker) {
+        runInline(resolve, reject);
+        return;
+      }
+      let heardBack = false;
+      worker.onmessage = (ev) => {
+        const msg = ev.data || {};
+        heardBack = true;
+        if (msg.event === "progress") {
+          onProgress(msg.progress);
+          return;
+        }
+        worker.terminate();
+        if (msg.event === "result") resolve(msg.result);
+        else reject(new Error(msg.error || "Worker task failed"));
+      };
+      worker.onerror = (ev) => {
+        worker.terminate();
+        if (ev && typeof ev.preventDefault === "function") ev.preventDefault();
+        // the worker script itself failed to load: fall back to the page
+        if (!heardBack && !cancelled) {
+          console.warn("ml_tasks: worker failed, running in page:", ev.message);
+          worker = null;
+          runInline(resolve, reject);
+          return;
+        }
+        reject(new Error((ev && ev.message) || "Worker task failed"));
+      };
+      worker.postMessage({ type, payload });
+    });
+
+    function cancel() {
+      if (cancelled) return;
+      cancelled = true;
+      if (worker) {
+        worker.terminate();
+        rejectTask(cancelledError());
+      }
+    }
+
+    return { promise, cancel, inWorker: !!worker };
+  }
+
+  global.ML_TASKS = ML_TASKS;
+  global.runMlTask = runMlTask;
+  global.makeBatchScorers = makeBatchScorers;
+  global.serializeBatchModels = serializeBatchModels;
+  global.heuristicPredict = heuristicPredict;
+})(window);
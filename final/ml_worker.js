@@ -0,0 +1,59 @@
+// ml_worker.js
+// Web Worker entry for ml_tasks.js. Loads the feature / model scripts, runs the task
+// named in the message and posts progress events and the result back to the page.
+// One task per worker: the page terminates the worker to cancel.
+//
+// Messages in:  { type, payload }  (type is a key of window.ML_TASKS)
+// Messages out: { event: "progress", progress } | { event: "result", result }
+//               | { event: "error", error }
+
+// The page scripts attach their exports to window
+self.window = self;
+importScripts(
+  "public_suffix_list.js",
+  "public_suffix.js",
+  "lookalike.js",
+  "features.js",
+  "html_email.js",
+  "eml_parser.js",
+  "svm_trainer.js",
+  "rf_feature_adapter.js",
+  "rf_importers.js",
+  "rf_schema.js",
+  "rf_predictor.js",
+  "rf_trainer.js",
+  "neighbor_index.js",
+  "distance_metrics.js",
+  "dbscan.js",
+  "optics_hdbscan.js",
+  "batch.js",
+  "evaluation.js",
+  "cross_validation.js",
+  "ml_tasks.js"
+);
+
+(function (global) {
+  global.onmessage = async (ev) => {
+    const { type, payload } = ev.data || {};
+    const task = global.ML_TASKS[type];
+    if (!task) {
+      global.postMessage({ event: "error", error: `Unknown task: ${type}` });
+      return;
+    }
+    const ctx = {
+      progress: (progress) =>
+        global.postMessage({ event: "progress", progress }),
+      cancelled: () => false,
+    };
+    try {
+      const result = await task(payload, ctx);
+      global.postMessage({ event: "result", result });
+    } catch (err) {
+      // the page reports the failure; cancellations never get here (the worker is terminated)
+      global.postMessage({
+        event: "error",
+        error: String((err && err.message) || err),
+      });
+    }
+  };
+})(self);
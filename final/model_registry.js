@@ -0,0 +1,255 @@
+// model_registry.js
+// Local model registry: uploaded and trained SVM / RandomForest models are kept in
+// IndexedDB, so a page reload no longer forgets them.
+// - entry: { id, kind: "rf" | "svm", name, version, source, created, checksum,
+//            featureSchema: { names: string[] | null, count }, metrics, model }
+//   model is the plain object the live model is rebuilt from (BrowserRF source object,
+//   LinearSVM JSON); metrics is null until an evaluation / comparison has run:
+//   { accuracy, precision, recall, f1, auc, threshold, rows, dataset, evaluated }
+// - registering under an existing name adds the next version; the same content (checksum)
+//   under the same name returns the stored entry instead of a duplicate
+// - without IndexedDB (private windows, file:// in some browsers) entries live in memory
+//   for the session and registry.persistent is false
+// - the active model of each tab (SVM / RF) is remembered in sessionStorage: every browser
+//   tab picks its own, and a reload restores it
+//
+// Exposes:
+//   window.openModelRegistry()                -> Promise<registry> (opened once, then shared)
+//     registry.list(kind?)                    -> Promise<[entry]>, newest first
+//     registry.get(id) / registry.remove(id)  -> Promise<entry | null> / Promise<void>
+//     registry.register({ kind, name, source, model (live BrowserRF / LinearSVM) })
+//                                             -> Promise<entry>
+//     registry.setMetrics(id, metrics)        -> Promise<entry>
+//   window.instantiateRegistryModel(entry)    -> new BrowserRF / LinearSVM loaded from entry
+//   window.describeRegistryEntry(entry)       -> "browser_rf v2 (rf)"
+//   window.activeRegistryId(kind)             -> id | null for this tab
+//   window.setActiveRegistryId(kind, id)      -> id null clears it
+
+(function (global) {
+  const DB_NAME = "email-ml-suite";
+  const DB_VERSION = 1;
+  const STORE = "models";
+  const KINDS = ["rf", "svm"];
+  const ACTIVE_KEY = "email-ml-suite.active-model.";
+
+  // FNV-1a over the model JSON: cheap content identity for de-duplication
+  function modelChecksum(obj) {
+    const s = JSON.stringify(obj);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < s.length; i++) {
+      h ^= s.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, "0");
+  }
+
+  // Live model -> { model (plain object), featureSchema }
+  function serializeModel(kind, model) {
+    if (kind === "rf") {
+      if (!model || !model.loaded || !model.source)
+        throw new Error("RandomForest model is not loaded");
+      const stats = model.describe ? model.describe() : null;
+      return {
+        model: model.source,
+        featureSchema: {
+          names: model.featureNames || null,
+          count: stats ? stats.features : (model.featureNames || []).length,
+        },
+      };
+    }
+    if (!global.LinearSVM || !(model instanceof global.LinearSVM))
+      throw new Error("Only in-page LinearSVM models can be registered");
+    const json = model.toJSON();
+    return {
+      model: json,
+      featureSchema: { names: null, count: json.weights.length },
+    };
+  }
+
+  function instantiateRegistryModel(entry) {
+    if (entry.kind === "rf") {
+      const rf = new global.BrowserRF();
+      rf.loadFromObject(entry.model);
+      return rf;
+    }
+    return global.LinearSVM.fromJSON(entry.model);
+  }
+
+  function describeRegistryEntry(entry) {
+    return `${entry.name} v${entry.version} (${entry.kind})`;
+  }
+
+  // --- storage backends: all() / get(id) / add(entry) -> id / put(entry) / delete(id) ---
+
+  function memoryStore() {
+    const entries = new Map();
+    let nextId = 1;
+    return {
+      persistent: false,
+      async all() {
+        return Array.from(entries.values());
+      },
+      async get(id) {
+        return entries.get(id) || null;
+      },
+      async add(entry) {
+        const id = nextId++;
+        entries.set(id, Object.assign({}, entry, { id }));
+        return id;
+      },
+      async put(entry) {
+        entries.set(entry.id, entry);
+      },
+      async delete(id) {
+        entries.delete(id);
+      },
+    };
+  }
+
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const req = global.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE))
+          db.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () =>
+        reject(
+          new Error("Model registry is open in an older version of the page")
+        );
+    });
+  }
+
+  function indexedDbStore(db) {
+    // Resolves with the request's result once the transaction has committed
+    function run(mode, makeRequest) {
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const req = makeRequest(tx.objectStore(STORE));
+        let result;
+        req.onsuccess = () => (result = req.result);
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () =>
+          reject(tx.error || new Error("Model registry write aborted"));
+      });
+    }
+    return {
+      persistent: true,
+      all: () => run("readonly", (s) => s.getAll()),
+      get: (id) => run("readonly", (s) => s.get(id)).then((e) => e || null),
+      add: (entry) => run("readwrite", (s) => s.add(entry)),
+      put: (entry) => run("readwrite", (s) => s.put(entry)),
+      delete: (id) => run("readwrite", (s) => s.delete(id)),
+    };
+  }
+
+  function createRegistry(store) {
+    return {
+      persistent: store.persistent,
+
+      async list(kind) {
+        const entries = await store.all();
+        return entries
+          .filter((e) => !kind || e.kind === kind)
+          .sort((a, b) => b.id - a.id);
+      },
+
+      get(id) {
+        return store.get(id);
+      },
+
+      async register(info) {
+        if (!KINDS.includes(info.kind))
+          throw new Error(`Unknown model kind: ${info.kind}`);
+        const { model, featureSchema } = serializeModel(info.kind, info.model);
+        const name = String(info.name || "").trim() || info.kind;
+        const checksum = modelChecksum(model);
+        const sameName = (await store.all()).filter(
+          (e) => e.kind === info.kind && e.name === name
+        );
+        const existing = sameName.find((e) => e.checksum === checksum);
+        if (existing) return existing;
+        const entry = {
+          kind: info.kind,
+          name,
+          version: sameName.reduce((v, e) => Math.max(v, e.version), 0) + 1,
+          source: info.source || null,
+          created: new Date().toISOString(),
+          checksum,
+          featureSchema,
+          metrics: null,
+          model,
+        };
+        entry.id = await store.add(entry);
+        return entry;
+      },
+
+      async setMetrics(id, metrics) {
+        const entry = await store.get(id);
+        if (!entry) throw new Error(`Model ${id} is not in the registry`);
+        entry.metrics = Object.assign(
+          { evaluated: new Date().toISOString() },
+          metrics
+        );
+        await store.put(entry);
+        return entry;
+      },
+
+      remove(id) {
+        return store.delete(id);
+      },
+    };
+  }
+
+  let opening = null;
+  function openModelRegistry() {
+    if (!opening)
+      opening = (
+        global.indexedDB
+          ? openDatabase().then(indexedDbStore, (err) => {
+              console.warn(
+                "model_registry: IndexedDB unavailable, keeping models in memory:",
+                err
+              );
+              return memoryStore();
+            })
+          : Promise.resolve(memoryStore())
+      ).then(createRegistry);
+    return opening;
+  }
+
+  // --- active model per tab (sessionStorage, absent in some sandboxed pages) ---
+
+  // without sessionStorage the choice lasts until the page is closed
+  const activeFallback = {};
+
+  function activeRegistryId(kind) {
+    try {
+      const v = global.sessionStorage.getItem(ACTIVE_KEY + kind);
+      return v ? Number(v) : null;
+    } catch (e) {
+      return activeFallback[kind] || null;
+    }
+  }
+
+  function setActiveRegistryId(kind, id) {
+    const value = id === null || id === undefined ? null : Number(id);
+    activeFallback[kind] = value;
+    try {
+      if (value === null) global.sessionStorage.removeItem(ACTIVE_KEY + kind);
+      else global.sessionStorage.setItem(ACTIVE_KEY + kind, String(value));
+    } catch (e) {
+      // keep activeFallback only
+    }
+  }
+
+  global.openModelRegistry = openModelRegistry;
+  global.instantiateRegistryModel = instantiateRegistryModel;
+  global.describeRegistryEntry = describeRegistryEntry;
+  global.activeRegistryId = activeRegistryId;
+  global.setActiveRegistryId = setActiveRegistryId;
+})(window);
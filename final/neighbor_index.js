@@ -0,0 +1,327 @@
+// neighbor_index.js
+// Spatial indexes for fixed-radius and nearest-neighbor queries over numeric vectors
+// (DBSCAN regionQuery and nearest-core assignment in dbscan.js).
+// Every index answers exactly like a brute-force scan: node bounds only prune, the final
+// test uses the same distance function, and neighbor lists come back in ascending index
+// order. Ties in nearest() go to the lowest index, as in a first-wins linear scan.
+// - "kdtree":   axis-aligned bounding boxes, median split on the widest dimension
+// - "balltree": centroid + radius nodes; prunes better than boxes in higher dimensions
+// - "grid":     hash grid (cell = eps) over the highest-variance dimensions (at most 3)
+// - "brute":    linear scan
+//
+// Exposes:
+//   window.buildNeighborIndex(X, opts)  -> index
+//   window.NEIGHBOR_INDEX_TYPES         -> ["auto", "kdtree", "balltree", "grid", "brute"]
+//
+// opts: { type ("auto": kdtree up to 8 dimensions, balltree above), distance (the
+//         distance_metrics.js Euclidean by default), norm (2, 1 or Infinity: the Lp norm distance computes; the KD-tree
+//         box bound uses it, ball and grid bounds hold for any norm), eps (grid cell size),
+//         leafSize }
+// index: { type, size, radius(point, eps, exclude) -> [idx], nearest(point) -> { idx, dist },
+//          knearest(point, k, exclude) -> [{ idx, dist }] closest first }
+
+(function (global) {
+  const NEIGHBOR_INDEX_TYPES = ["auto", "kdtree", "balltree", "grid", "brute"];
+  const KD_MAX_DIMS = 8;
+  const GRID_DIMS = 3;
+  // Bounds are computed with the same float operations as the distance, but a pruned
+  // node must be clearly out of range, never borderline
+  const SLACK = 1e-9;
+
+  const outOfRange = (bound, eps) => bound > eps * (1 + SLACK) + SLACK;
+
+  function dimensionsOf(X) {
+    return X.reduce((m, x) => Math.max(m, x.length), 0);
+  }
+
+  function ascending(a, b) {
+    return a - b;
+  }
+
+  // Keeps the k closest hits seen so far, sorted by (dist, idx)
+  function kBest(k) {
+    const hits = [];
+    return {
+      hits,
+      // distance a candidate must beat (or tie) to enter
+      bound: () => (hits.length < k ? Infinity : hits[hits.length - 1].dist),
+      offer(idx, dist) {
+        if (k <= 0) return;
+        const last = hits[hits.length - 1];
+        if (
+          hits.length >= k &&
+          (dist > last.dist || (dist === last.dist && idx > last.idx))
+        )
+          return;
+        let at = hits.length;
+        while (
+          at > 0 &&
+          (hits[at - 1].dist > dist ||
+            (hits[at - 1].dist === dist && hits[at - 1].idx > idx))
+        )
+          at--;
+        hits.splice(at, 0, { idx, dist });
+        if (hits.length > k) hits.pop();
+      },
+    };
+  }
+
+  // --- brute force ---
+  function bruteIndex(X, distance) {
+    return {
+      type: "brute",
+      size: X.length,
+      radius(point, eps, exclude = -1) {
+        const out = [];
+        for (let j = 0; j < X.length; j++) {
+          if (j === exclude) continue;
+          if (distance(point, X[j]) <= eps) out.push(j);
+        }
+        return out;
+      },
+      nearest(point) {
+        let best = { idx: -1, dist: Infinity };
+        for (let j = 0; j < X.length; j++) {
+          const d = distance(point, X[j]);
+          if (d < best.dist) best = { idx: j, dist: d };
+        }
+        return best;
+      },
+      knearest(point, k, exclude = -1) {
+        const best = kBest(k);
+        for (let j = 0; j < X.length; j++)
+          if (j !== exclude) best.offer(j, distance(point, X[j]));
+        return best.hits;
+      },
+    };
+  }
+
+  // --- trees (shared by kdtree and balltree; only the node bound differs) ---
+  function buildTree(X, idx, leafSize, makeBound) {
+    const m = dimensionsOf(X);
+    const root = { idx };
+    const stack = [root];
+    while (stack.length) {
+      const node = stack.pop();
+      Object.assign(node, makeBound(node.idx));
+      if (node.idx.length <= leafSize) continue;
+      // split at the median of the dimension with the largest spread
+      let dim = 0;
+      let spread = -1;
+      for (let d = 0; d < m; d++) {
+        let lo = Infinity;
+        let hi = -Infinity;
+        for (const i of node.idx) {
+          const v = Number(X[i][d] || 0);
+          if (v < lo) lo = v;
+          if (v > hi) hi = v;
+        }
+        if (hi - lo > spread) {
+          spread = hi - lo;
+          dim = d;
+        }
+      }
+      if (spread <= 0) continue; // all points identical: keep as a leaf
+      const sorted = node.idx
+        .slice()
+        .sort((a, b) => Number(X[a][dim] || 0) - Number(X[b][dim] || 0));
+      const mid = sorted.length >> 1;
+      node.left = { idx: sorted.slice(0, mid) };
+      node.right = { idx: sorted.slice(mid) };
+      node.idx = null;
+      stack.push(node.left, node.right);
+    }
+    return root;
+  }
+
+  function treeIndex(type, X, distance, leafSize, norm) {
+    const m = dimensionsOf(X);
+    const boxBound = (idx) => {
+      const lo = new Array(m).fill(Infinity);
+      const hi = new Array(m).fill(-Infinity);
+      for (const i of idx)
+        for (let d = 0; d < m; d++) {
+          const v = Number(X[i][d] || 0);
+          if (v < lo[d]) lo[d] = v;
+          if (v > hi[d]) hi[d] = v;
+        }
+      return { lo, hi };
+    };
+    const ballBound = (idx) => {
+      const center = new Array(m).fill(0);
+      for (const i of idx)
+        for (let d = 0; d < m; d++) center[d] += Number(X[i][d] || 0);
+      for (let d = 0; d < m; d++) center[d] /= idx.length;
+      let r = 0;
+      for (const i of idx) r = Math.max(r, distance(center, X[i]));
+      return { center, r };
+    };
+    // Lower bound on the distance from q (numeric query coordinates) to anything inside node
+    const lowerBound =
+      type === "kdtree"
+        ? (node, q) => {
+            let s = 0;
+            for (let d = 0; d < m; d++) {
+              const v = q[d];
+              const gap =
+                v < node.lo[d]
+                  ? node.lo[d] - v
+                  : v > node.hi[d]
+                  ? v - node.hi[d]
+                  : 0;
+              if (norm === 2) s += gap * gap;
+              else if (norm === 1) s += gap;
+              else if (gap > s) s = gap;
+            }
+            return norm === 2 ? Math.sqrt(s) : s;
+          }
+        : (node, q) => Math.max(0, distance(q, node.center) - node.r);
+    const coords = (point) => {
+      const q = new Array(m);
+      for (let d = 0; d < m; d++) q[d] = Number(point[d] || 0);
+      return q;
+    };
+
+    const all = X.map((_, i) => i);
+    const root = X.length
+      ? buildTree(X, all, leafSize, type === "kdtree" ? boxBound : ballBound)
+      : null;
+
+    return {
+      type,
+      size: X.length,
+      radius(point, eps, exclude = -1) {
+        const out = [];
+        const q = coords(point);
+        const stack = root ? [root] : [];
+        while (stack.length) {
+          const node = stack.pop();
+          if (outOfRange(lowerBound(node, q), eps)) continue;
+          if (node.idx) {
+            for (const j of node.idx)
+              if (j !== exclude && distance(point, X[j]) <= eps) out.push(j);
+          } else stack.push(node.left, node.right);
+        }
+        return out.sort(ascending);
+      },
+      nearest(point) {
+        let best = { idx: -1, dist: Infinity };
+        const q = coords(point);
+        const stack = root ? [root] : [];
+        while (stack.length) {
+          const node = stack.pop();
+          if (outOfRange(lowerBound(node, q), best.dist)) continue;
+          if (node.idx) {
+            for (const j of node.idx) {
+              const d = distance(point, X[j]);
+              if (d < best.dist || (d === best.dist && j < best.idx))
+                best = { idx: j, dist: d };
+            }
+            continue;
+          }
+          // visit the closer child first (pushed last)
+          const dl = lowerBound(node.left, q);
+          const dr = lowerBound(node.right, q);
+          if (dl <= dr) stack.push(node.right, node.left);
+          else stack.push(node.left, node.right);
+        }
+        return best;
+      },
+      knearest(point, k, exclude = -1) {
+        const best = kBest(k);
+        const q = coords(point);
+        const stack = root ? [root] : [];
+        while (stack.length) {
+          const node = stack.pop();
+          if (outOfRange(lowerBound(node, q), best.bound())) continue;
+          if (node.idx) {
+            for (const j of node.idx)
+              if (j !== exclude) best.offer(j, distance(point, X[j]));
+            continue;
+          }
+          const dl = lowerBound(node.left, q);
+          const dr = lowerBound(node.right, q);
+          if (dl <= dr) stack.push(node.right, node.left);
+          else stack.push(node.left, node.right);
+        }
+        return best.hits;
+      },
+    };
+  }
+
+  // --- grid ---
+  function gridIndex(X, distance, eps) {
+    const m = dimensionsOf(X);
+    const n = X.length;
+    // highest-variance dimensions; projected distance never exceeds the full distance
+    const variance = [];
+    for (let d = 0; d < m; d++) {
+      let s = 0;
+      let s2 = 0;
+      for (const x of X) {
+        const v = Number(x[d] || 0);
+        s += v;
+        s2 += v * v;
+      }
+      variance.push({ d, v: n ? s2 / n - (s / n) ** 2 : 0 });
+    }
+    const dims = variance
+      .sort((a, b) => b.v - a.v)
+      .slice(0, GRID_DIMS)
+      .map((e) => e.d);
+    // slightly larger than eps so one ring of cells always covers the radius
+    const cell = (eps > 0 ? eps : 1) * (1 + 1e-6);
+    const cellOf = (x) => dims.map((d) => Math.floor(Number(x[d] || 0) / cell));
+    const cells = new Map();
+    X.forEach((x, i) => {
+      const key = cellOf(x).join(",");
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(i);
+    });
+    const brute = bruteIndex(X, distance);
+
+    return {
+      type: "grid",
+      size: n,
+      radius(point, r, exclude = -1) {
+        const reach = Math.max(1, Math.ceil(r / cell));
+        const base = cellOf(point);
+        const out = [];
+        const visit = (k, coords) => {
+          if (k === dims.length) {
+            for (const j of cells.get(coords.join(",")) || [])
+              if (j !== exclude && distance(point, X[j]) <= r) out.push(j);
+            return;
+          }
+          for (let o = -reach; o <= reach; o++)
+            visit(k + 1, coords.concat(base[k] + o));
+        };
+        visit(0, []);
+        return out.sort(ascending);
+      },
+      // nearest neighbors can be arbitrarily many cells away: plain scan
+      nearest: brute.nearest,
+      knearest: brute.knearest,
+    };
+  }
+
+  function buildNeighborIndex(X, opts = {}) {
+    const points = Array.isArray(X) ? X : [];
+    const distance =
+      typeof opts.distance === "function"
+        ? opts.distance
+        : global.getDistanceMetric("euclidean").distance;
+    let type = NEIGHBOR_INDEX_TYPES.includes(opts.type) ? opts.type : "auto";
+    if (type === "auto")
+      type = dimensionsOf(points) <= KD_MAX_DIMS ? "kdtree" : "balltree";
+    const leafSize = Math.max(1, Number(opts.leafSize) || 16);
+    const norm = opts.norm === 1 || opts.norm === Infinity ? opts.norm : 2;
+    if (type === "brute") return bruteIndex(points, distance);
+    if (type === "grid")
+      return gridIndex(points, distance, Number(opts.eps) || 1);
+    return treeIndex(type, points, distance, leafSize, norm);
+  }
+
+  global.buildNeighborIndex = buildNeighborIndex;
+  global.NEIGHBOR_INDEX_TYPES = NEIGHBOR_INDEX_TYPES;
+})(window);
@@ -0,0 +1,359 @@
+// optics_hdbscan.js
+// Density clustering without a single global eps, next to the DBSCAN in dbscan.js.
+// Both prepare points with the same distance metric as dbscan (opts.metric, z-scored
+// Euclidean by default) and return the DBSCAN result shape, so cluster rendering and
+// assignByNearestCore work unchanged.
+// - OPTICS: reachability ordering; clusters are cut from it at any eps afterwards
+//   (extractOpticsClusters) without rerunning. The reachability plot shows the valleys.
+// - HDBSCAN: minimum spanning tree over mutual reachability distances, condensed with
+//   minClusterSize; the most stable clusters are kept (excess of mass). Prim's algorithm
+//   on the complete graph: O(n^2) time, O(n) memory.
+// Core distance counts the point itself, as dbscan's core test does: with k = minPts a
+// point is core for every eps >= its core distance.
+//
+// Exposes:
+//   window.__dbscan.optics(Xraw, minPts, opts)              -> result + { ordering, reachability, coreDistances }
+//   window.__dbscan.extractOpticsClusters(optics, eps)       -> { labels, corePoints }
+//   window.__dbscan.hdbscan(Xraw, minClusterSize, opts)      -> result + { coreRadii, probabilities }
+//
+// result: { labels, corePoints, scaler, Xscaled, eps, summary: { counts, algorithm, index, ... } }
+// eps is the nearest-core radius assignByNearestCore should use for this clustering;
+// hdbscan also returns coreRadii, one radius per corePoints entry, which takes its place.
+// opts: { index, metric, onProgress({ done, total, phase }) }; optics also takes eps (cluster cut,
+//       default: knee of the core distances) and maxEps (neighborhood bound, default none);
+//       hdbscan takes minSamples (default minClusterSize).
+
+(function (global) {
+  const D = global.__dbscan || (global.__dbscan = {});
+  // HDBSCAN works in lambda = 1 / distance; duplicates (distance 0) get a finite lambda
+  const MIN_DISTANCE = 1e-12;
+
+  function progressReporter(onProgress, total, phase) {
+    if (typeof onProgress !== "function") return () => {};
+    const step = Math.max(1, Math.floor(total / 100));
+    return (done) => {
+      if (done % step === 0 || done === total)
+        onProgress({ done, total, phase });
+    };
+  }
+
+  // Prepared points plus a neighbor index over them (dbscan.js metricSpace / buildIndex)
+  function prepare(Xraw, opts, eps) {
+    const space = D.metricSpace(Xraw, opts.metric);
+    space.index = D.buildIndex(space.X, opts.index, eps, space.metric);
+    space.distance = space.metric.distance;
+    return space;
+  }
+
+  // Distance to the k-th nearest point, the point itself counted as the first
+  function coreDistances(X, index, k, report) {
+    const others = Math.max(0, Math.round(k) - 1);
+    const out = new Float64Array(X.length);
+    for (let i = 0; i < X.length; i++) {
+      const hits = index.knearest(X[i], others, i);
+      out[i] = hits.length ? hits[hits.length - 1].dist : 0;
+      report(i + 1);
+    }
+    return out;
+  }
+
+  function countLabels(labels) {
+    const counts = {};
+    labels.forEach((lbl) => (counts[lbl] = (counts[lbl] || 0) + 1));
+    return counts;
+  }
+
+  // assignByNearestCore reads the scaling and core index of the last run
+  function rememberRun(Xraw, out, minPts) {
+    D._last = {
+      Xraw,
+      Xscaled: out.Xscaled,
+      labels: out.labels,
+      corePoints: out.corePoints,
+      scaler: out.scaler,
+      metric: out.summary.metric,
+      eps: out.eps,
+      coreRadii: out.coreRadii || null,
+      minPts,
+      summary: out.summary,
+      indexType: out.summary.index,
+      coreIndex: null,
+    };
+  }
+
+  // --- OPTICS ---
+  // Next point: the unprocessed one with the smallest reachability (lowest index on ties),
+  // picked by a linear scan as in the reference implementation
+  function optics(Xraw, minPts = 4, opts = {}) {
+    if (!Array.isArray(Xraw) || Xraw.length === 0)
+      return { labels: [], corePoints: [], scaler: null, Xscaled: [] };
+    const maxEps = opts.maxEps > 0 ? opts.maxEps : Infinity;
+    const { X, scaler, index, metric, distance } = prepare(Xraw, opts, maxEps);
+    const n = X.length;
+    const coreDist = coreDistances(
+      X,
+      index,
+      minPts,
+      progressReporter(opts.onProgress, n, "core")
+    );
+    for (let i = 0; i < n; i++)
+      if (coreDist[i] > maxEps) coreDist[i] = Infinity;
+
+    const reach = new Float64Array(n).fill(Infinity);
+    const processed = new Uint8Array(n);
+    const ordering = [];
+    const report = progressReporter(opts.onProgress, n, "ordering");
+    while (ordering.length < n) {
+      let p = -1;
+      for (let j = 0; j < n; j++)
+        if (!processed[j] && (p === -1 || reach[j] < reach[p])) p = j;
+      processed[p] = 1;
+      ordering.push(p);
+      report(ordering.length);
+      if (coreDist[p] === Infinity) continue;
+      const update = (q, d) => {
+        if (processed[q]) return;
+        const r = Math.max(coreDist[p], d);
+        if (r < reach[q]) reach[q] = r;
+      };
+      if (maxEps === Infinity) {
+        for (let q = 0; q < n; q++)
+          if (!processed[q]) update(q, distance(X[p], X[q]));
+      } else {
+        for (const q of index.radius(X[p], maxEps, p))
+          update(q, distance(X[p], X[q]));
+      }
+    }
+
+    const run = {
+      ordering,
+      reachability: Array.from(reach),
+      coreDistances: Array.from(coreDist),
+    };
+    let eps = Number(opts.eps);
+    if (!(eps > 0)) {
+      const sorted = run.coreDistances.filter(isFinite).sort((a, b) => a - b);
+      eps = sorted.length ? sorted[D.kneeIndex(sorted)] : 0;
+    }
+    const { labels, corePoints } = extractOpticsClusters(run, eps);
+    const out = Object.assign(run, {
+      labels,
+      corePoints,
+      scaler,
+      Xscaled: X,
+      eps,
+      summary: {
+        counts: countLabels(labels),
+        algorithm: "optics",
+        metric: metric.name,
+        index: index.type,
+        eps,
+        maxEps,
+      },
+    });
+    rememberRun(Xraw, out, minPts);
+    return out;
+  }
+
+  // DBSCAN-equivalent clusters at eps (<= maxEps) from the reachability ordering: a point
+  // reachable within eps joins the current cluster, otherwise a core point starts a new one.
+  // Cores get the same labels as dbscan(eps); border points may differ.
+  function extractOpticsClusters(run, eps) {
+    const labels = new Array(run.ordering.length).fill(-1);
+    const corePoints = [];
+    let clusterId = -1;
+    for (const p of run.ordering) {
+      if (run.reachability[p] > eps) {
+        if (run.coreDistances[p] <= eps) labels[p] = ++clusterId;
+      } else labels[p] = clusterId;
+    }
+    run.coreDistances.forEach((d, i) => {
+      if (d <= eps) corePoints.push(i);
+    });
+    return { labels, corePoints };
+  }
+
+  // --- HDBSCAN ---
+  function hdbscan(Xraw, minClusterSize = 5, opts = {}) {
+    if (!Array.isArray(Xraw) || Xraw.length === 0)
+      return { labels: [], corePoints: [], scaler: null, Xscaled: [] };
+    const mcs = Math.max(2, Math.round(minClusterSize) || 5);
+    const minSamples = Math.max(1, Math.round(opts.minSamples) || mcs);
+    const { X, scaler, index, metric, distance } = prepare(Xraw, opts);
+    const n = X.length;
+    const core = coreDistances(
+      X,
+      index,
+      minSamples,
+      progressReporter(opts.onProgress, n, "core")
+    );
+
+    // Prim's MST over mutual reachability max(core a, core b, d(a, b))
+    const inTree = new Uint8Array(n);
+    const best = new Float64Array(n).fill(Infinity);
+    const from = new Int32Array(n).fill(-1);
+    const edges = [];
+    const report = progressReporter(opts.onProgress, n, "tree");
+    let cur = 0;
+    inTree[0] = 1;
+    for (let step = 1; step < n; step++) {
+      let next = -1;
+      for (let j = 0; j < n; j++) {
+        if (inTree[j]) continue;
+        const d = Math.max(core[cur], core[j], distance(X[cur], X[j]));
+        if (d < best[j]) {
+          best[j] = d;
+          from[j] = cur;
+        }
+        if (next === -1 || best[j] < best[next]) next = j;
+      }
+      edges.push({ a: from[next], b: next, w: best[next] });
+      inTree[next] = 1;
+      cur = next;
+      report(step + 1);
+    }
+    edges.sort((e, f) => e.w - f.w);
+
+    // Single-linkage dendrogram: leaves 0..n-1, merge k is node n + k
+    const uf = new Int32Array(2 * n).map((_, i) => i);
+    const find = (i) => {
+      while (uf[i] !== i) i = uf[i] = uf[uf[i]];
+      return i;
+    };
+    const nodes = []; // { left, right, w, size }
+    const sizeOf = (v) => (v < n ? 1 : nodes[v - n].size);
+    for (const e of edges) {
+      const l = find(e.a);
+      const r = find(e.b);
+      const id = n + nodes.length;
+      nodes.push({ left: l, right: r, w: e.w, size: sizeOf(l) + sizeOf(r) });
+      uf[l] = uf[r] = id;
+    }
+
+    // Condensed tree: a split only counts when both sides keep minClusterSize points;
+    // smaller sides fall out of the cluster as points
+    const clusters = [{ parent: -1, birth: 0, stability: 0, children: [] }];
+    const leaveCluster = new Int32Array(n).fill(0);
+    const leaveLambda = new Float64Array(n);
+    const lambdaOf = (w) => 1 / Math.max(w, MIN_DISTANCE);
+    const fallOut = (v, c, lambda) => {
+      const stack = [v];
+      while (stack.length) {
+        const u = stack.pop();
+        if (u < n) {
+          leaveCluster[u] = c;
+          leaveLambda[u] = lambda;
+          clusters[c].stability += lambda - clusters[c].birth;
+        } else stack.push(nodes[u - n].left, nodes[u - n].right);
+      }
+    };
+    const work = n > 1 ? [{ v: 2 * n - 2, c: 0 }] : [];
+    if (n === 1) fallOut(0, 0, 0);
+    while (work.length) {
+      const { v, c } = work.pop(); // never a leaf: kept sides have >= mcs >= 2 points
+      const node = nodes[v - n];
+      const lambda = lambdaOf(node.w);
+      const big = (u) => sizeOf(u) >= mcs;
+      if (big(node.left) && big(node.right)) {
+        clusters[c].stability += node.size * (lambda - clusters[c].birth);
+        for (const u of [node.left, node.right]) {
+          const id = clusters.length;
+          clusters.push({
+            parent: c,
+            birth: lambda,
+            stability: 0,
+            children: [],
+          });
+          clusters[c].children.push(id);
+          work.push({ v: u, c: id });
+        }
+      } else if (big(node.left) || big(node.right)) {
+        const [keep, drop] = big(node.left)
+          ? [node.left, node.right]
+          : [node.right, node.left];
+        fallOut(drop, c, lambda);
+        work.push({ v: keep, c });
+      } else {
+        fallOut(node.left, c, lambda);
+        fallOut(node.right, c, lambda);
+      }
+    }
+
+    // Excess of mass, bottom-up (children are created after their parents); the root is
+    // never selected, so a dataset without a real split is all noise
+    const selected = new Uint8Array(clusters.length);
+    const value = new Float64Array(clusters.length);
+    for (let c = clusters.length - 1; c > 0; c--) {
+      const childSum = clusters[c].children.reduce((s, k) => s + value[k], 0);
+      if (!clusters[c].children.length || clusters[c].stability >= childSum) {
+        selected[c] = 1;
+        value[c] = clusters[c].stability;
+        const stack = clusters[c].children.slice();
+        while (stack.length) {
+          const k = stack.pop();
+          selected[k] = 0;
+          stack.push(...clusters[k].children);
+        }
+      } else value[c] = childSum;
+    }
+    const labelOf = new Int32Array(clusters.length).fill(-1);
+    const stability = [];
+    for (let c = 1; c < clusters.length; c++)
+      if (selected[c]) {
+        labelOf[c] = stability.length;
+        stability.push(clusters[c].stability);
+      }
+
+    const labels = new Array(n).fill(-1);
+    for (let i = 0; i < n; i++) {
+      let c = leaveCluster[i];
+      while (c > 0 && !selected[c]) c = clusters[c].parent;
+      if (c > 0) labels[i] = labelOf[c];
+    }
+    // membership strength: how long the point stayed relative to the cluster's densest
+    const maxLambda = new Float64Array(stability.length);
+    labels.forEach((l, i) => {
+      if (l !== -1) maxLambda[l] = Math.max(maxLambda[l], leaveLambda[i]);
+    });
+    const probabilities = labels.map((l, i) =>
+      l === -1 ? 0 : maxLambda[l] > 0 ? leaveLambda[i] / maxLambda[l] : 1
+    );
+
+    // every clustered point is a core for assignment; a new point must lie within the
+    // core distance of its nearest core, so a sparse cluster does not widen a dense one
+    // (eps, the largest of them, is only reported)
+    const corePoints = [];
+    const coreRadii = [];
+    let eps = 0;
+    labels.forEach((l, i) => {
+      if (l === -1) return;
+      corePoints.push(i);
+      coreRadii.push(core[i]);
+      eps = Math.max(eps, core[i]);
+    });
+    const out = {
+      labels,
+      corePoints,
+      scaler,
+      Xscaled: X,
+      eps,
+      coreRadii,
+      probabilities,
+      summary: {
+        counts: countLabels(labels),
+        algorithm: "hdbscan",
+        metric: metric.name,
+        index: index.type,
+        minClusterSize: mcs,
+        minSamples,
+        stability,
+      },
+    };
+    rememberRun(Xraw, out, minSamples);
+    return out;
+  }
+
+  D.optics = optics;
+  D.extractOpticsClusters = extractOpticsClusters;
+  D.hdbscan = hdbscan;
+})(window);
@@ -0,0 +1,99 @@
+// public_suffix.js
+// Registrable-domain ("eTLD+1") lookup against the bundled Public Suffix List
+// (public_suffix_list.js). Follows the publicsuffix.org algorithm: longest matching rule,
+// wildcard (*.) and exception (!) rules, and the implicit "*" rule for unknown TLDs.
+// IDN hosts are compared through their punycode (xn--) form.
+//
+// Exposes:
+//   window.hostToAscii(host)              -> lowercased punycode host ("" when not a host name)
+//   window.publicSuffix(host)             -> e.g. "co.uk" for "mail.bank.co.uk"
+//   window.registrableDomain(host)        -> e.g. "bank.co.uk"; the host itself for IP addresses,
+//                                            null when the host is a public suffix
+//   window.hasExplicitPublicSuffix(host)  -> true when a listed rule (not the implicit "*") matches
+//   window.sameRegistrableDomain(a, b)    -> true when both hosts share a registrable domain
+
+(function (global) {
+  let rules = null; // Set of rules, built lazily from window.PUBLIC_SUFFIX_LIST
+
+  function ruleSet() {
+    if (!rules) {
+      rules = new Set(
+        String(global.PUBLIC_SUFFIX_LIST || "")
+          .split(/\s+/)
+          .filter(Boolean)
+      );
+      if (!rules.size) console.warn("public_suffix: list not loaded");
+    }
+    return rules;
+  }
+
+  function isIpAddress(host) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(":");
+  }
+
+  // The URL parser applies IDNA (punycode) conversion, as browsers do for links
+  function hostToAscii(host) {
+    const h = String(host || "")
+      .trim()
+      .toLowerCase()
+      .replace(/^\[|\]$/g, "")
+      .replace(/\.$/, "");
+    if (!h) return "";
+    if (isIpAddress(h) || /^[a-z0-9.-]+$/.test(h)) return h;
+    try {
+      return new URL(`http://${h}/`).hostname;
+    } catch (e) {
+      return h;
+    }
+  }
+
+  // Number of labels of host that form its public suffix, plus whether a listed
+  // rule (rather than the implicit "*") produced it
+  function suffixLength(labels) {
+    const set = ruleSet();
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join(".");
+      if (set.has(`!${candidate}`))
+        return { length: labels.length - i - 1, explicit: true };
+      const parent = labels.slice(i + 1).join(".");
+      if (set.has(candidate) || (parent && set.has(`*.${parent}`)))
+        return { length: labels.length - i, explicit: true };
+    }
+    return { length: 1, explicit: false };
+  }
+
+  function publicSuffix(host) {
+    const h = hostToAscii(host);
+    if (!h || isIpAddress(h)) return "";
+    const labels = h.split(".");
+    return labels.slice(-suffixLength(labels).length).join(".");
+  }
+
+  function registrableDomain(host) {
+    const h = hostToAscii(host);
+    if (!h) return null;
+    if (isIpAddress(h)) return h;
+    const labels = h.split(".");
+    const { length } = suffixLength(labels);
+    if (labels.length <= length) return null;
+    return labels.slice(-(length + 1)).join(".");
+  }
+
+  function hasExplicitPublicSuffix(host) {
+    const h = hostToAscii(host);
+    if (!h || isIpAddress(h)) return false;
+    return suffixLength(h.split(".")).explicit;
+  }
+
+  function sameRegistrableDomain(a, b) {
+    const ra = registrableDomain(a) || hostToAscii(a);
+    const rb = registrableDomain(b) || hostToAscii(b);
+    return !!ra && ra === rb;
+  }
+
+  global.hostToAscii = hostToAscii;
+  global.publicSuffix = publicSuffix;
+  global.registrableDomain = registrableDomain;
+  global.hasExplicitPublicSuffix = hasExplicitPublicSuffix;
+  global.sameRegistrableDomain = sameRegistrableDomain;
+})(window);
@@ -1,8 +1,16 @@
 // Build a numeric feature vector matching an RF model's feature_names (CSV-style) from plain email text.
 // Exposes:
 //   window.buildModelVectorForRF(modelFeatureNames, text, meta)
+//   window.buildVectorForModel(browserRF, text, meta)   -> vector in the loaded model's feature order
+//   window.rfFeatureCoverage(modelFeatureNames)        -> { covered, missing } (missing are zero-filled)
+//   window.rfLinkBreakdown(browserRF, text, meta)      -> { links: [{ url, host, score, features, vector }], worstIndex }
+// URL columns are computed for every link in the message and aggregated ("max" by default,
+// "mean", or "worst" = the link the model scores highest; options of buildVectorForModel).
 // The function handles many of the CSV column names you showed (NumDots, SubdomainLevel, UrlLength, NumDash, NoHttps, NumSensitiveWords, DomainInPaths, etc.)
 // Use it when your rf_model.json contains feature_names that differ from the minimal spambase-like features.
+// HTML bodies (meta.html from parseHtmlEmail, or HTML text) also fill the page-structure columns:
+// PctExtHyperlinks, ExtFavicon, InsecureForms, ExtFormAction, MissingTitle, ImagesOnlyInForm,
+// IframeOrFrame and FakeLinkInStatusBar.
 
 (function (global) {
   // small helpers
@@ -12,10 +20,27 @@
     ).trim();
   }
 
-  function firstUrl(text) {
-    const t = norm(text);
-    const m = t.match(/https?:\/\/[^\s'"]+/i);
-    return m ? m[0] : "";
+  // Parsed HTML body (html_email.js): meta.html, or parse text that is itself HTML
+  function htmlDoc(text, meta) {
+    if (meta && meta.html) return meta.html;
+    return global.looksLikeHtml && global.looksLikeHtml(text)
+      ? global.parseHtmlEmail(text)
+      : null;
+  }
+
+  // Every distinct link in the message, in order: URLs in the text (the text/plain part
+  // of a multipart message included), then absolute anchor hrefs of an HTML body. Text
+  // that is itself HTML markup is scanned through its visible text, so image and
+  // stylesheet URLs in the markup do not count as links.
+  function messageUrls(text, doc) {
+    const markup =
+      doc && global.looksLikeHtml && global.looksLikeHtml(String(text || ""));
+    const t = norm(markup ? doc.text : text);
+    const urls = t.match(/https?:\/\/[^\s'"<>]+/gi) || [];
+    if (doc)
+      for (const a of doc.anchors)
+        if (/^https?:\/\//i.test(a.href)) urls.push(norm(a.href));
+    return Array.from(new Set(urls));
   }
 
   function parseUrlParts(url) {
@@ -86,19 +111,100 @@
     "service",
   ]; // simple list
 
-  // Compute many common URL-based features used in your CSV
-  function computeUrlFeatures(text, meta) {
-    const url = firstUrl(text);
+  // A link/resource host is external when it belongs to a different domain than the
+  // sender (or the <base> href). Relative URLs (host "") are never external.
+  function isExternalHost(host, doc, meta) {
+    if (!host) return false;
+    const own = (meta && meta.fromDomain) || (doc && urlHostOf(doc.base)) || "";
+    if (!own) return true;
+    return global.hostMismatchesSender
+      ? global.hostMismatchesSender(host, own)
+      : host !== own.toLowerCase();
+  }
+
+  function urlHostOf(url) {
+    return /^(https?:)?\/\//i.test(url || "")
+      ? parseUrlParts(url.replace(/^\/\//, "http://")).hostname.toLowerCase()
+      : "";
+  }
+
+  // Page-structure columns of the phishing CSV, computed from the parsed HTML body
+  function computeHtmlFeatures(doc, meta) {
+    const ext = (host) => isExternalHost(host, doc, meta);
+    const links = doc.anchors;
+    const pctExtHyperlinks = links.length
+      ? links.filter((a) => ext(a.host)).length / links.length
+      : 0;
+    const extFavicon = doc.resources.some(
+      (r) => r.tag === "link" && /\bicon\b/.test(r.rel) && ext(r.host)
+    )
+      ? 1
+      : 0;
+    const insecureForms = doc.forms.some((f) => /^http:/i.test(f.action))
+      ? 1
+      : 0;
+    const extFormAction = doc.forms.some((f) => ext(f.actionHost)) ? 1 : 0;
+    const missingTitle = doc.title ? 0 : 1;
+    const imagesOnlyInForm = doc.forms.some((f) => f.images > 0 && !f.text)
+      ? 1
+      : 0;
+    const iframeOrFrame = doc.iframes.length ? 1 : 0;
+    // status-bar spoofing: onmouseover rewriting window.status, or javascript: links
+    const fakeLinkInStatusBar = links.some(
+      (a) =>
+        /\bstatus\s*=/i.test(a.onmouseover) || /^\s*javascript:/i.test(a.href)
+    )
+      ? 1
+      : 0;
+    return {
+      pctExtHyperlinks,
+      extFavicon,
+      insecureForms,
+      extFormAction,
+      missingTitle,
+      imagesOnlyInForm,
+      iframeOrFrame,
+      fakeLinkInStatusBar,
+    };
+  }
+
+  // Host split at its registrable domain (Public Suffix List, public_suffix.js):
+  // "login.paypal.com.evil.co.uk" -> site "evil.co.uk", sub "login.paypal.com"
+  function splitHost(hostname) {
+    const site = global.siteDomain
+      ? global.siteDomain(hostname)
+      : hostname.split(".").slice(-2).join(".");
+    const sub =
+      site && hostname.endsWith(`.${site}`)
+        ? hostname.slice(0, -(site.length + 1))
+        : "";
+    return { site, sub };
+  }
+
+  // A subdomain that is itself a full domain under a listed public suffix
+  // (the "mail.example.com" in mail.example.com.evil.io)
+  function subdomainHasDomain(sub) {
+    if (!sub) return false;
+    if (global.hasExplicitPublicSuffix && global.registrableDomain)
+      return (
+        global.hasExplicitPublicSuffix(sub) && !!global.registrableDomain(sub)
+      );
+    return /\.(com|net|org)$/.test(sub);
+  }
+
+  // URL-string features of a single link (one record per link in the message)
+  function computeLinkFeatures(url) {
     const parts = parseUrlParts(url);
-    const hostname = (parts.hostname || "").toLowerCase();
+    const hostname = global.hostToAscii
+      ? global.hostToAscii(parts.hostname)
+      : (parts.hostname || "").toLowerCase();
+    const { site, sub } = splitHost(hostname);
     const pathname = parts.pathname || "";
     const search = parts.search || "";
     const href = parts.href || "";
 
     const numDots = (hostname.match(/\./g) || []).length;
-    const subdomainLevel = hostname
-      ? Math.max(0, hostname.split(".").length - 2)
-      : 0; // number of subdomains (approx)
+    const subdomainLevel = sub ? sub.split(".").length : 0; // labels left of the registrable domain
     const pathLevel =
       pathname === "/" ? 0 : pathname.split("/").filter(Boolean).length;
     const urlLength = href.length;
@@ -121,23 +227,12 @@
     const randomString = randMatch ? 1 : 0;
     // IP in hostname?
     const ipAddress = /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) ? 1 : 0;
-    // DomainInSubdomains: e.g., domain repeated inside subdomain parts
-    const hostnameParts = hostname.split(".");
-    const domainInSubdomains = hostnameParts
-      .slice(0, -2)
-      .some(
-        (p) =>
-          p &&
-          hostnameParts[hostnameParts.length - 2] &&
-          p.includes(hostnameParts[hostnameParts.length - 2])
-      )
-      ? 1
-      : 0;
-    const domainInPaths = pathname
-      .toLowerCase()
-      .includes((hostname.split(".")[0] || "").toLowerCase())
-      ? 1
-      : 0;
+    // DomainInSubdomains: another domain (name + public suffix) inside the subdomain part
+    const domainInSubdomains = subdomainHasDomain(sub) ? 1 : 0;
+    // DomainInPaths: the registrable domain's name repeated in the path
+    const siteLabel = site.split(".")[0] || "";
+    const domainInPaths =
+      siteLabel && pathname.toLowerCase().includes(siteLabel) ? 1 : 0;
     const httpsInHostname = hostname.includes("https") ? 1 : 0;
     const hostnameLength = hostname.length;
     const pathLength = pathname.length;
@@ -152,49 +247,39 @@
           : 0),
       0
     );
-    const embeddedBrand = brandWords.reduce(
-      (s, w) => s + (href.toLowerCase().includes(w) ? 1 : 0),
-      0
+    // EmbeddedBrandName: a brand named in the subdomain / path / query but not
+    // in the registrable domain itself (paypal.com.evil.io, evil.io/paypal/)
+    // (checked on the confusables skeleton too, so "paypa1" in a path still counts)
+    const brandScope = `${sub} ${pathname} ${search}`.toLowerCase();
+    const brandSkeleton = global.confusableSkeleton
+      ? global.confusableSkeleton(brandScope)
+      : brandScope;
+    const brands = global.getProtectedBrands
+      ? brandWords.concat(global.getProtectedBrands())
+      : brandWords;
+    const embeddedBrand = brands.some(
+      (w) =>
+        (brandScope.includes(w) || brandSkeleton.includes(w)) &&
+        !site.includes(w)
     )
       ? 1
       : 0;
 
-    // Simple heuristics for some boolean columns in your CSV
+    // Simple URL-string heuristics for some boolean columns; an HTML body replaces
+    // the first three with page-structure values (computeHtmlFeatures)
     const insecureForms =
       href.toLowerCase().includes("http://") &&
       href.toLowerCase().includes("form")
         ? 1
         : 0;
+    const iframeOrFrame = href.toLowerCase().includes("iframe") ? 1 : 0;
     const fakeLinkInStatusBar = href.includes("javascript:") ? 1 : 0;
-    const rightClickDisabled = 0; // requires JS instrumentation on the page; set 0
     const popupWindow = href.toLowerCase().includes("popup") ? 1 : 0;
     const submitInfoToEmail = href.toLowerCase().includes("mailto:") ? 1 : 0;
-    const iframeOrFrame =
-      href.toLowerCase().includes("<iframe") ||
-      href.toLowerCase().includes("iframe")
-        ? 1
-        : 0;
-    const missingTitle = 0;
-    const imagesOnlyInForm = 0;
-
-    // Percent external hyperlinks etc cannot be computed reliably from a single email body w/o full DOM; set to 0
-    const pctExtHyperlinks = 0;
-    const pctExtResourceUrls = 0;
-    const extFavicon = 0;
-    const relativeFormAction = 0;
-    const extFormAction = 0;
-    const abnormalFormAction = 0;
-    const pctNullSelfRedirectHyperlinks = 0;
-    const frequentDomainNameMismatch = 0;
-    const subdomainLevelRT = subdomainLevel;
-    const urlLengthRT = urlLength;
-    const pctExtResourceUrlsRT = pctExtResourceUrls;
-    const abnormalExtFormActionR = abnormalFormAction;
-    const extMetaScriptLinkRT = 0;
-    const pctExtNullSelfRedirectHyperlinksRT = 0;
 
     return {
       url,
+      host: hostname,
       numDots,
       subdomainLevel,
       pathLevel,
@@ -221,6 +306,96 @@
       doubleSlashInPath,
       sensitiveCount,
       embeddedBrand,
+      insecureForms,
+      iframeOrFrame,
+      fakeLinkInStatusBar,
+      popupWindow,
+      submitInfoToEmail,
+    };
+  }
+
+  // Combine per-link records into one: "max" (each column's worst value over all
+  // links) or "mean". url/host are taken from the first link.
+  function aggregateLinks(records, mode) {
+    const out = Object.assign({}, records[0]);
+    if (records.length < 2) return out;
+    for (const key of Object.keys(out)) {
+      if (typeof out[key] !== "number") continue;
+      const values = records.map((r) => r[key]);
+      out[key] =
+        mode === "mean"
+          ? values.reduce((s, v) => s + v, 0) / values.length
+          : Math.max(...values);
+    }
+    return out;
+  }
+
+  // Per-message work behind the URL columns, done once: the per-link records and the
+  // HTML page-structure columns (null for plain-text emails)
+  function linkContext(text, meta) {
+    const doc = htmlDoc(text, meta);
+    return {
+      links: messageUrls(text, doc).map(computeLinkFeatures),
+      html: doc ? computeHtmlFeatures(doc, meta) : null,
+    };
+  }
+
+  // Compute many common URL-based features used in your CSV.
+  // options.aggregate: "max" (default) | "mean" — how per-link records are combined;
+  // options.link: index of a single link to use instead (see rfLinkBreakdown).
+  // The result also carries links: the per-link records.
+  function computeUrlFeatures(text, meta, options = {}) {
+    return urlFeaturesFromContext(linkContext(text, meta), options);
+  }
+
+  // computeUrlFeatures over an already built linkContext
+  function urlFeaturesFromContext(context, options = {}) {
+    const links = context.links;
+    const link =
+      typeof options.link === "number" && links[options.link]
+        ? links[options.link]
+        : links.length
+        ? aggregateLinks(links, options.aggregate)
+        : computeLinkFeatures("");
+
+    // Page-structure columns come from the HTML body when there is one; plain-text
+    // emails keep the simple URL-string heuristics (and 0 where nothing applies)
+    const html = context.html || {
+      pctExtHyperlinks: 0,
+      extFavicon: 0,
+      insecureForms: link.insecureForms,
+      extFormAction: 0,
+      missingTitle: 0,
+      imagesOnlyInForm: 0,
+      iframeOrFrame: link.iframeOrFrame,
+      fakeLinkInStatusBar: link.fakeLinkInStatusBar,
+    };
+    const {
+      pctExtHyperlinks,
+      extFavicon,
+      insecureForms,
+      extFormAction,
+      missingTitle,
+      imagesOnlyInForm,
+      iframeOrFrame,
+      fakeLinkInStatusBar,
+    } = html;
+    const rightClickDisabled = 0; // requires JS instrumentation on the page; set 0
+
+    const pctExtResourceUrls = 0;
+    const relativeFormAction = 0;
+    const abnormalFormAction = 0;
+    const pctNullSelfRedirectHyperlinks = 0;
+    const frequentDomainNameMismatch = 0;
+    const subdomainLevelRT = link.subdomainLevel;
+    const urlLengthRT = link.urlLength;
+    const pctExtResourceUrlsRT = pctExtResourceUrls;
+    const abnormalExtFormActionR = abnormalFormAction;
+    const extMetaScriptLinkRT = 0;
+    const pctExtNullSelfRedirectHyperlinksRT = 0;
+
+    return {
+      ...link,
       pctExtHyperlinks,
       pctExtResourceUrls,
       extFavicon,
@@ -232,8 +407,6 @@
       frequentDomainNameMismatch,
       fakeLinkInStatusBar,
       rightClickDisabled,
-      popupWindow,
-      submitInfoToEmail,
       iframeOrFrame,
       missingTitle,
       imagesOnlyInForm,
@@ -243,21 +416,23 @@
       abnormalExtFormActionR,
       extMetaScriptLinkRT,
       pctExtNullSelfRedirectHyperlinksRT,
+      links,
     };
   }
 
-  // Build an ordered numeric vector that matches modelFeatureNames
-  function buildModelVectorForRF(modelFeatureNames, text, meta) {
-    const urlFeatures = computeUrlFeatures(text, meta);
-    const ext = global.extractExtendedFeatures
-      ? global.extractExtendedFeatures(text, meta)
-      : [];
-    // ext is spambase-like base + [url_count, domain_mismatch, has_attachment, sender_reputation]
-    // build a dictionary of common keys -> values
-    const dict = {};
+  // Build a dictionary of every feature name we know how to compute -> value
+  function buildFeatureDict(text, meta, options) {
+    const context = linkContext(text, meta);
+    return Object.assign(
+      baseFeatureDict(text, meta, context.links.length > 0),
+      urlFeatureColumns(urlFeaturesFromContext(context, options))
+    );
+  }
 
-    // Map spambase base features if available (we don't have labels for each, but ext[0..] correspond to featureNames in features.js)
-    // For convenience, make available the 20 typical features by index (if ext length >= 24)
+  // CSV column name -> value for the URL / page-structure columns (these depend on which
+  // link is used; see rfLinkBreakdown)
+  function urlFeatureColumns(urlFeatures) {
+    const dict = {};
     // We also include common names from the CSV you provided
     dict.UrlLength = urlFeatures.urlLength;
     dict.NumDots = urlFeatures.numDots;
@@ -309,9 +484,20 @@
     dict.ExtMetaScriptLinkRT = urlFeatures.extMetaScriptLinkRT;
     dict.PctExtNullSelfRedirectHyperlinksRT =
       urlFeatures.pctExtNullSelfRedirectHyperlinksRT;
+    return dict;
+  }
+
+  // The columns that do not depend on the link: extractExtendedFeatures values
+  // (spambase-like words / capital runs, url_count, sender metadata)
+  function baseFeatureDict(text, meta, hasLinks) {
+    const ext = global.extractExtendedFeatures
+      ? global.extractExtendedFeatures(text, meta)
+      : [];
+    // ext is spambase-like base + [url_count, domain_mismatch, has_attachment, sender_reputation, lookalike_*]
+    const dict = {};
 
     // Also include values that extractExtendedFeatures exposes at the end
-    // ext: [...20 features..., url_count, domain_mismatch, has_attachment, sender_reputation]
+    // ext: [...20 features..., url_count, domain_mismatch, has_attachment, sender_reputation, lookalike_distance, mixed_script_host]
     if (Array.isArray(ext) && ext.length >= 24) {
       dict.url_count = ext[20];
       dict.domain_mismatch = ext[21];
@@ -319,7 +505,7 @@
       dict.sender_reputation = ext[23];
     } else {
       // fallback
-      dict.url_count = urlFeatures.url ? 1 : 0;
+      dict.url_count = hasLinks ? 1 : 0;
       dict.domain_mismatch =
         meta &&
         meta.fromDomain &&
@@ -334,34 +520,141 @@
           : 0.5;
     }
 
-    // Build final vector in order of modelFeatureNames
-    const vec = modelFeatureNames.map((fname) => {
-      // accept different casing/variants
-      if (fname in dict) return Number(dict[fname] || 0);
-      const lower = fname.toLowerCase();
-      if (lower in dict) return Number(dict[lower] || 0);
-      // try some common alias mapping
-      if (lower === "numdots" || lower === "num_dots" || lower === "num.dots")
-        return Number(dict.NumDots || 0);
-      if (lower === "urllength" || lower === "url_length")
-        return Number(dict.UrlLength || 0);
-      if (lower === "subdomainlevel" || lower === "subdomain_level")
-        return Number(dict.SubdomainLevel || 0);
-      if (lower === "numdash" || lower === "num_dash")
-        return Number(dict.NumDash || 0);
-      if (lower === "nohttps") return Number(dict.NoHttps || 0);
-      if (lower === "num_sensitive_words" || lower === "numsensitivewords")
-        return Number(dict.NumSensitiveWords || 0);
-      if (lower === "url_count") return Number(dict.url_count || 0);
-      if (lower === "domain_mismatch") return Number(dict.domain_mismatch || 0);
-      if (lower === "sender_reputation")
-        return Number(dict.sender_reputation || 0);
-      // unknown feature: return 0
-      return 0;
+    // spambase-like word / capital-run features by their features.js names
+    const names = global.featureNames || [];
+    for (let i = 0; i < Math.min(names.length, ext.length); i++) {
+      if (!(names[i] in dict)) dict[names[i]] = ext[i];
+    }
+
+    return dict;
+  }
+
+  // Resolve one model feature name against the dictionary.
+  // Returns undefined when no extractor produces that feature.
+  function lookupFeature(dict, fname) {
+    // accept different casing/variants
+    if (fname in dict) return Number(dict[fname] || 0);
+    const lower = String(fname).toLowerCase();
+    if (lower in dict) return Number(dict[lower] || 0);
+    // try some common alias mapping
+    if (lower === "numdots" || lower === "num_dots" || lower === "num.dots")
+      return Number(dict.NumDots || 0);
+    if (lower === "urllength" || lower === "url_length")
+      return Number(dict.UrlLength || 0);
+    if (lower === "subdomainlevel" || lower === "subdomain_level")
+      return Number(dict.SubdomainLevel || 0);
+    if (lower === "numdash" || lower === "num_dash")
+      return Number(dict.NumDash || 0);
+    if (lower === "nohttps") return Number(dict.NoHttps || 0);
+    if (lower === "num_sensitive_words" || lower === "numsensitivewords")
+      return Number(dict.NumSensitiveWords || 0);
+    if (lower === "url_count") return Number(dict.url_count || 0);
+    if (lower === "domain_mismatch") return Number(dict.domain_mismatch || 0);
+    if (lower === "sender_reputation")
+      return Number(dict.sender_reputation || 0);
+    return undefined;
+  }
+
+  // Build an ordered numeric vector that matches modelFeatureNames
+  // (options: see computeUrlFeatures)
+  function buildModelVectorForRF(modelFeatureNames, text, meta, options) {
+    return vectorFromDict(
+      modelFeatureNames,
+      buildFeatureDict(text, meta, options)
+    );
+  }
+
+  function vectorFromDict(modelFeatureNames, dict) {
+    return modelFeatureNames.map((fname) => {
+      const v = lookupFeature(dict, fname);
+      // unknown feature: zero-filled (see rfFeatureCoverage)
+      return v === undefined ? 0 : v;
+    });
+  }
+
+  // Which of the model's feature names we can compute, and which get zero-filled
+  function rfFeatureCoverage(modelFeatureNames) {
+    const dict = buildFeatureDict("", {});
+    const covered = [];
+    const missing = [];
+    for (const fname of modelFeatureNames || []) {
+      (lookupFeature(dict, fname) === undefined ? missing : covered).push(
+        fname
+      );
+    }
+    return { covered, missing };
+  }
+
+  // One entry per link: its URL features, the model vector built from that link
+  // alone, and the model's P(class 1) for it. worstIndex is the highest-scoring link
+  // (-1 when the message has no links or the model cannot score them).
+  // The message is parsed and its non-URL columns computed once; each link only swaps
+  // its own URL columns into a copy of that dictionary.
+  function rfLinkBreakdown(model, text, meta) {
+    const names = model && model.featureNames;
+    const hasNames = Array.isArray(names) && names.length > 0;
+    const canScore =
+      hasNames && model.loaded && typeof model.predictOne === "function";
+    const context = linkContext(text, meta || {});
+    const records = context.links;
+    const base =
+      hasNames && records.length
+        ? baseFeatureDict(text, meta || {}, true)
+        : null;
+    const links = records.map((features, i) => {
+      const vector = hasNames
+        ? vectorFromDict(
+            names,
+            Object.assign(
+              {},
+              base,
+              urlFeatureColumns(urlFeaturesFromContext(context, { link: i }))
+            )
+          )
+        : null;
+      let score = null;
+      if (canScore) {
+        const { probs } = model.predictOne(vector);
+        score = probs.length > 1 ? probs[1] : probs[0];
+      }
+      return {
+        url: features.url,
+        host: features.host,
+        score,
+        features,
+        vector,
+      };
+    });
+    let worstIndex = -1;
+    links.forEach((l, i) => {
+      if (
+        l.score !== null &&
+        (worstIndex === -1 || l.score > links[worstIndex].score)
+      )
+        worstIndex = i;
     });
+    return { links, worstIndex };
+  }
 
-    return vec;
+  // Vector for a loaded BrowserRF: follows the model's own feature_names when it
+  // declares them, else the default 26-slot extractExtendedFeatures layout.
+  // options.aggregate: "max" | "mean" | "worst" (the link the model scores highest).
+  function buildVectorForModel(model, text, meta, options = {}) {
+    const names = model && model.featureNames;
+    if (Array.isArray(names) && names.length) {
+      if (options.aggregate === "worst") {
+        const { links, worstIndex } = rfLinkBreakdown(model, text, meta);
+        if (worstIndex !== -1) return links[worstIndex].vector;
+      }
+      return buildModelVectorForRF(names, text, meta || {}, options);
+    }
+    return global.extractExtendedFeatures
+      ? global.extractExtendedFeatures(text, meta || {})
+      : [];
   }
 
   global.buildModelVectorForRF = buildModelVectorForRF;
+  global.buildVectorForModel = buildVectorForModel;
+  global.rfFeatureCoverage = rfFeatureCoverage;
+  global.rfLinkBreakdown = rfLinkBreakdown;
 })(window);
@@ -0,0 +1,820 @@
+// rf_importers.js
+// Converts tree ensembles exported from Python tools into the tree format BrowserRF runs
+// (rf_predictor.js), so forests and gradient-boosted models load the same way:
+// - ONNX-ML TreeEnsembleClassifier (.onnx bytes, decoded here; no onnx runtime needed)
+// - XGBoost: save_model JSON ({ learner: ... }) or get_dump(dump_format="json") trees
+// - LightGBM: booster.dump_model() JSON
+// - sklearn export_text output (one or more trees, optionally with show_weights=True)
+//
+// Normalized model:
+//   { trees: [{ children_left, children_right, feature, threshold, value,
+//               split?, default_left?, zero_missing? }],
+//     n_classes, aggregate: "average" | "sum", base_score?, post_transform?,
+//     feature_names?, classes?, imported_from }
+// - split: "<=" (default), "<", ">=", ">", "==" or "!=", for the whole tree or per node; a
+//   true test goes to children_left
+// - default_left[node]: branch for missing (NaN / absent) values; without it they count as 0
+// - zero_missing[node]: 0 is treated as missing too (LightGBM missing_type "Zero")
+// - aggregate "average": value[node] holds class counts / weights, averaged per tree as before
+// - aggregate "sum": value[node] holds per-output margins that are added to base_score, then
+//   post_transform ("logistic", "softmax" or "none") turns them into probabilities; one
+//   output means a binary model scoring class 1
+// Internal nodes carry values as well (cover-weighted child means for boosted trees) so
+// explainOne can walk decision paths.
+//
+// Exposes:
+//   window.detectRFModelFormat(input)      -> "browser-rf" | "onnx" | "xgboost" | "xgboost-dump"
+//                                             | "lightgbm" | "export_text" | null
+//   window.normalizeRFModel(input)         -> normalized model (native models are returned as is)
+//   window.rfModelFromOnnx(bytes)          / window.rfModelFromXGBoost(json)
+//   window.rfModelFromLightGBM(json)       / window.rfModelFromExportText(text, opts)
+//   window.decodeOnnxModel(bytes)          -> { producer, nodes: [{ opType, domain, attributes }] }
+//   window.readRFModelFile(file)           -> Promise<input for BrowserRF.loadFromObject>
+//
+// input: a model object, an ArrayBuffer / Uint8Array (ONNX) or a string (JSON or export_text).
+
+(function (global) {
+  // --- protobuf wire format (just what ONNX ModelProto needs) ---
+
+  function protoReader(bytes) {
+    let pos = 0;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    function varint() {
+      let result = 0;
+      let shift = 0;
+      const start = pos;
+      for (;;) {
+        if (pos >= bytes.length) throw new Error("ONNX: truncated varint");
+        const b = bytes[pos++];
+        result += (b & 0x7f) * 2 ** shift;
+        shift += 7;
+        if (!(b & 0x80)) break;
+      }
+      // 10-byte varints are negative int64 values
+      if (pos - start < 10) return result;
+      let big = 0n;
+      for (let i = pos - 1; i >= start; i--)
+        big = (big << 7n) | BigInt(bytes[i] & 0x7f);
+      return Number(BigInt.asIntN(64, big));
+    }
+
+    function skip(wireType) {
+      if (wireType === 0) varint();
+      else if (wireType === 1) pos += 8;
+      else if (wireType === 2) pos += varint();
+      else if (wireType === 5) pos += 4;
+      else throw new Error(`ONNX: unsupported wire type ${wireType}`);
+    }
+
+    return {
+      done: () => pos >= bytes.length,
+      tag() {
+        const key = varint();
+        return { field: Math.floor(key / 8), wireType: key & 7 };
+      },
+      varint,
+      float() {
+        const v = view.getFloat32(pos, true);
+        pos += 4;
+        return v;
+      },
+      double() {
+        const v = view.getFloat64(pos, true);
+        pos += 8;
+        return v;
+      },
+      bytes() {
+        const len = varint();
+        const out = bytes.subarray(pos, pos + len);
+        pos += len;
+        return out;
+      },
+      skip,
+    };
+  }
+
+  const utf8 = new TextDecoder("utf-8");
+
+  // Repeated scalars arrive packed (one length-delimited field) or one per tag
+  function readRepeated(r, wireType, readOne, out) {
+    if (wireType !== 2) {
+      out.push(readOne(r));
+      return;
+    }
+    const inner = protoReader(r.bytes());
+    while (!inner.done()) out.push(readOne(inner));
+  }
+
+  // TensorProto: dims 1, data_type 2, float_data 4, int64_data 7, raw_data 9, double_data 10
+  function decodeTensor(bytes) {
+    const r = protoReader(bytes);
+    const t = { dataType: 1, values: [], raw: null };
+    while (!r.done()) {
+      const { field, wireType } = r.tag();
+      if (field === 2) t.dataType = r.varint();
+      else if (field === 4)
+        readRepeated(r, wireType, (x) => x.float(), t.values);
+      else if (field === 7)
+        readRepeated(r, wireType, (x) => x.varint(), t.values);
+      else if (field === 10)
+        readRepeated(r, wireType, (x) => x.double(), t.values);
+      else if (field === 9) t.raw = r.bytes();
+      else r.skip(wireType);
+    }
+    if (t.raw && !t.values.length) {
+      const raw = protoReader(t.raw);
+      const readOne = t.dataType === 11 ? (x) => x.double() : (x) => x.float();
+      while (!raw.done()) t.values.push(readOne(raw));
+    }
+    return t.values;
+  }
+
+  // AttributeProto: name 1, f 2, i 3, s 4, t 5, floats 7, ints 8, strings 9
+  function decodeAttribute(bytes) {
+    const r = protoReader(bytes);
+    let name = "";
+    let value;
+    const list = [];
+    while (!r.done()) {
+      const { field, wireType } = r.tag();
+      if (field === 1) name = utf8.decode(r.bytes());
+      else if (field === 2) value = r.float();
+      else if (field === 3) value = r.varint();
+      else if (field === 4) value = utf8.decode(r.bytes());
+      else if (field === 5) value = decodeTensor(r.bytes());
+      else if (field === 7) readRepeated(r, wireType, (x) => x.float(), list);
+      else if (field === 8) readRepeated(r, wireType, (x) => x.varint(), list);
+      else if (field === 9) list.push(utf8.decode(r.bytes()));
+      else r.skip(wireType);
+    }
+    return { name, value: value === undefined ? list : value };
+  }
+
+  // NodeProto: op_type 4, attribute 5, domain 7
+  function decodeNode(bytes) {
+    const r = protoReader(bytes);
+    const node = { opType: "", domain: "", attributes: {} };
+    while (!r.done()) {
+      const { field, wireType } = r.tag();
+      if (field === 4) node.opType = utf8.decode(r.bytes());
+      else if (field === 7) node.domain = utf8.decode(r.bytes());
+      else if (field === 5) {
+        const attr = decodeAttribute(r.bytes());
+        node.attributes[attr.name] = attr.value;
+      } else r.skip(wireType);
+    }
+    return node;
+  }
+
+  // ModelProto: producer_name 2, graph 7; GraphProto: node 1
+  function decodeOnnxModel(bytes) {
+    bytes = ArrayBuffer.isView(bytes)
+      ? new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+      : new Uint8Array(bytes);
+    const r = protoReader(bytes);
+    const model = { producer: "", nodes: [] };
+    while (!r.done()) {
+      const { field, wireType } = r.tag();
+      if (field === 2) model.producer = utf8.decode(r.bytes());
+      else if (field === 7) {
+        const g = protoReader(r.bytes());
+        while (!g.done()) {
+          const tag = g.tag();
+          if (tag.field === 1) model.nodes.push(decodeNode(g.bytes()));
+          else g.skip(tag.wireType);
+        }
+      } else r.skip(wireType);
+    }
+    return model;
+  }
+
+  // --- shared tree helpers ---
+
+  function emptyTree() {
+    return {
+      children_left: [],
+      children_right: [],
+      feature: [],
+      threshold: [],
+      value: [],
+    };
+  }
+
+  function addNode(tree) {
+    tree.children_left.push(-1);
+    tree.children_right.push(-1);
+    tree.feature.push(-2);
+    tree.threshold.push(0);
+    tree.value.push(null);
+    return tree.children_left.length - 1;
+  }
+
+  // Internal node value = children's values weighted by cover (equal weights without one)
+  function fillInternalValues(tree, cover) {
+    const { children_left: left, children_right: right, value } = tree;
+    const weight = (n) => (cover && cover[n] > 0 ? cover[n] : 1);
+    function visit(n) {
+      if (left[n] === -1) return weight(n);
+      const wl = visit(left[n]);
+      const wr = visit(right[n]);
+      value[n] = value[left[n]].map(
+        (v, c) => (v * wl + value[right[n]][c] * wr) / (wl + wr)
+      );
+      return cover && cover[n] > 0 ? cover[n] : wl + wr;
+    }
+    visit(0);
+    return tree;
+  }
+
+  function oneHot(n, index, v) {
+    const out = new Array(n).fill(0);
+    out[index] = v;
+    return out;
+  }
+
+  function logit(p) {
+    return Math.log(p / (1 - p));
+  }
+
+  // Feature reference -> column index: the position in names when given, else "f12" /
+  // "feature_12" / "Column_12" style positions, else real names in order of appearance
+  // (they become the model's feature_names). Mixing the last two is ambiguous.
+  function featureIndexer(names) {
+    const known = Array.isArray(names) ? names.map(String) : null;
+    const seen = [];
+    let positional = false;
+    const mixed = () =>
+      new Error("features are named and numbered at once; pass feature_names");
+    const index = (ref) => {
+      if (typeof ref === "number") return ref;
+      const s = String(ref);
+      if (known) {
+        const i = known.indexOf(s);
+        if (i !== -1) return i;
+      }
+      const m = s.match(/^(?:f|feature_|Column_)(\d+)$/);
+      if (m) {
+        if (seen.length) throw mixed();
+        positional = true;
+        return Number(m[1]);
+      }
+      if (known) throw new Error(`unknown feature "${s}"`);
+      if (positional) throw mixed();
+      let j = seen.indexOf(s);
+      if (j === -1) j = seen.push(s) - 1;
+      return j;
+    };
+    index.names = () => known || (seen.length ? seen : null);
+    return index;
+  }
+
+  // --- ONNX TreeEnsembleClassifier ---
+
+  const ONNX_MODES = {
+    BRANCH_LEQ: "<=",
+    BRANCH_LT: "<",
+    BRANCH_GTE: ">=",
+    BRANCH_GT: ">",
+    BRANCH_EQ: "==",
+    BRANCH_NEQ: "!=",
+  };
+
+  const ONNX_TRANSFORMS = {
+    NONE: "none",
+    LOGISTIC: "logistic",
+    SOFTMAX: "softmax",
+    SOFTMAX_ZERO: "softmax",
+  };
+
+  function rfModelFromOnnx(bytes) {
+    const onnx = decodeOnnxModel(bytes);
+    const node = onnx.nodes.find((n) => n.opType === "TreeEnsembleClassifier");
+    if (!node)
+      throw new Error(
+        `ONNX: no TreeEnsembleClassifier node (found ${
+          onnx.nodes.map((n) => n.opType).join(", ") || "no nodes"
+        })`
+      );
+    const a = node.attributes;
+    const list = (name) => a[`${name}_as_tensor`] || a[name] || [];
+    const treeIds = list("nodes_treeids");
+    const nodeIds = list("nodes_nodeids");
+    const featureIds = list("nodes_featureids");
+    const values = list("nodes_values");
+    const modes = list("nodes_modes");
+    const trueIds = list("nodes_truenodeids");
+    const falseIds = list("nodes_falsenodeids");
+    const missingTrue = list("nodes_missing_value_tracks_true");
+    const classes = list("classlabels_int64s").length
+      ? list("classlabels_int64s")
+      : list("classlabels_strings");
+    const classIds = list("class_ids");
+    const postTransform = ONNX_TRANSFORMS[a.post_transform || "NONE"];
+    if (!postTransform)
+      throw new Error(`ONNX: post_transform ${a.post_transform} not supported`);
+
+    // One score for binary models that only weight a single class
+    const nClasses = Math.max(classes.length, 2);
+    const binarySingle = nClasses === 2 && new Set(classIds).size === 1;
+    const outputs = binarySingle ? 1 : nClasses;
+
+    const byTree = new Map();
+    treeIds.forEach((t, i) => {
+      if (!byTree.has(t)) byTree.set(t, new Map());
+      byTree.get(t).set(nodeIds[i], i);
+    });
+    const leafWeights = new Map(); // "tree:node" -> weights
+    list("class_treeids").forEach((t, i) => {
+      const key = `${t}:${list("class_nodeids")[i]}`;
+      if (!leafWeights.has(key))
+        leafWeights.set(key, new Array(outputs).fill(0));
+      leafWeights.get(key)[binarySingle ? 0 : classIds[i]] +=
+        list("class_weights")[i];
+    });
+
+    const trees = [];
+    for (const [treeId, nodes] of byTree) {
+      const children = new Set();
+      for (const i of nodes.values())
+        if (modes[i] !== "LEAF") {
+          children.add(trueIds[i]);
+          children.add(falseIds[i]);
+        }
+      const rootId = Array.from(nodes.keys()).find((id) => !children.has(id));
+      const tree = emptyTree();
+      const split = [];
+      const defaultLeft = [];
+      const build = (id) => {
+        const i = nodes.get(id);
+        if (i === undefined)
+          throw new Error(`ONNX: tree ${treeId} references missing node ${id}`);
+        const n = addNode(tree);
+        split.push("<=");
+        defaultLeft.push(!!missingTrue[i]);
+        if (modes[i] === "LEAF") {
+          tree.value[n] =
+            leafWeights.get(`${treeId}:${id}`) || new Array(outputs).fill(0);
+          return n;
+        }
+        if (!ONNX_MODES[modes[i]])
+          throw new Error(`ONNX: node mode ${modes[i]} not supported`);
+        split[n] = ONNX_MODES[modes[i]];
+        tree.feature[n] = featureIds[i];
+        tree.threshold[n] = values[i];
+        tree.children_left[n] = build(trueIds[i]);
+        tree.children_right[n] = build(falseIds[i]);
+        return n;
+      };
+      build(rootId);
+      tree.split = split.every((s) => s === "<=") ? "<=" : split;
+      if (missingTrue.length) tree.default_left = defaultLeft;
+      trees.push(fillInternalValues(tree));
+    }
+
+    const base = list("base_values").map(Number);
+    return {
+      trees,
+      n_classes: nClasses,
+      aggregate: "sum",
+      base_score: Array.from({ length: outputs }, (_, c) =>
+        base.length ? base[binarySingle ? base.length - 1 : c] || 0 : 0
+      ),
+      post_transform: postTransform,
+      classes: classes.map(String),
+      imported_from: "onnx",
+    };
+  }
+
+  // --- XGBoost ---
+
+  const XGB_OBJECTIVES = {
+    "binary:logistic": "logistic",
+    "binary:logitraw": "logistic",
+    "reg:logistic": "logistic",
+    "multi:softprob": "softmax",
+    "multi:softmax": "softmax",
+  };
+
+  function xgbObjective(name) {
+    const t = XGB_OBJECTIVES[name || "binary:logistic"];
+    if (!t) throw new Error(`XGBoost: objective ${name} is not a classifier`);
+    return t;
+  }
+
+  // Objectives whose base_score is stored as a probability; binary:logitraw (and the
+  // softmax objectives) store it as a margin already
+  const XGB_PROBABILITY_BASE = ["binary:logistic", "reg:logistic"];
+
+  function xgbBaseMargin(baseScore, objective) {
+    const p = parseFloat(
+      String(baseScore === undefined ? 0.5 : baseScore).replace(/[[\]]/g, "")
+    );
+    if (!isFinite(p)) return 0;
+    return XGB_PROBABILITY_BASE.includes(objective || "binary:logistic")
+      ? logit(Math.min(Math.max(p, 1e-7), 1 - 1e-7))
+      : p;
+  }
+
+  function boostedModel(trees, outputs, opts) {
+    return Object.assign(
+      {
+        trees,
+        n_classes: Math.max(outputs, 2),
+        aggregate: "sum",
+        base_score: new Array(outputs).fill(opts.base || 0),
+      },
+      opts.extra
+    );
+  }
+
+  // save_model JSON: parallel arrays per tree, leaf values in split_conditions
+  function xgbTreeFromArrays(t, outputs, cls, scale) {
+    const tree = emptyTree();
+    const defaultLeft = [];
+    const left = t.left_children;
+    for (let i = 0; i < left.length; i++) {
+      addNode(tree);
+      defaultLeft.push(!!Number(t.default_left ? t.default_left[i] : 1));
+      if (left[i] === -1) {
+        tree.value[i] = oneHot(outputs, cls, t.split_conditions[i] * scale);
+        continue;
+      }
+      if (t.split_type && Number(t.split_type[i]) === 1)
+        throw new Error("XGBoost: categorical splits are not supported");
+      tree.children_left[i] = left[i];
+      tree.children_right[i] = t.right_children[i];
+      tree.feature[i] = t.split_indices[i];
+      tree.threshold[i] = t.split_conditions[i];
+    }
+    tree.split = "<";
+    tree.default_left = defaultLeft;
+    return fillInternalValues(tree, t.sum_hessian);
+  }
+
+  // get_dump(dump_format="json") tree: nested { nodeid, split, split_condition, yes, no,
+  // missing, children } with { nodeid, leaf } leaves
+  function xgbTreeFromDump(root, outputs, cls, index) {
+    const tree = emptyTree();
+    const defaultLeft = [];
+    const cover = [];
+    const byId = new Map();
+    const walk = (n) => {
+      byId.set(n.nodeid, n);
+      (n.children || []).forEach(walk);
+    };
+    walk(typeof root === "string" ? JSON.parse(root) : root);
+    const build = (id) => {
+      const n = byId.get(id);
+      if (!n) throw new Error(`XGBoost: missing node ${id}`);
+      const i = addNode(tree);
+      defaultLeft.push(n.missing === undefined || n.missing === n.yes);
+      cover.push(n.cover);
+      if (n.leaf !== undefined) {
+        tree.value[i] = oneHot(outputs, cls, Number(n.leaf));
+        return i;
+      }
+      tree.feature[i] = index(n.split);
+      tree.threshold[i] = Number(n.split_condition);
+      tree.children_left[i] = build(n.yes);
+      tree.children_right[i] = build(n.no);
+      return i;
+    };
+    build(0);
+    tree.split = "<";
+    tree.default_left = defaultLeft;
+    return fillInternalValues(tree, cover);
+  }
+
+  // json: save_model output, a get_dump array, or { trees: dump, objective, num_class,
+  // base_score, feature_names } around a dump
+  function rfModelFromXGBoost(json) {
+    if (json && json.learner) {
+      const learner = json.learner;
+      const params = learner.learner_model_param || {};
+      const objective = learner.objective && learner.objective.name;
+      const transform = xgbObjective(objective);
+      const outputs = transform === "softmax" ? Number(params.num_class) : 1;
+      let booster = learner.gradient_booster || {};
+      const drop = booster.name === "dart" ? booster.weight_drop || [] : [];
+      if (booster.name === "dart") booster = booster.gbtree;
+      if (!booster.model || !Array.isArray(booster.model.trees))
+        throw new Error(`XGBoost: booster ${booster.name} has no trees`);
+      const info = booster.model.tree_info || [];
+      const trees = booster.model.trees.map((t, i) =>
+        xgbTreeFromArrays(
+          t,
+          outputs,
+          outputs > 1 ? info[i] || 0 : 0,
+          drop.length ? drop[i] : 1
+        )
+      );
+      return boostedModel(trees, outputs, {
+        base: xgbBaseMargin(params.base_score, objective),
+        extra: {
+          post_transform: transform,
+          feature_names:
+            learner.feature_names && learner.feature_names.length
+              ? learner.feature_names
+              : undefined,
+          imported_from: "xgboost",
+        },
+      });
+    }
+    const wrapped = !Array.isArray(json);
+    const dump = wrapped ? json.trees : json;
+    const objective = wrapped ? json.objective : undefined;
+    const transform = xgbObjective(objective);
+    const outputs =
+      transform === "softmax" ? Number(wrapped && json.num_class) || 0 : 1;
+    if (transform === "softmax" && outputs < 2)
+      throw new Error("XGBoost: multi-class dumps need num_class");
+    const index = featureIndexer(wrapped ? json.feature_names : null);
+    const trees = dump.map((t, i) =>
+      xgbTreeFromDump(t, outputs, outputs > 1 ? i % outputs : 0, index)
+    );
+    return boostedModel(trees, outputs, {
+      base: xgbBaseMargin(wrapped ? json.base_score : undefined, objective),
+      extra: {
+        post_transform: transform,
+        feature_names: index.names() || undefined,
+        imported_from: "xgboost",
+      },
+    });
+  }
+
+  // --- LightGBM ---
+
+  function lgbObjective(objective) {
+    const [name, ...params] = String(objective || "binary").split(/\s+/);
+    const param = (key, dflt) => {
+      const p = params.find((s) => s.startsWith(`${key}:`));
+      return p ? Number(p.slice(key.length + 1)) : dflt;
+    };
+    if (name === "binary" || name === "cross_entropy")
+      return { transform: "logistic", scale: param("sigmoid", 1) };
+    if (name === "multiclass") return { transform: "softmax", scale: 1 };
+    throw new Error(`LightGBM: objective ${name} is not supported`);
+  }
+
+  function lgbTree(structure, outputs, cls, scale) {
+    const tree = emptyTree();
+    const defaultLeft = [];
+    const zeroMissing = [];
+    const cover = [];
+    const build = (n) => {
+      const i = addNode(tree);
+      defaultLeft.push(!!n.default_left);
+      zeroMissing.push(n.missing_type === "Zero");
+      cover.push(n.internal_count || n.leaf_count);
+      if (n.leaf_value !== undefined || n.split_feature === undefined) {
+        tree.value[i] = oneHot(outputs, cls, Number(n.leaf_value || 0) * scale);
+        return i;
+      }
+      if (n.decision_type && n.decision_type !== "<=")
+        throw new Error(
+          `LightGBM: ${n.decision_type} (categorical) splits are not supported`
+        );
+      tree.feature[i] = n.split_feature;
+      tree.threshold[i] = Number(n.threshold);
+      tree.children_left[i] = build(n.left_child);
+      tree.children_right[i] = build(n.right_child);
+      return i;
+    };
+    build(structure);
+    tree.default_left = defaultLeft;
+    if (zeroMissing.some(Boolean)) tree.zero_missing = zeroMissing;
+    return fillInternalValues(tree, cover);
+  }
+
+  function rfModelFromLightGBM(json) {
+    const { transform, scale } = lgbObjective(json.objective);
+    const perIteration = Number(json.num_tree_per_iteration) || 1;
+    const outputs = transform === "softmax" ? Number(json.num_class) : 1;
+    const info = json.tree_info || [];
+    // boosting=rf averages the iterations instead of adding them
+    const iterations = Math.max(1, Math.ceil(info.length / perIteration));
+    const factor = scale / (json.average_output ? iterations : 1);
+    const trees = info.map((t, i) =>
+      lgbTree(
+        t.tree_structure,
+        outputs,
+        outputs > 1 ? i % perIteration : 0,
+        factor
+      )
+    );
+    return boostedModel(trees, outputs, {
+      extra: {
+        post_transform: transform,
+        feature_names: json.feature_names,
+        imported_from: "lightgbm",
+      },
+    });
+  }
+
+  // --- sklearn export_text ---
+
+  const EXPORT_LINE = /^((?:\|   |    )*)\|--- (.*)$/;
+
+  // opts: { feature_names, class_names } when the text uses names not in the app's schema
+  function rfModelFromExportText(text, opts = {}) {
+    const blocks = [];
+    let current = null;
+    for (const raw of String(text).split(/\r?\n/)) {
+      const m = raw.match(EXPORT_LINE);
+      if (!m) {
+        current = null;
+        continue;
+      }
+      if (!current) blocks.push((current = []));
+      current.push({ depth: m[1].length / 4, body: m[2].trim() });
+    }
+    if (!blocks.length) throw new Error("export_text: no tree lines found");
+
+    const index = featureIndexer(opts.feature_names);
+    const labels = [];
+    const parsed = blocks.map((lines) => {
+      let pos = 0;
+      const nodes = [];
+      const parse = (depth) => {
+        const line = lines[pos];
+        if (!line || line.depth !== depth)
+          throw new Error(`export_text: unexpected line ${pos + 1} of a tree`);
+        pos++;
+        const node = {};
+        nodes.push(node);
+        if (/^truncated branch/.test(line.body))
+          throw new Error(
+            "export_text: truncated branches (export with max_depth=None)"
+          );
+        if (/^value: /.test(line.body))
+          throw new Error("export_text: regression trees are not supported");
+        const leaf = line.body.match(
+          /^(?:weights: \[([^\]]*)\] )?class: (.+)$/
+        );
+        if (leaf) {
+          node.weights = leaf[1] ? leaf[1].split(",").map(Number) : null;
+          node.label = leaf[2].trim();
+          if (!labels.includes(node.label)) labels.push(node.label);
+          return node;
+        }
+        const split = line.body.match(/^(.+?)\s+<=\s+(\S+)$/);
+        if (!split) throw new Error(`export_text: cannot read "${line.body}"`);
+        node.feature = index(split[1]);
+        node.threshold = Number(split[2]);
+        node.left = parse(depth + 1);
+        if (
+          !lines[pos] ||
+          lines[pos].depth !== depth ||
+          !/\s>\s+\S+$/.test(lines[pos].body)
+        )
+          throw new Error(`export_text: missing "> ${split[2]}" branch`);
+        pos++;
+        node.right = parse(depth + 1);
+        return node;
+      };
+      const root = parse(0);
+      return root;
+    });
+
+    // sklearn's classes_ are the distinct labels sorted (numerically for numeric labels);
+    // the label strings are kept as written ("-1", "0.0")
+    const classes = opts.class_names
+      ? opts.class_names.map(String)
+      : labels.every((l) => l.trim() !== "" && isFinite(Number(l)))
+      ? labels.slice().sort((a, b) => Number(a) - Number(b))
+      : labels.slice().sort();
+    if (classes.length < 2)
+      throw new Error(
+        `export_text: only class ${classes[0]} occurs in the trees (pass class_names)`
+      );
+    const nClasses = classes.length;
+    const trees = parsed.map((root) => {
+      const tree = emptyTree();
+      const build = (node) => {
+        const i = addNode(tree);
+        if (node.label !== undefined) {
+          const c = classes.indexOf(node.label);
+          if (c === -1)
+            throw new Error(`export_text: unknown class ${node.label}`);
+          if (node.weights && node.weights.length !== nClasses)
+            throw new Error(
+              `export_text: leaf weights have ${
+                node.weights.length
+              } entries for ${nClasses} classes (${classes.join(
+                ", "
+              )}); pass class_names`
+            );
+          tree.value[i] = node.weights || oneHot(nClasses, c, 1);
+          return i;
+        }
+        tree.feature[i] = node.feature;
+        tree.threshold[i] = node.threshold;
+        tree.children_left[i] = build(node.left);
+        tree.children_right[i] = build(node.right);
+        return i;
+      };
+      build(root);
+      // internal nodes hold the summed leaf weights, like sklearn's tree_.value
+      const sum = (n) => {
+        if (tree.children_left[n] === -1) return tree.value[n];
+        const l = sum(tree.children_left[n]);
+        const r = sum(tree.children_right[n]);
+        tree.value[n] = l.map((v, c) => v + r[c]);
+        return tree.value[n];
+      };
+      sum(0);
+      return tree;
+    });
+    return {
+      trees,
+      n_classes: nClasses,
+      aggregate: "average",
+      feature_names: index.names() || undefined,
+      classes,
+      imported_from: "export_text",
+    };
+  }
+
+  // --- detection / entry points ---
+
+  // by tag: buffers from another realm (worker, iframe) fail instanceof
+  function isBytes(input) {
+    return (
+      Object.prototype.toString.call(input) === "[object ArrayBuffer]" ||
+      ArrayBuffer.isView(input)
+    );
+  }
+
+  function detectRFModelFormat(input) {
+    if (isBytes(input)) return "onnx";
+    if (typeof input === "string") {
+      const s = input.trim();
+      if (/^[[{]/.test(s)) {
+        try {
+          return detectRFModelFormat(JSON.parse(s));
+        } catch (e) {
+          return null;
+        }
+      }
+      return EXPORT_LINE.test(s.split(/\r?\n/).find((l) => /\S/.test(l)) || "")
+        ? "export_text"
+        : null;
+    }
+    if (Array.isArray(input)) {
+      const first = input[0];
+      if (typeof first === "string" || (first && first.nodeid !== undefined))
+        return "xgboost-dump";
+      return null;
+    }
+    if (!input || typeof input !== "object") return null;
+    if (input.learner) return "xgboost";
+    if (Array.isArray(input.tree_info)) return "lightgbm";
+    if (Array.isArray(input.trees) && input.trees.length) {
+      const first = input.trees[0];
+      if (typeof first === "string" || (first && first.nodeid !== undefined))
+        return "xgboost-dump";
+    }
+    if (typeof input.export_text === "string") return "export_text";
+    return "browser-rf";
+  }
+
+  function normalizeRFModel(input) {
+    const format = detectRFModelFormat(input);
+    if (typeof input === "string" && format !== "export_text" && format)
+      input = JSON.parse(input);
+    if (format === "onnx") return rfModelFromOnnx(input);
+    if (format === "xgboost" || format === "xgboost-dump")
+      return rfModelFromXGBoost(input);
+    if (format === "lightgbm") return rfModelFromLightGBM(input);
+    if (format === "export_text")
+      return typeof input === "string"
+        ? rfModelFromExportText(input)
+        : rfModelFromExportText(input.export_text, input);
+    if (typeof input === "string")
+      throw new Error(
+        "Unrecognized model file (not JSON, ONNX or export_text)"
+      );
+    return input;
+  }
+
+  // .onnx files are read as bytes, everything else as text (JSON or export_text)
+  async function readRFModelFile(file) {
+    if (/\.onnx$/i.test(file.name || "")) return file.arrayBuffer();
+    const text = await file.text();
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text;
+    }
+  }
+
+  global.detectRFModelFormat = detectRFModelFormat;
+  global.normalizeRFModel = normalizeRFModel;
+  global.rfModelFromOnnx = rfModelFromOnnx;
+  global.rfModelFromXGBoost = rfModelFromXGBoost;
+  global.rfModelFromLightGBM = rfModelFromLightGBM;
+  global.rfModelFromExportText = rfModelFromExportText;
+  global.decodeOnnxModel = decodeOnnxModel;
+  global.readRFModelFile = readRFModelFile;
+})(window);
@@ -1,11 +1,18 @@
-// RF loader: auto-load /rf_model.json if present, update UI, and still allow manual file input.
-// Exposes window.rfLoadFrom(url) and window.rfLoadFromObject(obj) for programmatic usage.
+// RF loader: auto-load /rf_model.json if present (unless this tab has an active registry model),
+// update UI, and still allow manual file input.
+// Exposes window.rfLoadFrom(url) and window.rfLoadFromObject(obj) for programmatic usage,
+// and window.rfDescribeSchema(rf) which reports the model's feature_names coverage.
+// All three sources (auto-load, URL, file input) share one pipeline: read -> validate
+// (rf_schema.js, inside BrowserRF.loadFromObject) -> load -> load report in rf-info.
+// Validation problems are listed in rf-info one path per line. A successful load fires
+// "rf-model-loaded" on document with detail { rf, source }.
 
 (function () {
   const input = document.getElementById("rf-file-input");
   const rfStatus = document.getElementById("rf-status");
   const rfInfo = document.getElementById("rf-info");
   const rfFeatureImportances = document.getElementById("rf-featureImportances");
+  const AUTO_LOAD_URL = "/rf_model.json";
 
   function setStatus(txt) {
     if (rfStatus) rfStatus.textContent = txt;
@@ -26,6 +33,85 @@
     }
   }
 
+  // Describe the feature schema the loaded model declares. Names that no extractor
+  // can compute are zero-filled at prediction time, so warn about them loudly.
+  function describeSchema(rf) {
+    const names = rf && rf.featureNames;
+    if (!Array.isArray(names) || !names.length)
+      return "Feature schema: default 26-slot extractExtendedFeatures layout.";
+    const coverage = window.rfFeatureCoverage
+      ? window.rfFeatureCoverage(names)
+      : { covered: names, missing: [] };
+    if (!coverage.missing.length)
+      return `Feature schema: ${names.length} feature_names from the model file (all covered).`;
+    console.warn(
+      `RF model declares ${coverage.missing.length} feature(s) with no extractor; they will be zero-filled:`,
+      coverage.missing
+    );
+    return `Feature schema: ${
+      names.length
+    } feature_names from the model file. WARNING: ${
+      coverage.missing.length
+    } have no extractor and are zero-filled: ${coverage.missing.join(", ")}`;
+  }
+
+  // Load report for rf-info: format, size, classes and feature coverage
+  function loadReport(rf, source) {
+    const lines = [`Model loaded from ${source}.`];
+    const stats = typeof rf.describe === "function" ? rf.describe() : null;
+    if (stats && stats.kind === "linear") {
+      lines.push(
+        `Format: linear featureWeights model, ${stats.features} weights`
+      );
+    } else if (stats) {
+      const rule =
+        stats.aggregate === "sum"
+          ? `summed trees, ${rf.postTransform}`
+          : `${rf.voting} voting`;
+      const imported = stats.importedFrom
+        ? ` — imported from ${stats.importedFrom}`
+        : "";
+      lines.push(
+        `Format: tree ensemble, ${stats.trees} trees (${rule})${imported}`,
+        `Size: ${stats.nodes} nodes, ${stats.leaves} leaves, max depth ${stats.maxDepth}; splits read ${stats.features} feature(s)`
+      );
+    }
+    if (stats) {
+      const labels = rf.source && rf.source.classes;
+      lines.push(
+        `Classes: ${stats.classes}${
+          Array.isArray(labels) && labels.length
+            ? ` (${labels.join(", ")})`
+            : ""
+        }`
+      );
+    }
+    lines.push(describeSchema(rf));
+    return lines.join("\n");
+  }
+
+  function reportFailure(source, err, rf) {
+    if (err.status) {
+      setStatus(`No model at ${source} (status ${err.status})`);
+      return;
+    }
+    console.error(`rf_loader: failed to load ${source}:`, err);
+    setStatus(`RF load failed: ${err.message || err}`);
+    const kept =
+      rf && rf.loaded ? "\nThe previously loaded model is still in use." : "";
+    if (Array.isArray(err.errors) && err.errors.length) {
+      setInfo(
+        `Model from ${source} rejected (${err.format || "unknown"} format), ${
+          err.errors.length
+        } problem(s):\n${err.errors.join("\n")}${kept}`
+      );
+      return;
+    }
+    setInfo(
+      `Failed to load model from ${source}: ${err.message || err}${kept}`
+    );
+  }
+
   // Ensure a BrowserRF instance exists on window.browserRF
   function ensureBrowserRF() {
     if (!window.browserRF) {
@@ -50,86 +136,99 @@
     return window.browserRF;
   }
 
-  // Programmatic loaders exposed globally
-  window.rfLoadFrom = async function (url) {
+  // --- the shared pipeline ---
+
+  // Validates (via loadFromObject) and loads an already-read model input, then reports
+  function applyModel(model, source) {
     const rf = ensureBrowserRF();
     try {
-      setStatus(`Loading ${url} ...`);
-      if (typeof rf.load !== "function")
-        throw new Error("browserRF.load() not available");
-      await rf.load(url);
-      setStatus(`RandomForest loaded from ${url}`);
-      setInfo(`Model loaded from ${url}`);
-      setImportances(rf.feature_importances || rf.featureImportances || null);
-      return rf;
+      if (typeof rf.loadFromObject !== "function")
+        throw new Error("BrowserRF not available");
+      rf.loadFromObject(model);
     } catch (err) {
-      setStatus(`RF load failed: ${err.message || err}`);
-      setInfo(`Failed to load model from ${url}: ${err.message || err}`);
+      reportFailure(source, err, rf);
       throw err;
     }
-  };
+    setStatus(`RandomForest loaded from ${source}`);
+    setInfo(loadReport(rf, source));
+    setImportances(
+      rf.feature_importances ||
+        (rf.source && rf.source.featureImportances) ||
+        null
+    );
+    document.dispatchEvent(
+      new CustomEvent("rf-model-loaded", { detail: { rf, source } })
+    );
+    return rf;
+  }
 
-  window.rfLoadFromObject = function (obj, label) {
-    const rf = ensureBrowserRF();
+  // read() -> Promise<model input>; read errors are reported like validation errors
+  async function loadModel(source, read) {
+    setStatus(`Loading ${source} ...`);
+    let model;
     try {
-      if (typeof rf.loadFromObject === "function") {
-        rf.loadFromObject(obj);
-      } else if (
-        typeof rf.loadFromObject === "undefined" &&
-        typeof rf.loadFromFile === "function"
-      ) {
-        // fallback: inject common props if we can
-        rf.trees = obj.trees || null;
-        rf.n_classes = obj.n_classes || rf.n_classes || 2;
-        rf.loaded = !!rf.trees;
-      } else {
-        throw new Error("browserRF does not support loadFromObject");
-      }
-      setStatus(`RandomForest loaded${label ? " (" + label + ")" : ""}`);
-      setInfo(`Model loaded${label ? " (" + label + ")" : ""}`);
-      setImportances(obj.feature_importances || obj.featureImportances || null);
-      return rf;
+      model = await read();
     } catch (err) {
-      setStatus(`RF load failed: ${err.message || err}`);
-      setInfo(`Failed to load model: ${err.message || err}`);
+      reportFailure(source, err, window.browserRF);
+      throw err;
+    }
+    return applyModel(model, source);
+  }
+
+  // .onnx URLs are fetched as bytes; other responses as JSON, or text for export_text
+  async function fetchModel(url) {
+    const res = await fetch(url, { cache: "no-store" });
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status} for ${url}`);
+      err.status = res.status;
       throw err;
     }
+    if (/\.onnx$/i.test(url)) return res.arrayBuffer();
+    const text = await res.text();
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text;
+    }
+  }
+
+  async function readFile(file) {
+    // .onnx bytes and export_text need rf_importers.js; other files are JSON
+    return window.readRFModelFile
+      ? window.readRFModelFile(file)
+      : JSON.parse(await file.text());
+  }
+
+  // Programmatic loaders exposed globally
+  window.rfLoadFrom = function (url) {
+    return loadModel(url, () => fetchModel(url));
   };
 
-  // Attempt to auto-load from /rf_model.json at startup
+  window.rfLoadFromObject = function (obj, label) {
+    return applyModel(obj, label || "object");
+  };
+
+  // Attempt to auto-load from /rf_model.json at startup. A missing file only leaves a hint;
+  // a file that is there but broken is reported like any other load.
   async function tryAutoLoadRoot() {
     if (!window.fetch) return;
+    // a model picked from the registry in this tab (main_models.js restores it) wins
+    if (window.activeRegistryId && window.activeRegistryId("rf") !== null)
+      return;
+    setStatus(`Checking for ${AUTO_LOAD_URL} ...`);
+    let model;
     try {
-      setStatus("Checking for /rf_model.json ...");
-      const res = await fetch("/rf_model.json", {
-        method: "GET",
-        cache: "no-store",
-      });
-      if (!res.ok) {
-        setStatus("No /rf_model.json found (status " + res.status + ")");
-        return;
-      }
-      const json = await res.json();
-      // ensure BrowserRF available
-      const rf = ensureBrowserRF();
-      if (typeof rf.loadFromObject === "function") {
-        rf.loadFromObject(json);
-      } else if (typeof rf.load === "function") {
-        // last resort: temporarily write a small tmp file and call load? Instead just set props
-        rf.trees = json.trees || null;
-        rf.n_classes = json.n_classes || rf.n_classes || 2;
-        rf.loaded = !!rf.trees;
-      }
-      setStatus("RandomForest auto-loaded from /rf_model.json");
-      setInfo("Model loaded from /rf_model.json");
-      setImportances(
-        json.feature_importances || json.featureImportances || null
+      model = await fetchModel(AUTO_LOAD_URL);
+    } catch (err) {
+      setStatus(
+        "RandomForest model not found (put rf_model.json in site root)"
       );
+      return;
+    }
+    try {
+      applyModel(model, AUTO_LOAD_URL);
     } catch (err) {
-      // silent fail; leave status unchanged or set a hint
-      setStatus("Auto-load: no rf_model.json or failed to parse");
-      setInfo("No model auto-loaded");
-      console.warn("rf_loader auto-load failed:", err);
+      // already reported in rf-status / rf-info
     }
   }
 
@@ -138,56 +237,16 @@
     input.addEventListener("change", async (e) => {
       const file = e.target.files && e.target.files[0];
       if (!file) return;
-      setStatus(`Reading ${file.name}...`);
       try {
-        const text = await file.text();
-        const json = JSON.parse(text);
-
-        // prefer BrowserRF.loadFromObject if provided
-        if (
-          window.browserRF &&
-          typeof window.browserRF.loadFromObject === "function"
-        ) {
-          window.browserRF.loadFromObject(json);
-          setStatus(`RandomForest loaded from local file: ${file.name}`);
-          setInfo(`Model loaded from ${file.name} (client-side)`);
-          setImportances(
-            json.feature_importances || json.featureImportances || null
-          );
-        } else if (
-          window.browserRF &&
-          typeof window.browserRF.loadFromFile === "function"
-        ) {
-          await window.browserRF.loadFromFile(file);
-          setStatus(`RandomForest loaded from local file: ${file.name}`);
-          setInfo(`Model loaded from ${file.name} (client-side)`);
-          setImportances(window.browserRF.feature_importances || null);
-        } else if (window.BrowserRF) {
-          const inst = new window.BrowserRF();
-          if (typeof inst.loadFromObject === "function") {
-            inst.loadFromObject(json);
-            window.browserRF = inst;
-            setStatus(
-              `RandomForest loaded into new instance from ${file.name}`
-            );
-            setInfo(`Model loaded from ${file.name} (client-side)`);
-            setImportances(
-              json.feature_importances || json.featureImportances || null
-            );
-          } else {
-            throw new Error("BrowserRF does not support loadFromObject");
-          }
-        } else {
-          throw new Error("No BrowserRF available on page");
-        }
+        await loadModel(`local file ${file.name}`, () => readFile(file));
       } catch (err) {
-        console.error("rf_loader: failed to load file:", err);
-        setStatus(`Load failed: ${err.message || err}`);
-        setInfo(`Failed to load model: ${err.message || err}`);
+        // already reported in rf-status / rf-info
       }
     });
   }
 
+  window.rfDescribeSchema = describeSchema;
+
   // start auto-load (non-blocking)
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", tryAutoLoadRoot);
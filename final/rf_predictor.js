@@ -1,9 +1,17 @@
 // Browser-side RandomForest predictor loader and small API that consumes common export shapes.
 // - Supports sklearn-style export: { n_classes, trees: [...] }
 // - Supports compact linear export: { featureWeights: [...], bias: number, threshold: number }
+// - ONNX TreeEnsembleClassifier, XGBoost / LightGBM JSON and sklearn export_text go through
+//   rf_importers.js into the tree format; summed ensembles ({ aggregate: "sum", base_score,
+//   post_transform }) add leaf margins instead of averaging leaf distributions
+// - Tree models are validated and compiled into typed-array node tables when loaded: cycles,
+//   out-of-range children and leaves without values throw from loadFromObject
 // - Exposes BrowserRF class and attaches predict helpers
 //
-// predictOne(features) returns { pred, probs } where probs = [p0, p1]
+// predictOne(features, { threshold, voting }) returns { pred, probs } where probs = [p0, p1]
+// predict(X, options) scores a whole matrix in one pass and returns predictOne results per row
+// describe() reports trees / depth / node count / classes for load reports (rf_loader.js)
+// explainOne(features) returns per-feature contributions towards class 1
 
 (function (global) {
   function sigmoid(x) {
@@ -14,6 +22,13 @@
     return Array.isArray(a) ? a : [];
   }
 
+  function softmax(margins) {
+    const max = Math.max(...margins);
+    const exps = margins.map((m) => Math.exp(m - max));
+    const total = exps.reduce((s, v) => s + v, 0);
+    return exps.map((v) => v / total);
+  }
+
   function numericDot(weights, features) {
     let s = 0;
     for (let i = 0; i < features.length; i++) {
@@ -23,11 +38,182 @@
     return s;
   }
 
+  // --- compiled forests ---
+  // Every tree is checked once at load time and packed into flat node tables shared by the
+  // whole forest (node ids are global; roots[t] is tree t's first node):
+  //   left / right / feature / op (Int32Array / Uint8Array), threshold (Float64Array),
+  //   missing (Int8Array: -1 no default_left, 0 right, 1 left), zeroMissing (Uint8Array),
+  //   value (Float64Array, width entries per node), scale (1 / leaf total, 0 for empty leaves)
+  //   and vote (argmax of the leaf, for hard voting).
+  const SPLIT_OPS = { "<=": 0, "<": 1, ">=": 2, ">": 3, "==": 4, "!=": 5 };
+
+  // sklearn stores value[node] as [[count0, count1]] (one row per output)
+  function flatValue(raw) {
+    return Array.isArray(raw) && Array.isArray(raw[0]) ? raw[0] : raw;
+  }
+
+  // Reachable nodes of one tree in depth-first order; throws on broken structure
+  function checkTree(tree, t) {
+    const fail = (msg) => {
+      throw new Error(`RF model: tree ${t}: ${msg}`);
+    };
+    if (!tree || typeof tree !== "object") fail("not an object");
+    for (const key of ["children_left", "children_right", "feature"]) {
+      if (!Array.isArray(tree[key])) fail(`${key} is missing`);
+    }
+    if (!Array.isArray(tree.value)) fail("value is missing");
+    const left = tree.children_left;
+    const right = tree.children_right;
+    const size = left.length;
+    if (!size) fail("has no nodes");
+    if (right.length !== size || tree.feature.length !== size)
+      fail("children_left, children_right and feature differ in length");
+    const order = [];
+    const seen = new Uint8Array(size);
+    const stack = [0];
+    while (stack.length) {
+      const n = stack.pop();
+      const at = (msg) => fail(`node ${n}: ${msg}`);
+      if (seen[n]) at("reached twice (cycle or shared subtree)");
+      seen[n] = 1;
+      order.push(n);
+      const l = left[n];
+      const r = right[n];
+      if (l === -1 && r === -1) {
+        const leaf = flatValue(tree.value[n]);
+        if (!Array.isArray(leaf) || !leaf.length) at("leaf has no value");
+        if (leaf.some((v) => typeof v !== "number" || !isFinite(v)))
+          at("leaf value is not numeric");
+        continue;
+      }
+      if (l === -1 || r === -1) at("has only one child");
+      for (const child of [l, r]) {
+        if (!Number.isInteger(child) || child <= 0 || child >= size)
+          at(`child ${child} is out of range`);
+      }
+      const f = tree.feature[n];
+      if (!Number.isInteger(f) || f < 0) at(`split has no feature (${f})`);
+      const th = tree.threshold && tree.threshold[n];
+      if (typeof th !== "number" || Number.isNaN(th))
+        at("split threshold is not numeric");
+      const split = Array.isArray(tree.split) ? tree.split[n] : tree.split;
+      if (split !== undefined && split !== null && !(split in SPLIT_OPS))
+        at(`unknown split "${split}"`);
+      stack.push(r, l);
+    }
+    return order;
+  }
+
+  // width: outputs of a summed model, else 0 (taken from the widest leaf / n_classes)
+  function compileTrees(trees, nClasses, width) {
+    const orders = trees.map(checkTree);
+    const sum = width > 0;
+    if (!sum) {
+      width = nClasses;
+      trees.forEach((tree, t) =>
+        orders[t].forEach((n) => {
+          if (tree.children_left[n] === -1)
+            width = Math.max(width, flatValue(tree.value[n]).length);
+        })
+      );
+    }
+    const total = orders.reduce((s, o) => s + o.length, 0);
+    const c = {
+      width,
+      roots: new Int32Array(trees.length),
+      left: new Int32Array(total),
+      right: new Int32Array(total),
+      feature: new Int32Array(total),
+      threshold: new Float64Array(total),
+      op: new Uint8Array(total),
+      missing: new Int8Array(total),
+      zeroMissing: new Uint8Array(total),
+      value: new Float64Array(total * width),
+      scale: new Float64Array(total),
+      vote: new Int32Array(total),
+    };
+    let next = 0;
+    trees.forEach((tree, t) => {
+      const order = orders[t];
+      const id = new Map(order.map((n, k) => [n, next + k]));
+      c.roots[t] = next;
+      order.forEach((n) => {
+        const g = id.get(n);
+        const raw = flatValue(tree.value[n]);
+        const leaf = tree.children_left[n] === -1;
+        if (leaf && raw.length > width)
+          throw new Error(
+            `RF model: tree ${t}: node ${n}: leaf has ${raw.length} values, model has ${width} outputs`
+          );
+        if (Array.isArray(raw))
+          for (let k = 0; k < Math.min(raw.length, width); k++)
+            c.value[g * width + k] = Number(raw[k]) || 0;
+        if (leaf) {
+          c.left[g] = c.right[g] = c.feature[g] = -1;
+          let best = 0;
+          let sumLeaf = 0;
+          for (let k = 0; k < raw.length; k++) {
+            sumLeaf += raw[k];
+            if (raw[k] > raw[best]) best = k;
+          }
+          c.vote[g] = best;
+          c.scale[g] = sumLeaf > 0 ? 1 / sumLeaf : 0;
+          return;
+        }
+        c.left[g] = id.get(tree.children_left[n]);
+        c.right[g] = id.get(tree.children_right[n]);
+        c.feature[g] = tree.feature[n];
+        c.threshold[g] = tree.threshold[n];
+        const split = Array.isArray(tree.split) ? tree.split[n] : tree.split;
+        c.op[g] = SPLIT_OPS[split || "<="];
+        c.missing[g] = tree.default_left ? (tree.default_left[n] ? 1 : 0) : -1;
+        c.zeroMissing[g] = tree.zero_missing && tree.zero_missing[n] ? 1 : 0;
+      });
+      next += order.length;
+    });
+    return c;
+  }
+
+  // Branch taken at compiled node n: true -> left. Missing values (absent, null, NaN) follow
+  // default_left where the tree has it and count as 0 otherwise; zero_missing nodes treat 0
+  // as missing too.
+  function goesLeft(c, n, v) {
+    const absent = v === undefined || v === null || Number.isNaN(v);
+    if (c.missing[n] !== -1 && (absent || (c.zeroMissing[n] && v === 0)))
+      return c.missing[n] === 1;
+    if (absent) v = 0;
+    const t = c.threshold[n];
+    switch (c.op[n]) {
+      case 1:
+        return v < t;
+      case 2:
+        return v >= t;
+      case 3:
+        return v > t;
+      case 4:
+        return v === t;
+      case 5:
+        return v !== t;
+      default:
+        return v <= t;
+    }
+  }
+
+  // Compiled leaf reached by one feature vector in tree t
+  function leafOf(c, t, features) {
+    let n = c.roots[t];
+    while (c.left[n] !== -1)
+      n = goesLeft(c, n, features[c.feature[n]]) ? c.left[n] : c.right[n];
+    return n;
+  }
+
   class BrowserRF {
     constructor() {
       this.trees = null; // sklearn-style trees array
       this.n_classes = 2;
       this.loaded = false;
+      // Node tables built from this.trees by loadFromObject (see compileTrees)
+      this._compiled = null;
 
       // For linear/compact model:
       this._isLinear = false;
@@ -35,66 +221,141 @@
       this._bias = 0;
       this._threshold = 0.5;
       this.feature_importances = null;
+
+      // Feature schema declared by the model file (feature_names); null -> default 26-slot layout
+      this.featureNames = null;
+
+      // Tree ensembles: "soft" averages leaf class proportions (sklearn predict_proba),
+      // "hard" counts one vote per tree
+      this.voting = "soft";
+
+      // "average" (forests) or "sum" (boosted / ONNX ensembles: margins added to baseScore,
+      // then postTransform "logistic" | "softmax" | "none")
+      this.aggregate = "average";
+      this.baseScore = null;
+      this.postTransform = "none";
+      this.importedFrom = null;
+
+      // The model object this instance was loaded from (sent to ml_worker.js)
+      this.source = null;
     }
 
-    // load from URL (fetches JSON)
+    // load from URL (fetches JSON, or ONNX bytes for .onnx URLs)
     async load(url) {
       const res = await fetch(url, { cache: "no-store" });
       if (!res.ok) throw new Error(`Failed to load RF model ${res.status}`);
-      const json = await res.json();
+      const json = /\.onnx$/i.test(url)
+        ? await res.arrayBuffer()
+        : await res.json();
       this.loadFromObject(json);
       return true;
     }
 
-    // Accept either sklearn-like or compact linear export
+    // Accept either sklearn-like or compact linear export; other exporters' formats
+    // (ONNX bytes, XGBoost / LightGBM JSON, export_text strings) are normalized first.
+    // With rf_schema.js loaded, shape errors throw with their paths (err.errors).
     loadFromObject(json) {
+      if (global.assertValidRFModel) global.assertValidRFModel(json);
+      if (global.normalizeRFModel) json = global.normalizeRFModel(json);
       if (!json || typeof json !== "object")
         throw new Error("Invalid model object");
 
+      // A single "model" wrapper (common in some exports) is unwrapped before anything is
+      // compiled or reset; the inner model inherits the wrapper's feature_names
+      const hasTrees = Array.isArray(json.trees) && json.trees.length > 0;
+      const hasWeights =
+        Array.isArray(json.featureWeights) && json.featureWeights.length > 0;
+      if (
+        !hasTrees &&
+        !hasWeights &&
+        json.model &&
+        typeof json.model === "object"
+      ) {
+        const inner = json.model;
+        const outerNames = json.feature_names || json.featureNames;
+        if (
+          !inner.feature_names &&
+          !inner.featureNames &&
+          Array.isArray(outerNames)
+        )
+          return this.loadFromObject(
+            Object.assign({}, inner, { feature_names: outerNames })
+          );
+        return this.loadFromObject(inner);
+      }
+      if (!hasTrees && !hasWeights)
+        throw new Error("Unrecognized RF model format");
+
+      // Compile before the reset, so a broken forest leaves the current model in place
+      const sum = json.aggregate === "sum";
+      const baseScore = Array.isArray(json.base_score)
+        ? json.base_score.map(Number)
+        : [Number(json.base_score || 0)];
+      const compiled = hasTrees
+        ? compileTrees(
+            json.trees,
+            json.n_classes || 2,
+            sum ? baseScore.length : 0
+          )
+        : null;
+
       // Reset
+      this.loaded = false;
       this.trees = null;
+      this._compiled = null;
       this._isLinear = false;
       this._weights = null;
       this._bias = 0;
       this._threshold = 0.5;
       this.feature_importances = null;
+      this.source = null;
+      this.aggregate = "average";
+      this.baseScore = null;
+      this.postTransform = "none";
+      this.importedFrom = json.imported_from || null;
       this.n_classes = json.n_classes || 2;
+      const names = json.feature_names || json.featureNames;
+      this.featureNames = Array.isArray(names) ? names.map(String) : null;
 
-      if (Array.isArray(json.trees) && json.trees.length > 0) {
-        // sklearn-style tree array -> use tree voting predictor
+      if (compiled) {
+        // sklearn-style tree array -> use the compiled node tables
+        if (sum) {
+          this.aggregate = "sum";
+          this.baseScore = baseScore;
+          this.postTransform = json.post_transform || "none";
+        }
+        this._compiled = compiled;
         this.trees = json.trees;
-        this.n_classes = json.n_classes || 2;
-        this.loaded = true;
-        this.feature_importances = json.feature_importances || null;
-        return true;
-      }
-
-      // compact linear-like model (optional)
-      if (
-        Array.isArray(json.featureWeights) &&
-        json.featureWeights.length > 0
-      ) {
-        this._isLinear = true;
-        this._weights = json.featureWeights.map(Number);
-        this._bias = Number(json.bias || 0);
+        this.n_classes =
+          this.aggregate === "sum" ? json.n_classes || 2 : this._compiled.width;
         this._threshold =
           typeof json.threshold === "number" ? json.threshold : 0.5;
         this.loaded = true;
         this.feature_importances = json.feature_importances || null;
+        this.source = json;
         return true;
       }
 
-      // If JSON contains a single "model" wrapper (common in some exports), try to unwrap
-      if (json.model && typeof json.model === "object") {
-        return this.loadFromObject(json.model);
-      }
-
-      throw new Error("Unrecognized RF model format");
+      // compact linear-like model (optional)
+      this._isLinear = true;
+      this._weights = json.featureWeights.map(Number);
+      this._bias = Number(json.bias || 0);
+      this._threshold =
+        typeof json.threshold === "number" ? json.threshold : 0.5;
+      this.loaded = true;
+      this.feature_importances = json.feature_importances || null;
+      this.source = json;
+      return true;
     }
 
-    // load from a File (FileReader)
+    // load from a File (FileReader); .onnx and export_text files need rf_importers.js
     loadFromFile(file) {
       const self = this;
+      if (file && global.readRFModelFile)
+        return global.readRFModelFile(file).then((parsed) => {
+          self.loadFromObject(parsed);
+          return parsed;
+        });
       return new Promise((resolve, reject) => {
         if (!file) return reject(new Error("No file provided"));
         const r = new FileReader();
@@ -112,114 +373,259 @@
       });
     }
 
-    // --- tree traversal helper (sklearn-style tree object expected) ---
-    _traverseTree(treeObj, features) {
-      // defensive checks
-      if (!treeObj || !treeObj.children_left) {
-        // return a fallback distribution
-        return [1, 0];
-      }
-
-      const left = treeObj.children_left;
-      const right = treeObj.children_right;
-      const feat = treeObj.feature;
-      const thresh = treeObj.threshold;
-      const value = treeObj.value; // value[node] -> array of class counts
-
-      let node = 0;
-      let steps = 0;
-      while (true) {
-        steps++;
-        if (steps > 10000) {
-          // safety bail
-          return Array.isArray(value[node]) ? value[node] : value[0] || [1, 0];
-        }
-        // leaf detection: in many sklearn JSONs, children_left[node] === -1 indicates leaf
-        const isLeaf =
-          feat[node] === undefined ||
-          feat[node] === -2 ||
-          left[node] === -1 ||
-          right[node] === -1;
-        if (isLeaf) {
-          if (Array.isArray(value[node])) return value[node];
-          // sometimes value[node] is nested like [[count0, count1]]
-          if (Array.isArray(value[node]) && Array.isArray(value[node][0]))
-            return value[node][0];
-          // fallback
-          return Array.isArray(value) ? value : [1, 0];
-        }
-        const f = feat[node];
-        const t = thresh[node];
-        const v =
-          features[f] === undefined || features[f] === null ? 0 : features[f];
-        if (v <= t) {
-          node = left[node];
-        } else {
-          node = right[node];
-        }
-        if (node < 0 || node >= left.length) {
-          // out-of-bounds safety
-          return Array.isArray(
-            value[Math.max(0, Math.min(node, value.length - 1))]
-          )
-            ? value[Math.max(0, Math.min(node, value.length - 1))]
-            : value[0] || [1, 0];
-        }
-      }
+    // Decision rule shared by both paths: for binary models class 1 wins when
+    // p1 >= threshold, otherwise argmax.
+    _decide(probs, threshold) {
+      if (probs.length === 2) return probs[1] >= threshold ? 1 : 0;
+      return probs.indexOf(Math.max(...probs));
     }
 
     // Predict a single feature vector. Always returns { pred, probs: [p0,p1] }
-    predictOne(features) {
+    // options.threshold overrides the model's decision threshold (binary models);
+    // options.voting overrides this.voting ("soft" | "hard") for tree ensembles.
+    predictOne(features, options = {}) {
       features = ensureArray(features);
 
       if (!this.loaded)
         throw new Error("RF model not loaded (call load/loadFromObject)");
 
+      const threshold = this._thresholdFor(options);
+
       // Linear/compact model path
       if (this._isLinear && Array.isArray(this._weights)) {
         const score = numericDot(this._weights, features) + Number(this._bias);
         // Use sigmoid to produce a pseudo-probability; threshold for class decision
         const p1 = sigmoid(score);
-        const pred = p1 >= this._threshold ? 1 : 0;
-        const p0 = 1 - p1;
-        return { pred, probs: [Number(p0.toFixed(3)), Number(p1.toFixed(3))] };
+        const probs = [1 - p1, p1];
+        return { pred: this._decide(probs, threshold), probs };
       }
 
-      // Tree-voting ensemble
-      if (Array.isArray(this.trees) && this.trees.length > 0) {
-        const votes = new Array(this.n_classes || 2).fill(0);
-        for (const t of this.trees) {
-          try {
-            const dist = this._traverseTree(t, features);
-            if (!Array.isArray(dist)) continue;
-            // flatten nested arrays if necessary
-            const flat = Array.isArray(dist[0]) ? dist[0] : dist;
-            const clsIdx = flat.indexOf(Math.max(...flat));
-            votes[clsIdx] = (votes[clsIdx] || 0) + 1;
-          } catch (e) {
-            // ignore tree errors, continue
-            console.warn("tree traverse error:", e);
-          }
-        }
-        const total = votes.reduce((s, v) => s + v, 0) || 1;
-        const probs = votes.map((v) => Number((v / total).toFixed(3)));
-        const pred = probs.indexOf(Math.max(...probs));
-        return { pred, probs };
-      }
+      // Tree ensembles go through the compiled node tables
+      if (this._compiled) return this.predict([features], options)[0];
 
       // As a last resort, fallback to a simple heuristic
       const sum = features.reduce((s, v) => s + Number(v || 0), 0);
       const pred = sum >= 3.5 ? 1 : 0;
       const p1 = pred ? 0.9 : 0.1;
+      return { pred, probs: [1 - p1, p1] };
+    }
+
+    _thresholdFor(options) {
+      return typeof options.threshold === "number" &&
+        isFinite(options.threshold)
+        ? options.threshold
+        : this._threshold;
+    }
+
+    // Margins -> class probabilities; a single output scores class 1 of a binary model
+    _transform(margins) {
+      if (margins.length === 1) {
+        const m = margins[0];
+        const p1 =
+          this.postTransform === "logistic"
+            ? sigmoid(m)
+            : Math.min(1, Math.max(0, m));
+        return [1 - p1, p1];
+      }
+      if (this.postTransform === "softmax") return softmax(margins);
+      if (this.postTransform === "logistic") return margins.map(sigmoid);
+      return margins;
+    }
+
+    // Class distribution stored at a compiled node, normalized to proportions
+    _nodeDistribution(node) {
+      const c = this._compiled;
+      const flat = Array.from(
+        c.value.subarray(node * c.width, (node + 1) * c.width)
+      );
+      const total = flat.reduce((s, v) => s + v, 0);
+      return total > 0 ? flat.map((v) => v / total) : flat.map(() => 0);
+    }
+
+    // Compiled node ids visited from tree t's root to its leaf for one feature vector
+    _decisionPath(t, features) {
+      const c = this._compiled;
+      let node = c.roots[t];
+      const path = [node];
+      while (c.left[node] !== -1) {
+        node = goesLeft(c, node, features[c.feature[node]])
+          ? c.left[node]
+          : c.right[node];
+        path.push(node);
+      }
+      return path;
+    }
+
+    // Per-feature contributions towards class 1 for one prediction.
+    // - linear path: weight × value (logit space), baseline = bias
+    // - tree path: Saabas-style — every split adds the change in P(class 1) between
+    //   parent and child to the split feature; averaged across trees, baseline = mean root P(class 1)
+    // - summed trees: the same walk over node margins (logit space for logistic models), summed
+    //   across trees, baseline = base score + root margins
+    // Returns { method, baseline, contributions: number[], featureNames }
+    explainOne(features, options = {}) {
+      features = ensureArray(features);
+      if (!this.loaded)
+        throw new Error("RF model not loaded (call load/loadFromObject)");
+      const cls = options.classIndex === undefined ? 1 : options.classIndex;
+      const nFeatures = Math.max(
+        features.length,
+        (this.featureNames || []).length,
+        (this._weights || []).length
+      );
+      const contributions = new Array(nFeatures).fill(0);
+      const featureNames = Array.from(
+        { length: nFeatures },
+        (_, j) => (this.featureNames && this.featureNames[j]) || `f${j}`
+      );
+
+      if (this._isLinear && Array.isArray(this._weights)) {
+        for (let j = 0; j < this._weights.length; j++)
+          contributions[j] =
+            Number(this._weights[j]) * Number(features[j] || 0);
+        return {
+          method: "linear",
+          baseline: Number(this._bias),
+          contributions,
+          featureNames,
+        };
+      }
+
+      const c = this._compiled;
+
+      if (this.aggregate === "sum") {
+        // one output = binary margin for class 1
+        const out = this.baseScore.length === 1 ? 0 : cls;
+        const nodeMargin = (n) =>
+          out < c.width ? c.value[n * c.width + out] : 0;
+        let baseline = this.baseScore[out] || 0;
+        for (let t = 0; t < c.roots.length; t++) {
+          const path = this._decisionPath(t, features);
+          baseline += nodeMargin(path[0]);
+          for (let k = 1; k < path.length; k++) {
+            const f = c.feature[path[k - 1]];
+            if (f < nFeatures)
+              contributions[f] += nodeMargin(path[k]) - nodeMargin(path[k - 1]);
+          }
+        }
+        return {
+          method: "saabas-margin",
+          baseline,
+          contributions,
+          featureNames,
+        };
+      }
+
+      let baseline = 0;
+      for (let t = 0; t < c.roots.length; t++) {
+        const path = this._decisionPath(t, features);
+        let prev = this._nodeDistribution(path[0])[cls] || 0;
+        baseline += prev;
+        for (let k = 1; k < path.length; k++) {
+          const p = this._nodeDistribution(path[k])[cls] || 0;
+          const f = c.feature[path[k - 1]];
+          if (f < nFeatures) contributions[f] += p - prev;
+          prev = p;
+        }
+      }
+      const k = c.roots.length || 1;
       return {
-        pred,
-        probs: [Number((1 - p1).toFixed(3)), Number(p1.toFixed(3))],
+        method: "saabas",
+        baseline: baseline / k,
+        contributions: contributions.map((c) => c / k),
+        featureNames,
+      };
+    }
+
+    // Score a whole matrix: one pass over the node tables per tree, accumulating every row.
+    // Same options and { pred, probs } results as predictOne.
+    predict(X, options = {}) {
+      const rows = ensureArray(X).map(ensureArray);
+      const c = this._compiled;
+      if (!this.loaded || !c)
+        return rows.map((x) => this.predictOne(x, options));
+
+      const threshold = this._thresholdFor(options);
+      const w = c.width;
+      const nTrees = c.roots.length;
+      const sum = this.aggregate === "sum";
+      const hard = !sum && (options.voting || this.voting) === "hard";
+      const acc = new Float64Array(rows.length * w);
+      // soft voting skips empty leaves, so each row keeps its own tree count
+      const used = new Int32Array(rows.length);
+      if (sum) rows.forEach((_, r) => acc.set(this.baseScore, r * w));
+
+      for (let t = 0; t < nTrees; t++) {
+        for (let r = 0; r < rows.length; r++) {
+          const leaf = leafOf(c, t, rows[r]);
+          const o = r * w;
+          const v = leaf * w;
+          if (hard) {
+            acc[o + c.vote[leaf]] += 1;
+          } else if (sum) {
+            for (let k = 0; k < w; k++) acc[o + k] += c.value[v + k];
+          } else if (c.scale[leaf] > 0) {
+            const s = c.scale[leaf];
+            for (let k = 0; k < w; k++) acc[o + k] += c.value[v + k] * s;
+            used[r]++;
+          }
+        }
+      }
+
+      return rows.map((_, r) => {
+        const out = Array.from(acc.subarray(r * w, (r + 1) * w));
+        const k = hard ? nTrees : used[r] || 1;
+        const probs = sum ? this._transform(out) : out.map((v) => v / k);
+        return { pred: this._decide(probs, threshold), probs };
+      });
+    }
+
+    // Shape of the loaded model for load reports:
+    // { kind: "trees" | "linear", aggregate, trees, nodes, leaves, maxDepth, classes,
+    //   features (inputs the model reads), featureNames, importedFrom }
+    describe() {
+      if (!this.loaded) return null;
+      const base = {
+        classes: this.n_classes,
+        featureNames: this.featureNames,
+        importedFrom: this.importedFrom,
       };
+      if (this._isLinear)
+        return Object.assign(base, {
+          kind: "linear",
+          features: this._weights.length,
+        });
+      const c = this._compiled;
+      let leaves = 0;
+      let maxDepth = 0;
+      let features = 0;
+      for (let t = 0; t < c.roots.length; t++) {
+        const stack = [[c.roots[t], 0]];
+        while (stack.length) {
+          const [n, depth] = stack.pop();
+          if (c.left[n] === -1) {
+            leaves++;
+            maxDepth = Math.max(maxDepth, depth);
+            continue;
+          }
+          features = Math.max(features, c.feature[n] + 1);
+          stack.push([c.left[n], depth + 1], [c.right[n], depth + 1]);
+        }
+      }
+      return Object.assign(base, {
+        kind: "trees",
+        aggregate: this.aggregate,
+        trees: c.roots.length,
+        nodes: c.left.length,
+        leaves,
+        maxDepth,
+        features: Math.max(features, (this.featureNames || []).length),
+      });
     }
 
-    // batch
-    predict(X) {
-      return (X || []).map((x) => this.predictOne(x));
+    // Decision threshold from the model file (0.5 unless the export set one)
+    get threshold() {
+      return this._threshold;
     }
   }
 
@@ -0,0 +1,393 @@
+// rf_schema.js
+// JSON-Schema-style shape checks for every model format BrowserRF accepts, so a bad file
+// fails with the exact path that is wrong instead of "Unrecognized RF model format".
+// - a small subset of JSON Schema: type (string or list), required, properties, items,
+//   minItems, enum, minimum and $ref (names in RF_MODEL_SCHEMAS.definitions)
+// - cross-field rules JSON Schema cannot express: per-tree arrays of equal length, split
+//   features inside feature_names, featureWeights length = feature_names length
+// - ONNX bytes and export_text strings are checked by their parsers in rf_importers.js;
+//   tree structure (cycles, unreachable children) by compileTrees in rf_predictor.js
+//
+// Exposes:
+//   window.RF_MODEL_SCHEMAS                 -> { formats: { format: schema }, definitions }
+//   window.validateRFModel(input)           -> { format, valid, errors: ["path: message"] }
+//   window.assertValidRFModel(input)        -> input; throws Error with .errors when invalid
+//
+// Paths look like trees[3].children_left[7] or learner.gradient_booster.model.trees[0].
+
+(function (global) {
+  const SPLITS = ["<=", "<", ">=", ">", "==", "!="];
+  // stop collecting after this many problems; a broken forest repeats the same one per node
+  const MAX_ERRORS = 25;
+
+  const definitions = {
+    numbers: { type: "array", items: { type: "number" } },
+    nodeIndices: { type: "array", items: { type: "integer", minimum: -1 } },
+    flags: { type: "array", items: { type: ["boolean", "integer"] } },
+    featureNames: { type: "array", items: { type: "string" } },
+    // value[node]: class counts / margins, sklearn's [[...]] per output, or null (unset)
+    nodeValue: {
+      type: ["array", "null"],
+      items: { type: ["number", "array"], items: { type: "number" } },
+    },
+    tree: {
+      type: "object",
+      required: [
+        "children_left",
+        "children_right",
+        "feature",
+        "threshold",
+        "value",
+      ],
+      properties: {
+        children_left: { $ref: "nodeIndices" },
+        children_right: { $ref: "nodeIndices" },
+        feature: { type: "array", items: { type: "integer", minimum: -2 } },
+        threshold: { $ref: "numbers" },
+        value: { type: "array", items: { $ref: "nodeValue" } },
+        split: {
+          type: ["string", "array"],
+          enum: SPLITS,
+          items: { type: "string", enum: SPLITS },
+        },
+        default_left: { $ref: "flags" },
+        zero_missing: { $ref: "flags" },
+      },
+    },
+    // get_dump(dump_format="json") node; leaves carry "leaf", splits "children" (a dump
+    // string is the same object as JSON text)
+    xgbDumpNode: {
+      type: ["object", "string"],
+      required: ["nodeid"],
+      properties: {
+        nodeid: { type: "integer", minimum: 0 },
+        leaf: { type: "number" },
+        split: { type: ["string", "integer"] },
+        split_condition: { type: "number" },
+        yes: { type: "integer" },
+        no: { type: "integer" },
+        missing: { type: "integer" },
+        children: { type: "array", items: { $ref: "xgbDumpNode" } },
+      },
+    },
+    xgbArrayTree: {
+      type: "object",
+      required: [
+        "left_children",
+        "right_children",
+        "split_indices",
+        "split_conditions",
+      ],
+      properties: {
+        left_children: { $ref: "nodeIndices" },
+        right_children: { $ref: "nodeIndices" },
+        split_indices: {
+          type: "array",
+          items: { type: "integer", minimum: 0 },
+        },
+        split_conditions: { $ref: "numbers" },
+        default_left: { $ref: "flags" },
+        sum_hessian: { $ref: "numbers" },
+      },
+    },
+    xgbBooster: {
+      type: "object",
+      properties: {
+        name: { type: "string", enum: ["gbtree", "dart"] },
+        gbtree: { $ref: "xgbBooster" },
+        model: {
+          type: "object",
+          required: ["trees"],
+          properties: {
+            trees: { type: "array", items: { $ref: "xgbArrayTree" } },
+            tree_info: { type: "array", items: { type: "integer" } },
+          },
+        },
+      },
+    },
+    lgbNode: {
+      type: "object",
+      properties: {
+        split_feature: { type: "integer", minimum: 0 },
+        threshold: { type: ["number", "string"] },
+        decision_type: { type: "string" },
+        default_left: { type: "boolean" },
+        missing_type: { type: "string", enum: ["None", "Zero", "NaN"] },
+        leaf_value: { type: "number" },
+        left_child: { $ref: "lgbNode" },
+        right_child: { $ref: "lgbNode" },
+      },
+    },
+  };
+
+  const modelFields = {
+    n_classes: { type: "integer", minimum: 1 },
+    threshold: { type: "number" },
+    feature_names: { $ref: "featureNames" },
+    featureNames: { $ref: "featureNames" },
+    feature_importances: { type: ["array", "object", "null"] },
+    classes: { type: "array", items: { type: ["string", "number"] } },
+  };
+
+  const formats = {
+    "browser-rf": {
+      type: "object",
+      required: ["trees"],
+      properties: Object.assign({}, modelFields, {
+        trees: { type: "array", minItems: 1, items: { $ref: "tree" } },
+        aggregate: { type: "string", enum: ["average", "sum"] },
+        base_score: { type: ["number", "array"], items: { type: "number" } },
+        post_transform: {
+          type: "string",
+          enum: ["logistic", "softmax", "none"],
+        },
+      }),
+    },
+    "browser-rf-linear": {
+      type: "object",
+      required: ["featureWeights"],
+      properties: Object.assign({}, modelFields, {
+        featureWeights: {
+          type: "array",
+          minItems: 1,
+          items: { type: "number" },
+        },
+        bias: { type: "number" },
+      }),
+    },
+    xgboost: {
+      type: "object",
+      required: ["learner"],
+      properties: {
+        learner: {
+          type: "object",
+          required: ["gradient_booster"],
+          properties: {
+            feature_names: { $ref: "featureNames" },
+            learner_model_param: { type: "object" },
+            objective: {
+              type: "object",
+              properties: { name: { type: "string" } },
+            },
+            gradient_booster: { $ref: "xgbBooster" },
+          },
+        },
+      },
+    },
+    "xgboost-dump": {
+      type: ["array", "object"],
+      minItems: 1,
+      items: { $ref: "xgbDumpNode" },
+      properties: {
+        trees: { type: "array", minItems: 1, items: { $ref: "xgbDumpNode" } },
+        objective: { type: "string" },
+        num_class: { type: "integer", minimum: 0 },
+        base_score: { type: ["number", "string"] },
+        feature_names: { $ref: "featureNames" },
+      },
+    },
+    lightgbm: {
+      type: "object",
+      required: ["tree_info"],
+      properties: {
+        objective: { type: "string" },
+        num_class: { type: "integer", minimum: 1 },
+        num_tree_per_iteration: { type: "integer", minimum: 1 },
+        feature_names: { $ref: "featureNames" },
+        tree_info: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            required: ["tree_structure"],
+            properties: { tree_structure: { $ref: "lgbNode" } },
+          },
+        },
+      },
+    },
+  };
+
+  function typeOf(v) {
+    if (v === null) return "null";
+    if (Array.isArray(v)) return "array";
+    if (typeof v === "number")
+      return Number.isInteger(v) ? "integer" : isFinite(v) ? "number" : "NaN";
+    return typeof v;
+  }
+
+  function matchesType(v, type) {
+    const t = typeOf(v);
+    return []
+      .concat(type)
+      .some((want) =>
+        want === "number" ? t === "number" || t === "integer" : want === t
+      );
+  }
+
+  function show(v) {
+    const t = typeOf(v);
+    if (t === "array") return `an array of ${v.length}`;
+    if (t === "object") return "an object";
+    if (t === "string")
+      return JSON.stringify(v.length > 40 ? v.slice(0, 40) + "…" : v);
+    return String(v);
+  }
+
+  function join(path, key) {
+    if (typeof key === "number") return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+  }
+
+  // Appends "path: message" strings to errors; returns false once MAX_ERRORS is reached
+  function check(value, schema, path, errors) {
+    if (errors.length >= MAX_ERRORS) return false;
+    if (schema.$ref) schema = definitions[schema.$ref];
+    const at = path || "(root)";
+    if (schema.type && !matchesType(value, schema.type)) {
+      errors.push(
+        `${at}: expected ${[].concat(schema.type).join(" or ")}, got ${show(
+          value
+        )}`
+      );
+      return errors.length < MAX_ERRORS;
+    }
+    if (
+      schema.enum &&
+      typeof value === "string" &&
+      !schema.enum.includes(value)
+    )
+      errors.push(
+        `${at}: ${show(value)} is not one of ${schema.enum.join(", ")}`
+      );
+    if (typeof value === "number" && value < schema.minimum)
+      errors.push(`${at}: ${value} is below ${schema.minimum}`);
+    if (Array.isArray(value)) {
+      if (value.length < (schema.minItems || 0))
+        errors.push(`${at}: needs at least ${schema.minItems} item(s)`);
+      if (schema.items)
+        for (let i = 0; i < value.length; i++)
+          if (!check(value[i], schema.items, join(path, i), errors))
+            return false;
+    } else if (value && typeof value === "object") {
+      for (const key of schema.required || [])
+        if (!(key in value)) errors.push(`${join(path, key)}: is required`);
+      for (const [key, sub] of Object.entries(schema.properties || {}))
+        if (value[key] !== undefined)
+          if (!check(value[key], sub, join(path, key), errors)) return false;
+    }
+    return errors.length < MAX_ERRORS;
+  }
+
+  function modelNames(model) {
+    const names = model.feature_names || model.featureNames;
+    return Array.isArray(names) ? names : null;
+  }
+
+  // Rules between fields of an already well-typed native model
+  function crossCheck(model, path, errors) {
+    const names = modelNames(model);
+    if (Array.isArray(model.featureWeights)) {
+      if (names && names.length !== model.featureWeights.length)
+        errors.push(
+          `${join(path, "featureWeights")}: ${
+            model.featureWeights.length
+          } weights, but feature_names lists ${names.length} features`
+        );
+      return;
+    }
+    model.trees.forEach((tree, t) => {
+      const treePath = join(join(path, "trees"), t);
+      const size = tree.children_left.length;
+      for (const key of ["children_right", "feature", "threshold", "value"])
+        if (tree[key].length !== size)
+          errors.push(
+            `${join(treePath, key)}: ${
+              tree[key].length
+            } entries, children_left has ${size}`
+          );
+      if (!names) return;
+      tree.feature.forEach((f, n) => {
+        if (f >= names.length && tree.children_left[n] !== -1)
+          errors.push(
+            `${join(
+              join(treePath, "feature"),
+              n
+            )}: feature ${f} is outside feature_names (${names.length} names)`
+          );
+      });
+    });
+    if (model.aggregate === "sum" && Array.isArray(model.base_score)) {
+      if (!model.base_score.length)
+        errors.push(`${join(path, "base_score")}: needs at least 1 item(s)`);
+    }
+  }
+
+  function nativeFormat(input) {
+    if (Array.isArray(input.trees)) return "browser-rf";
+    if (Array.isArray(input.featureWeights)) return "browser-rf-linear";
+    return null;
+  }
+
+  function validateAt(input, path, errors) {
+    const detected = global.detectRFModelFormat
+      ? global.detectRFModelFormat(input)
+      : input && typeof input === "object"
+      ? "browser-rf"
+      : null;
+    // bytes and text go to their own parsers
+    if (detected === "onnx" || detected === "export_text") return detected;
+    if (typeof input === "string") {
+      errors.push(`${path || "(root)"}: not JSON, ONNX or export_text`);
+      return null;
+    }
+    if (!input || typeof input !== "object") {
+      errors.push(
+        `${path || "(root)"}: expected a model object, got ${show(input)}`
+      );
+      return null;
+    }
+    if (detected && detected !== "browser-rf") {
+      check(input, formats[detected], path, errors);
+      return detected;
+    }
+    const format = Array.isArray(input) ? null : nativeFormat(input);
+    if (!format) {
+      if (input.model && typeof input.model === "object")
+        return validateAt(input.model, join(path, "model"), errors);
+      errors.push(
+        `${
+          path || "(root)"
+        }: expected "trees" (tree ensemble), "featureWeights" (linear model), a "model" wrapper, or an XGBoost / LightGBM export`
+      );
+      return null;
+    }
+    const before = errors.length;
+    check(input, formats[format], path, errors);
+    if (errors.length === before) crossCheck(input, path, errors);
+    return format;
+  }
+
+  function validateRFModel(input) {
+    const errors = [];
+    const format = validateAt(input, "", errors);
+    if (errors.length >= MAX_ERRORS)
+      errors.push("… (further problems not listed)");
+    return { format, valid: errors.length === 0, errors };
+  }
+
+  function assertValidRFModel(input) {
+    const report = validateRFModel(input);
+    if (report.valid) return input;
+    const shown = report.errors.slice(0, 3).join("; ");
+    const more =
+      report.errors.length > 3 ? ` (+${report.errors.length - 3} more)` : "";
+    const err = new Error(`Invalid RF model: ${shown}${more}`);
+    err.errors = report.errors;
+    err.format = report.format;
+    throw err;
+  }
+
+  global.RF_MODEL_SCHEMAS = { formats, definitions };
+  global.validateRFModel = validateRFModel;
+  global.assertValidRFModel = assertValidRFModel;
+})(window);
@@ -0,0 +1,391 @@
+// rf_trainer.js
+// In-browser CART / RandomForest trainer that emits the sklearn-style tree export
+// BrowserRF.loadFromObject compiles: children_left, children_right, feature, threshold, value.
+// - Gini splits with midpoint thresholds (same convention as sklearn)
+// - bootstrap sampling, max_depth, min_samples_leaf, max_features ("sqrt", "log2", int, fraction or null)
+// - impurity-based feature_importances and an out-of-bag accuracy estimate when bootstrapping
+//
+// Exposes:
+//   window.RandomForestTrainer          class with fit / fitAsync / toModel
+//   window.rfDatasetFromRows(rows)      -> { X, y, featureNames, skipped } for labeled JSON/CSV rows
+//
+// toModel() returns a plain object that can be passed to rfLoadFromObject or saved as rf_model.json.
+// Requires features.js (label columns, seeded PRNG) to be loaded first.
+
+(function (global) {
+  const LEAF = -1; // children_left / children_right marker for leaves
+  const UNDEFINED_FEATURE = -2; // feature / threshold marker for leaves
+
+  function gini(counts, total) {
+    if (total <= 0) return 0;
+    let s = 0;
+    for (const c of counts) {
+      const p = c / total;
+      s += p * p;
+    }
+    return 1 - s;
+  }
+
+  // Resolve max_features into a number of candidate features per split
+  function resolveMaxFeatures(maxFeatures, nFeatures) {
+    if (maxFeatures === null || maxFeatures === undefined || maxFeatures === "")
+      return nFeatures;
+    if (maxFeatures === "sqrt")
+      return Math.max(1, Math.floor(Math.sqrt(nFeatures)));
+    if (maxFeatures === "log2")
+      return Math.max(1, Math.floor(Math.log2(nFeatures)));
+    const v = Number(maxFeatures);
+    if (!isFinite(v) || v <= 0) return nFeatures;
+    if (v < 1) return Math.max(1, Math.floor(v * nFeatures));
+    return Math.min(nFeatures, Math.floor(v));
+  }
+
+  // Pick k distinct feature indices out of m (partial Fisher-Yates)
+  function sampleFeatures(m, k, rand) {
+    const all = Array.from({ length: m }, (_, i) => i);
+    for (let i = 0; i < k; i++) {
+      const j = i + Math.floor(rand() * (m - i));
+      const tmp = all[i];
+      all[i] = all[j];
+      all[j] = tmp;
+    }
+    return all.slice(0, k);
+  }
+
+  // Grow one CART tree on the rows listed in `indices` (duplicates allowed for bootstrap).
+  // Returns the sklearn-style arrays plus per-feature impurity decrease.
+  function buildTree(X, y, indices, nClasses, opts, rand) {
+    const tree = {
+      children_left: [],
+      children_right: [],
+      feature: [],
+      threshold: [],
+      value: [],
+      impurity: [],
+      n_node_samples: [],
+    };
+    const m = X[0].length;
+    const importances = new Array(m).fill(0);
+    const rootTotal = indices.length;
+
+    function classCounts(idx) {
+      const counts = new Array(nClasses).fill(0);
+      for (const i of idx) counts[y[i]]++;
+      return counts;
+    }
+
+    function findBestSplit(idx, counts, parentImpurity) {
+      const n = idx.length;
+      let best = null;
+      const candidates = sampleFeatures(m, opts.maxFeatures, rand);
+      for (const f of candidates) {
+        const sorted = idx.slice().sort((a, b) => X[a][f] - X[b][f]);
+        const left = new Array(nClasses).fill(0);
+        for (let k = 0; k < n - 1; k++) {
+          left[y[sorted[k]]]++;
+          const nLeft = k + 1;
+          const nRight = n - nLeft;
+          const v = X[sorted[k]][f];
+          const vNext = X[sorted[k + 1]][f];
+          if (v === vNext) continue;
+          if (nLeft < opts.minSamplesLeaf || nRight < opts.minSamplesLeaf)
+            continue;
+          const right = counts.map((c, ci) => c - left[ci]);
+          const weighted =
+            (nLeft / n) * gini(left, nLeft) +
+            (nRight / n) * gini(right, nRight);
+          if (
+            weighted < parentImpurity - 1e-12 &&
+            (!best || weighted < best.score)
+          )
+            best = { feature: f, threshold: (v + vNext) / 2, score: weighted };
+        }
+      }
+      return best;
+    }
+
+    function grow(idx, depth) {
+      const node = tree.children_left.length;
+      const counts = classCounts(idx);
+      const impurity = gini(counts, idx.length);
+      tree.children_left.push(LEAF);
+      tree.children_right.push(LEAF);
+      tree.feature.push(UNDEFINED_FEATURE);
+      tree.threshold.push(UNDEFINED_FEATURE);
+      tree.value.push(counts);
+      tree.impurity.push(impurity);
+      tree.n_node_samples.push(idx.length);
+
+      const depthOk = !opts.maxDepth || depth < opts.maxDepth;
+      if (
+        !depthOk ||
+        impurity === 0 ||
+        idx.length < opts.minSamplesSplit ||
+        idx.length < 2 * opts.minSamplesLeaf
+      )
+        return node;
+
+      const split = findBestSplit(idx, counts, impurity);
+      if (!split) return node;
+
+      const leftIdx = [];
+      const rightIdx = [];
+      for (const i of idx)
+        (X[i][split.feature] <= split.threshold ? leftIdx : rightIdx).push(i);
+
+      importances[split.feature] +=
+        (idx.length / rootTotal) * (impurity - split.score);
+      tree.feature[node] = split.feature;
+      tree.threshold[node] = split.threshold;
+      tree.children_left[node] = grow(leftIdx, depth + 1);
+      tree.children_right[node] = grow(rightIdx, depth + 1);
+      return node;
+    }
+
+    grow(indices, 0);
+    return { tree, importances };
+  }
+
+  // Leaf class distribution for a row (used for the OOB estimate)
+  function leafDistribution(tree, x) {
+    let node = 0;
+    while (tree.children_left[node] !== LEAF) {
+      node =
+        x[tree.feature[node]] <= tree.threshold[node]
+          ? tree.children_left[node]
+          : tree.children_right[node];
+    }
+    const v = tree.value[node];
+    const total = v.reduce((s, c) => s + c, 0) || 1;
+    return v.map((c) => c / total);
+  }
+
+  class RandomForestTrainer {
+    constructor(options = {}) {
+      this.nEstimators = Math.max(1, Number(options.nEstimators || 100));
+      this.maxDepth = Number(options.maxDepth || 0); // 0 -> unlimited
+      this.minSamplesLeaf = Math.max(1, Number(options.minSamplesLeaf || 1));
+      this.minSamplesSplit = Math.max(2, Number(options.minSamplesSplit || 2));
+      this.maxFeatures =
+        options.maxFeatures === undefined ? "sqrt" : options.maxFeatures;
+      this.bootstrap = options.bootstrap !== false;
+      this.seed = Number(options.seed || 42);
+
+      this.trees = [];
+      this.featureImportances = null;
+      this.oobScore = null;
+      this.nClasses = 2;
+      this.featureNames = null;
+      this.trained = false;
+    }
+
+    _prepare(X, y, featureNames) {
+      if (!Array.isArray(X) || X.length === 0)
+        throw new Error("RF training set is empty");
+      if (!Array.isArray(y) || y.length !== X.length)
+        throw new Error("RF labels must match the number of rows");
+      const Xn = X.map((row) => row.map((v) => Number(v || 0)));
+      const yn = y.map((v) => Math.max(0, Math.floor(Number(v) || 0)));
+      const n = Xn.length;
+      const m = Xn[0].length;
+      this.nClasses = Math.max(2, Math.max(...yn) + 1);
+      this.featureNames =
+        Array.isArray(featureNames) && featureNames.length === m
+          ? featureNames.slice()
+          : Array.from({ length: m }, (_, j) => `f${j}`);
+      this.trees = [];
+      this.featureImportances = new Array(m).fill(0);
+      this.oobScore = null;
+      return {
+        X: Xn,
+        y: yn,
+        n,
+        m,
+        opts: {
+          maxDepth: this.maxDepth,
+          minSamplesLeaf: this.minSamplesLeaf,
+          minSamplesSplit: this.minSamplesSplit,
+          maxFeatures: resolveMaxFeatures(this.maxFeatures, m),
+        },
+        // seeded (svm_trainer.js) so repeated trainings on the same data give the same forest
+        rand: global.mulberry32(this.seed),
+        oobVotes: Array.from({ length: n }, () =>
+          new Array(this.nClasses).fill(0)
+        ),
+      };
+    }
+
+    _growOne(state) {
+      const { X, y, n, opts, rand } = state;
+      let indices;
+      if (this.bootstrap) {
+        indices = new Array(n);
+        for (let i = 0; i < n; i++) indices[i] = Math.floor(rand() * n);
+      } else {
+        indices = Array.from({ length: n }, (_, i) => i);
+      }
+      const { tree, importances } = buildTree(
+        X,
+        y,
+        indices,
+        this.nClasses,
+        opts,
+        rand
+      );
+      this.trees.push(tree);
+
+      // sklearn normalizes each tree's importances before averaging
+      const total = importances.reduce((s, v) => s + v, 0);
+      if (total > 0)
+        importances.forEach(
+          (v, j) => (this.featureImportances[j] += v / total)
+        );
+
+      if (this.bootstrap) {
+        const inBag = new Uint8Array(n);
+        for (const i of indices) inBag[i] = 1;
+        for (let i = 0; i < n; i++) {
+          if (inBag[i]) continue;
+          const dist = leafDistribution(tree, X[i]);
+          dist.forEach((p, c) => (state.oobVotes[i][c] += p));
+        }
+      }
+    }
+
+    _finish(state) {
+      const k = this.trees.length || 1;
+      this.featureImportances = this.featureImportances.map((v) => v / k);
+      if (this.bootstrap) {
+        let seen = 0;
+        let correct = 0;
+        state.oobVotes.forEach((votes, i) => {
+          const total = votes.reduce((s, v) => s + v, 0);
+          if (total === 0) return;
+          seen++;
+          if (votes.indexOf(Math.max(...votes)) === state.y[i]) correct++;
+        });
+        this.oobScore = seen ? correct / seen : null;
+      }
+      this.trained = true;
+    }
+
+    // Synchronous training. options.onProgress({ tree, trees }) after each tree;
+    // options.featureNames names the columns of X.
+    fit(X, y, options = {}) {
+      const state = this._prepare(X, y, options.featureNames);
+      for (let t = 1; t <= this.nEstimators; t++) {
+        this._growOne(state);
+        if (typeof options.onProgress === "function")
+          options.onProgress({ tree: t, trees: this.nEstimators });
+      }
+      this._finish(state);
+      return this;
+    }
+
+    // fit() for the UI thread: every tree is grown in its own macrotask and reported
+    // through onProgress, so long forests do not freeze the page
+    async fitAsync(X, y, options = {}) {
+      const state = this._prepare(X, y, options.featureNames);
+      for (let t = 1; t <= this.nEstimators; t++) {
+        this._growOne(state);
+        if (typeof options.onProgress === "function")
+          options.onProgress({ tree: t, trees: this.nEstimators });
+        await new Promise((r) => setTimeout(r, 0));
+      }
+      this._finish(state);
+      return this;
+    }
+
+    // Export in the rf_model.json tree format
+    toModel(extra = {}) {
+      if (!this.trained) throw new Error("RandomForest not trained");
+      return Object.assign(
+        {
+          name: "browser_rf",
+          description: "RandomForest trained in the browser (Email ML Suite)",
+          n_classes: this.nClasses,
+          classes: Array.from({ length: this.nClasses }, (_, i) => i),
+          n_features: this.featureNames.length,
+          feature_names: this.featureNames,
+          params: {
+            n_estimators: this.nEstimators,
+            max_depth: this.maxDepth || null,
+            min_samples_leaf: this.minSamplesLeaf,
+            min_samples_split: this.minSamplesSplit,
+            max_features: this.maxFeatures,
+            bootstrap: this.bootstrap,
+            seed: this.seed,
+          },
+          trees: this.trees,
+          feature_importances: this.featureImportances.map((v) =>
+            Number(v.toFixed(6))
+          ),
+          oob_score: this.oobScore,
+        },
+        extra
+      );
+    }
+  }
+
+  // Build (X, y, featureNames) from labeled rows.
+  // - rows with a body/text field -> extractExtendedFeatures (26 features)
+  // - rows with spambase-style columns -> featuresFromRow (26 features)
+  // - otherwise every numeric column except the label columns (features.js labelColumns)
+  //   and id becomes a feature,
+  //   e.g. URL datasets using the feature_names.json schema
+  function rfDatasetFromRows(rows) {
+    rows = Array.isArray(rows) ? rows : [];
+    const first = rows.find((r) => r && typeof r === "object") || {};
+    const known = global.featureNames || [];
+    const hasText = rows.some((r) => r && (r.body || r.text || r.email));
+    const hasKnown = known.some((f) => f in first);
+
+    let featureNames;
+    let toVector;
+    if (hasText && global.extractExtendedFeatures) {
+      featureNames = known.slice();
+      toVector = (row) =>
+        global.extractExtendedFeatures(
+          String(row.body || row.text || row.email || ""),
+          {
+            fromDomain: row.fromDomain || row.from || "",
+            replyToDomain: row.replyToDomain || row.replyTo || "",
+            hasAttachment: !!row.hasAttachment,
+            senderReputation: row.senderReputation
+              ? Number(row.senderReputation)
+              : 0.5,
+          }
+        );
+    } else if (hasKnown && global.featuresFromRow) {
+      featureNames = known.slice();
+      toVector = (row) => global.featuresFromRow(row);
+    } else {
+      const labelColumns = global.labelColumns || [];
+      featureNames = Object.keys(first).filter(
+        (k) =>
+          !labelColumns.includes(k) &&
+          k.toLowerCase() !== "id" &&
+          first[k] !== "" &&
+          isFinite(Number(first[k]))
+      );
+      toVector = (row) => featureNames.map((k) => Number(row[k] || 0));
+    }
+
+    const X = [];
+    const y = [];
+    let skipped = 0;
+    for (const row of rows) {
+      const label = global.labelFromRow ? global.labelFromRow(row) : null;
+      if (label === null) {
+        skipped++;
+        continue;
+      }
+      X.push(toVector(row));
+      y.push(label);
+    }
+    return { X, y, featureNames, skipped };
+  }
+
+  global.RandomForestTrainer = RandomForestTrainer;
+  global.rfDatasetFromRows = rfDatasetFromRows;
+})(window);
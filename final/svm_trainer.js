@@ -0,0 +1,297 @@
+// svm_trainer.js
+// In-browser linear SVM trainer (hinge loss + L2 regularization, Pegasos-style SGD).
+// - Trains on the 20 spambase-like features produced by extractFeaturesFromEmail / featuresFromRow
+// - Supports class weights ("balanced" or { 0: w0, 1: w1 }) and a reproducible shuffle seed
+// - Standardizes features internally so raw counts and percentages can be mixed
+//
+// Exposes:
+//   window.LinearSVM                     class with fit / fitAsync / predict / predictOne / toJSON
+//   window.svmDatasetFromRows(rows)      -> { X, y, skipped } for labeled JSON/CSV rows
+//
+// Model predict(X) returns an array of 0/1 labels, which is what the SVM tab expects
+// from window.svmModel.
+// Requires features.js (labelFromRow, seeded PRNG) to be loaded first.
+
+(function (global) {
+  const N_FEATURES = 20;
+
+  function shuffleInPlace(arr, rand) {
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      const tmp = arr[i];
+      arr[i] = arr[j];
+      arr[j] = tmp;
+    }
+    return arr;
+  }
+
+  function computeClassWeights(y, classWeight) {
+    if (!classWeight) return { 0: 1, 1: 1 };
+    if (classWeight === "balanced") {
+      const n = y.length || 1;
+      const n1 = y.filter((v) => v === 1).length;
+      const n0 = n - n1;
+      return {
+        0: n0 ? n / (2 * n0) : 1,
+        1: n1 ? n / (2 * n1) : 1,
+      };
+    }
+    if (typeof classWeight !== "object")
+      throw new Error(
+        `classWeight must be "balanced", null or { 0: w0, 1: w1 }, got ${JSON.stringify(
+          classWeight
+        )}`
+      );
+    return {
+      0: Number(classWeight[0] == null ? 1 : classWeight[0]),
+      1: Number(classWeight[1] == null ? 1 : classWeight[1]),
+    };
+  }
+
+  class LinearSVM {
+    constructor(options = {}) {
+      this.C = Number(options.C || 1.0);
+      this.epochs = Math.max(1, Number(options.epochs || 50));
+      this.classWeight =
+        options.classWeight === undefined ? "balanced" : options.classWeight;
+      this.seed = Number(options.seed || 42);
+
+      this.weights = null; // in standardized space
+      this.bias = 0;
+      this.mean = null;
+      this.std = null;
+      this.classWeights = null;
+      this.trained = false;
+      this.history = []; // [{ epoch, loss, accuracy }]
+    }
+
+    // --- standardization helpers ---
+    _fitScaler(X) {
+      const n = X.length;
+      const m = X[0].length;
+      const mean = new Array(m).fill(0);
+      const std = new Array(m).fill(0);
+      for (const row of X)
+        for (let j = 0; j < m; j++) mean[j] += Number(row[j] || 0);
+      for (let j = 0; j < m; j++) mean[j] /= n;
+      for (const row of X)
+        for (let j = 0; j < m; j++) {
+          const d = Number(row[j] || 0) - mean[j];
+          std[j] += d * d;
+        }
+      for (let j = 0; j < m; j++) {
+        std[j] = Math.sqrt(std[j] / Math.max(1, n - 1));
+        if (!isFinite(std[j]) || std[j] <= 1e-8) std[j] = 1;
+      }
+      this.mean = mean;
+      this.std = std;
+    }
+
+    _scale(x) {
+      const m = this.mean.length;
+      const out = new Array(m);
+      for (let j = 0; j < m; j++)
+        out[j] = (Number(x[j] || 0) - this.mean[j]) / this.std[j];
+      return out;
+    }
+
+    // Raw decision value w·x + b (positive -> spam)
+    decisionFunction(x) {
+      if (!this.trained) throw new Error("SVM model not trained");
+      const xs = this._scale(x || []);
+      let s = this.bias;
+      for (let j = 0; j < xs.length; j++) s += this.weights[j] * xs[j];
+      return s;
+    }
+
+    // --- training ---
+    _prepare(X, y) {
+      if (!Array.isArray(X) || X.length === 0)
+        throw new Error("SVM training set is empty");
+      if (!Array.isArray(y) || y.length !== X.length)
+        throw new Error("SVM labels must match the number of rows");
+      this._fitScaler(X);
+      const Xs = X.map((row) => this._scale(row));
+      const ys = y.map((v) => (Number(v) === 1 ? 1 : -1));
+      const n = Xs.length;
+      const m = Xs[0].length;
+      this.classWeights = computeClassWeights(
+        y.map((v) => (Number(v) === 1 ? 1 : 0)),
+        this.classWeight
+      );
+      this.weights = new Array(m).fill(0);
+      this.bias = 0;
+      this.history = [];
+      return {
+        Xs,
+        ys,
+        n,
+        m,
+        lambda: 1 / (this.C * n),
+        order: Array.from({ length: n }, (_, i) => i),
+        rand: global.mulberry32(this.seed),
+        t: 0,
+      };
+    }
+
+    // One pass of Pegasos SGD over the shuffled data. The bias is updated with the
+    // same step but is not regularized.
+    _epoch(state) {
+      const { Xs, ys, m, lambda, order, rand } = state;
+      shuffleInPlace(order, rand);
+      const w = this.weights;
+      for (const i of order) {
+        state.t++;
+        const eta = 1 / (lambda * (state.t + 1));
+        const xi = Xs[i];
+        const yi = ys[i];
+        const cw = this.classWeights[yi === 1 ? 1 : 0];
+        let margin = this.bias;
+        for (let j = 0; j < m; j++) margin += w[j] * xi[j];
+        margin *= yi;
+        const shrink = 1 - eta * lambda;
+        for (let j = 0; j < m; j++) w[j] *= shrink;
+        if (margin < 1) {
+          const g = eta * cw * yi;
+          for (let j = 0; j < m; j++) w[j] += g * xi[j];
+          this.bias += g;
+        }
+      }
+      // Pegasos projection onto the ball of radius 1/sqrt(lambda)
+      let norm = 0;
+      for (let j = 0; j < m; j++) norm += w[j] * w[j];
+      norm = Math.sqrt(norm);
+      const radius = 1 / Math.sqrt(lambda);
+      if (norm > radius) {
+        const f = radius / norm;
+        for (let j = 0; j < m; j++) w[j] *= f;
+      }
+    }
+
+    // Regularized, class-weighted hinge objective and training accuracy
+    _evaluate(state) {
+      const { Xs, ys, n, m, lambda } = state;
+      let hinge = 0;
+      let correct = 0;
+      for (let i = 0; i < n; i++) {
+        let s = this.bias;
+        for (let j = 0; j < m; j++) s += this.weights[j] * Xs[i][j];
+        const cw = this.classWeights[ys[i] === 1 ? 1 : 0];
+        hinge += cw * Math.max(0, 1 - ys[i] * s);
+        if ((s >= 0 ? 1 : -1) === ys[i]) correct++;
+      }
+      let wn = 0;
+      for (let j = 0; j < m; j++) wn += this.weights[j] * this.weights[j];
+      return { loss: (lambda / 2) * wn + hinge / n, accuracy: correct / n };
+    }
+
+    _record(state, epoch, onProgress) {
+      const { loss, accuracy } = this._evaluate(state);
+      const entry = { epoch, loss, accuracy };
+      this.history.push(entry);
+      if (typeof onProgress === "function")
+        onProgress(Object.assign({ epochs: this.epochs }, entry));
+    }
+
+    // Synchronous training. options.onProgress({ epoch, epochs, loss, accuracy })
+    fit(X, y, options = {}) {
+      const state = this._prepare(X, y);
+      for (let e = 1; e <= this.epochs; e++) {
+        this._epoch(state);
+        this._record(state, e, options.onProgress);
+      }
+      this.trained = true;
+      return this;
+    }
+
+    // Same as fit, but yields to the event loop between epochs so the UI can repaint
+    async fitAsync(X, y, options = {}) {
+      const state = this._prepare(X, y);
+      for (let e = 1; e <= this.epochs; e++) {
+        this._epoch(state);
+        this._record(state, e, options.onProgress);
+        await new Promise((r) => setTimeout(r, 0));
+      }
+      this.trained = true;
+      return this;
+    }
+
+    // Returns { pred, score } for a single feature vector
+    predictOne(x) {
+      const score = this.decisionFunction(x);
+      return { pred: score >= 0 ? 1 : 0, score };
+    }
+
+    // Batch predict: array of 0/1 labels
+    predict(X) {
+      return (X || []).map((x) => this.predictOne(x).pred);
+    }
+
+    score(X, y) {
+      if (!X || !X.length) return 0;
+      const preds = this.predict(X);
+      let correct = 0;
+      for (let i = 0; i < preds.length; i++)
+        if (preds[i] === (Number(y[i]) === 1 ? 1 : 0)) correct++;
+      return correct / preds.length;
+    }
+
+    toJSON() {
+      return {
+        type: "linear_svm",
+        C: this.C,
+        epochs: this.epochs,
+        classWeights: this.classWeights,
+        weights: this.weights,
+        bias: this.bias,
+        mean: this.mean,
+        std: this.std,
+      };
+    }
+
+    static fromJSON(json) {
+      if (!json || !Array.isArray(json.weights))
+        throw new Error("Invalid SVM model object");
+      const m = new LinearSVM({ C: json.C, epochs: json.epochs });
+      m.weights = json.weights.map(Number);
+      m.bias = Number(json.bias || 0);
+      m.mean = (json.mean || m.weights.map(() => 0)).map(Number);
+      m.std = (json.std || m.weights.map(() => 1)).map(Number);
+      m.classWeights = json.classWeights || null;
+      m.trained = true;
+      return m;
+    }
+  }
+
+  // Build (X, y) from labeled rows. Rows with spambase-style numeric columns go through
+  // featuresFromRow; rows with a body/text field go through extractFeaturesFromEmail.
+  // Rows without a usable label are skipped.
+  function svmDatasetFromRows(rows) {
+    const X = [];
+    const y = [];
+    let skipped = 0;
+    for (const row of rows || []) {
+      const label = global.labelFromRow ? global.labelFromRow(row) : null;
+      if (label === null) {
+        skipped++;
+        continue;
+      }
+      const text = row.body || row.text || row.email || "";
+      let features;
+      if (text && global.extractFeaturesFromEmail) {
+        features = global.extractFeaturesFromEmail(String(text));
+      } else if (global.featuresFromRow) {
+        features = global.featuresFromRow(row).slice(0, N_FEATURES);
+      } else {
+        skipped++;
+        continue;
+      }
+      X.push(features);
+      y.push(label);
+    }
+    return { X, y, skipped };
+  }
+
+  global.LinearSVM = LinearSVM;
+  global.svmDatasetFromRows = svmDatasetFromRows;
+})(window);